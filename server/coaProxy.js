@@ -0,0 +1,274 @@
+// server/coaProxy.js
+// GET /api/proxy-coa?url=<COA link> -> { ok, contentType, filename, base64, bytes, cached }
+//
+// Fetches a COA from an allowlisted lab host on the browser's behalf (lab sites don't send
+// CORS headers). Used by the Vite dev/preview servers (vite.config.js) and by the
+// standalone production server (server/index.js).
+//
+// - Host allowlist: every hop, including redirect targets, must be an allowed https host.
+//   Entries written as an origin ("http://localhost:8790") allow exactly that origin, which
+//   is how a local stand-in lab (server/standInLab.js) is allowed for testing.
+// - On-disk cache: successful responses are kept as JSON under cacheDir for cacheTtlMs
+// - Rate limit: at most rateLimit.max requests per client per rateLimit.windowMs
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+
+export const PROXY_PATH = "/api/proxy-coa";
+
+export const DEFAULT_PROXY_OPTIONS = {
+  allowedHosts: ["mete.labdrive.net"],
+  maxBytes: 10 * 1024 * 1024,
+  timeoutMs: 12000,
+  maxRedirects: 5,
+  cacheDir: ".coa-cache",
+  cacheTtlMs: 24 * 60 * 60 * 1000,
+  rateLimit: { windowMs: 60 * 1000, max: 20 },
+  // Take the client address from X-Forwarded-For (only behind a trusted reverse proxy)
+  trustProxy: false,
+};
+
+class ProxyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const list = (v) =>
+  String(v || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+/**
+ * Proxy options from environment variables (unset ones keep their defaults):
+ * COA_PROXY_ALLOWED_HOSTS (comma-separated), COA_PROXY_MAX_BYTES, COA_PROXY_TIMEOUT_MS,
+ * COA_PROXY_CACHE_DIR ("" disables the cache), COA_PROXY_CACHE_TTL_MS,
+ * COA_PROXY_RATE_WINDOW_MS, COA_PROXY_RATE_MAX, COA_PROXY_TRUST_PROXY=1
+ */
+export function proxyOptionsFromEnv(env = process.env) {
+  const num = (key, fallback) => (env[key] != null && env[key] !== "" && Number.isFinite(Number(env[key])) ? Number(env[key]) : fallback);
+  const d = DEFAULT_PROXY_OPTIONS;
+  return {
+    allowedHosts: env.COA_PROXY_ALLOWED_HOSTS != null ? list(env.COA_PROXY_ALLOWED_HOSTS) : d.allowedHosts,
+    maxBytes: num("COA_PROXY_MAX_BYTES", d.maxBytes),
+    timeoutMs: num("COA_PROXY_TIMEOUT_MS", d.timeoutMs),
+    maxRedirects: d.maxRedirects,
+    cacheDir: env.COA_PROXY_CACHE_DIR != null ? env.COA_PROXY_CACHE_DIR || null : d.cacheDir,
+    cacheTtlMs: num("COA_PROXY_CACHE_TTL_MS", d.cacheTtlMs),
+    rateLimit: {
+      windowMs: num("COA_PROXY_RATE_WINDOW_MS", d.rateLimit.windowMs),
+      max: num("COA_PROXY_RATE_MAX", d.rateLimit.max),
+    },
+    trustProxy: env.COA_PROXY_TRUST_PROXY === "1" || env.COA_PROXY_TRUST_PROXY === "true",
+  };
+}
+
+export function filenameFrom(contentDisposition, pathname) {
+  const m = /filename\*?=(?:UTF-8''|")?([^;"\n]+)"?/i.exec(contentDisposition || "");
+  if (m && m[1]) {
+    const raw = m[1].trim().replace(/"/g, "");
+    try {
+      return decodeURIComponent(raw);
+    } catch {
+      // Malformed percent-encoding: keep the header's name as sent
+      return raw;
+    }
+  }
+  const parts = String(pathname || "").split("/").filter(Boolean);
+  const last = parts[parts.length - 1] || "coa.pdf";
+  return last.toLowerCase().endsWith(".pdf") ? last : `${last}.pdf`;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  for (const [k, v] of Object.entries(headers)) res.setHeader(k, v);
+  res.end(JSON.stringify(body));
+}
+
+// Fixed-window request counter per client
+function createRateLimiter({ windowMs, max }) {
+  const hits = new Map();
+  return (client, now = Date.now()) => {
+    if (!(max > 0)) return { ok: true };
+    let entry = hits.get(client);
+    if (!entry || now - entry.start >= windowMs) {
+      entry = { start: now, count: 0 };
+      hits.set(client, entry);
+      // Drop expired windows so the map doesn't grow without bound
+      if (hits.size > 1000) for (const [k, e] of hits) if (now - e.start >= windowMs) hits.delete(k);
+    }
+    entry.count++;
+    if (entry.count <= max) return { ok: true };
+    return { ok: false, retryAfter: Math.ceil((entry.start + windowMs - now) / 1000) };
+  };
+}
+
+function clientOf(req, trustProxy) {
+  if (trustProxy) {
+    const fwd = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+    if (fwd) return fwd;
+  }
+  return req.socket?.remoteAddress || "unknown";
+}
+
+function createCache(dir, ttlMs) {
+  if (!dir) return { get: async () => null, set: async () => {} };
+  const fileFor = (url) => path.join(dir, `${crypto.createHash("sha256").update(url).digest("hex")}.json`);
+
+  return {
+    async get(url) {
+      try {
+        const entry = JSON.parse(await fs.readFile(fileFor(url), "utf8"));
+        if (entry.url !== url || Date.now() - entry.fetchedAt > ttlMs) return null;
+        return entry.body;
+      } catch {
+        return null;
+      }
+    },
+    async set(url, body) {
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        const file = fileFor(url);
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify({ url, fetchedAt: Date.now(), body }));
+        await fs.rename(tmp, file);
+      } catch {
+        // A cache we can't write is just a cache miss next time
+      }
+    },
+  };
+}
+
+/** Parse and check a URL against the allowlist; throws ProxyError. */
+function allowedUrl(raw, base, allowedHosts) {
+  let u;
+  try {
+    u = new URL(raw, base);
+  } catch {
+    throw new ProxyError(400, "Invalid URL");
+  }
+  const allowed = (u.protocol === "https:" && allowedHosts.has(u.host.toLowerCase())) || allowedHosts.has(u.origin.toLowerCase());
+  if (!allowed) {
+    throw new ProxyError(403, base ? `Redirect to ${u.host || raw} not allowed` : "Host not allowed");
+  }
+  return u;
+}
+
+// A response we won't read (redirect, error, oversize): release its connection
+function discardBody(resp) {
+  resp.body?.cancel?.().catch(() => {});
+}
+
+async function readLimited(resp, maxBytes) {
+  const declared = Number(resp.headers.get("content-length"));
+  if (declared > maxBytes) {
+    discardBody(resp);
+    throw new ProxyError(413, "File too large");
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of resp.body) {
+    size += chunk.length;
+    // Leaving the loop early cancels the stream
+    if (size > maxBytes) throw new ProxyError(413, "File too large");
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks.map((c) => Buffer.from(c)));
+}
+
+/**
+ * Connect-style middleware for PROXY_PATH; other requests fall through to next().
+ * `fetchImpl` defaults to global fetch.
+ */
+export function createCoaProxy(options = {}) {
+  const opts = { ...DEFAULT_PROXY_OPTIONS, ...options, rateLimit: { ...DEFAULT_PROXY_OPTIONS.rateLimit, ...options.rateLimit } };
+  const allowedHosts = new Set(opts.allowedHosts.map((h) => String(h).toLowerCase().replace(/\/+$/, "")));
+  const cache = createCache(opts.cacheDir, opts.cacheTtlMs);
+  const limit = createRateLimiter(opts.rateLimit);
+  const fetchImpl = opts.fetchImpl || fetch;
+
+  async function fetchFollowingAllowed(start) {
+    let url = start;
+    for (let hop = 0; hop <= opts.maxRedirects; hop++) {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), opts.timeoutMs);
+      try {
+        const resp = await fetchImpl(url.toString(), {
+          method: "GET",
+          redirect: "manual",
+          signal: controller.signal,
+          headers: {
+            "User-Agent": "MMET-COA-Proxy/1.0",
+            Accept: "application/pdf,application/octet-stream,*/*",
+          },
+        });
+
+        if (resp.status >= 300 && resp.status < 400) {
+          discardBody(resp);
+          const location = resp.headers.get("location");
+          if (!location) throw new ProxyError(502, `Upstream error: ${resp.status} without Location`);
+          url = allowedUrl(location, url, allowedHosts);
+          continue;
+        }
+        if (!resp.ok) {
+          discardBody(resp);
+          throw new ProxyError(502, `Upstream error: ${resp.status}`);
+        }
+
+        const buf = await readLimited(resp, opts.maxBytes);
+        return { resp, buf, url };
+      } catch (e) {
+        if (e?.name === "AbortError") throw new ProxyError(504, "Upstream timeout");
+        throw e;
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+    throw new ProxyError(502, "Too many redirects");
+  }
+
+  return async function coaProxy(req, res, next) {
+    // Exactly PROXY_PATH, optionally followed by a query or subpath ("/api/proxy-coa-x" falls through)
+    const rest = req.url?.startsWith(PROXY_PATH) ? req.url.slice(PROXY_PATH.length) : null;
+    if (rest == null || (rest && rest[0] !== "?" && rest[0] !== "/")) return next?.();
+
+    try {
+      if (req.method !== "GET") throw new ProxyError(405, "Method not allowed");
+
+      const rate = limit(clientOf(req, opts.trustProxy));
+      if (!rate.ok) {
+        sendJson(res, 429, { ok: false, error: "Too many requests" }, { "Retry-After": String(rate.retryAfter) });
+        return;
+      }
+
+      const target = new URL(req.url, "http://localhost").searchParams.get("url");
+      if (!target) throw new ProxyError(400, "Missing url param");
+      const start = allowedUrl(target, undefined, allowedHosts);
+
+      const cached = await cache.get(start.toString());
+      if (cached) {
+        sendJson(res, 200, { ...cached, cached: true });
+        return;
+      }
+
+      const { resp, buf, url } = await fetchFollowingAllowed(start);
+      const body = {
+        ok: true,
+        contentType: resp.headers.get("content-type") || "application/pdf",
+        filename: filenameFrom(resp.headers.get("content-disposition") || "", url.pathname),
+        base64: buf.toString("base64"),
+        bytes: buf.length,
+      };
+      await cache.set(start.toString(), body);
+      sendJson(res, 200, { ...body, cached: false });
+    } catch (e) {
+      const status = e instanceof ProxyError ? e.status : 500;
+      sendJson(res, status, { ok: false, error: e?.message || "Server error" });
+    }
+  };
+}
@@ -0,0 +1,76 @@
+// server/index.js
+// Production server: serves the built app from dist/ plus the COA link proxy.
+//
+//   npm run build && npm start        (PORT, HOST and COA_PROXY_* env vars, see coaProxy.js)
+
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createCoaProxy, proxyOptionsFromEnv } from "./coaProxy.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "dist");
+const PORT = Number(process.env.PORT) || 8080;
+const HOST = process.env.HOST || "0.0.0.0";
+
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".ico": "image/x-icon",
+  ".wasm": "application/wasm",
+  ".gz": "application/gzip",
+};
+
+const proxy = createCoaProxy(proxyOptionsFromEnv());
+
+function serveStatic(req, res) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+  } catch {
+    // Malformed percent-encoding ("/%E0")
+    res.statusCode = 400;
+    res.end("Bad request");
+    return;
+  }
+  let file = path.join(ROOT, path.normalize(pathname));
+  if (!file.startsWith(ROOT)) {
+    res.statusCode = 403;
+    res.end();
+    return;
+  }
+
+  // Unknown paths without an extension get the app shell
+  if (!fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+    if (path.extname(pathname)) {
+      res.statusCode = 404;
+      res.end("Not found");
+      return;
+    }
+    file = path.join(ROOT, "index.html");
+  }
+
+  res.setHeader("Content-Type", MIME[path.extname(file)] || "application/octet-stream");
+  // Hashed build assets never change
+  if (pathname.startsWith("/assets/")) res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+  fs.createReadStream(file).pipe(res);
+}
+
+const server = http.createServer((req, res) => {
+  proxy(req, res, () => serveStatic(req, res));
+});
+
+if (!fs.existsSync(path.join(ROOT, "index.html"))) {
+  console.error(`No build found in ${ROOT} — run \`npm run build\` first.`);
+  process.exit(1);
+}
+
+server.listen(PORT, HOST, () => {
+  console.log(`MMET predictor on http://${HOST === "0.0.0.0" ? "localhost" : HOST}:${PORT}`);
+});
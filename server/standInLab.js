@@ -0,0 +1,65 @@
+// server/standInLab.js
+// Local stand-in for a lab COA portal, for exercising the COA proxy and QR flow offline.
+//
+//   node server/standInLab.js <dir-with-pdfs>        (STANDIN_PORT, default 8790)
+//   COA_PROXY_ALLOWED_HOSTS=mete.labdrive.net,http://localhost:8790 npm run dev
+//
+// Routes:
+//   /coa/<file>    the file from <dir>, with a Content-Disposition filename
+//   /r/<file>      302 -> /coa/<file>               (redirect inside the allowlist)
+//   /away/<file>   302 -> https://example.com/<file> (redirect the proxy must refuse)
+//   /slow/<file>   responds after STANDIN_DELAY_MS   (proxy timeout)
+
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+
+const DIR = path.resolve(process.argv[2] || process.env.STANDIN_DIR || ".");
+const PORT = Number(process.env.STANDIN_PORT) || 8790;
+const DELAY_MS = Number(process.env.STANDIN_DELAY_MS) || 15000;
+
+function sendFile(res, name) {
+  const file = path.join(DIR, path.basename(name));
+  if (!fs.existsSync(file)) {
+    res.statusCode = 404;
+    res.end("Not found");
+    return;
+  }
+  res.setHeader("Content-Type", file.toLowerCase().endsWith(".pdf") ? "application/pdf" : "application/octet-stream");
+  res.setHeader("Content-Disposition", `inline; filename="${path.basename(file)}"`);
+  res.setHeader("Content-Length", fs.statSync(file).size);
+  fs.createReadStream(file).pipe(res);
+}
+
+function redirect(res, location) {
+  res.statusCode = 302;
+  res.setHeader("Location", location);
+  res.end();
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  const [, route, ...rest] = pathname.split("/");
+  console.log(`${req.method} ${pathname}`);
+  let name;
+  try {
+    name = decodeURIComponent(rest.join("/"));
+  } catch {
+    // Malformed percent-encoding ("/coa/%E0")
+    res.statusCode = 400;
+    res.end("Bad request");
+    return;
+  }
+
+  if (route === "coa") return sendFile(res, name);
+  if (route === "r") return redirect(res, `/coa/${encodeURIComponent(name)}`);
+  if (route === "away") return redirect(res, `https://example.com/${encodeURIComponent(name)}`);
+  if (route === "slow") return setTimeout(() => sendFile(res, name), DELAY_MS);
+
+  res.statusCode = 404;
+  res.end("Not found");
+});
+
+server.listen(PORT, () => {
+  console.log(`Stand-in lab serving ${DIR} on http://localhost:${PORT}`);
+});
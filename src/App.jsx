@@ -6,8 +6,12 @@ import ProductCard from "./components/ProductCard";
 import SessionModal from "./components/SessionModal";
 import Blender from "./components/Blender";
 import ManualInput from "./components/ManualInput";
+import ModelConfigSettings from "./components/ModelConfigSettings";
 import { useMmetStore } from "./store/mmetStore";
 import { calculateBaselineScores, calculatePersonalizedScores, DIMS } from "./utils/scoring";
+import { productSafetyStatus, SAFETY_STATUS } from "./utils/safetyPanels";
+import { findModelConfig } from "./utils/modelConfig";
+import { findDuplicate, DUPLICATE_KINDS } from "./utils/coaDuplicates";
 
 function downloadText(filename, text) {
   const blob = new Blob([text], { type: "application/json" });
@@ -29,6 +33,7 @@ const DIM_CONFIG = {
   clarity: { label: "Clarity", color: "bg-blue-500", textColor: "text-blue-600", barColor: "bg-blue-500", lightBg: "bg-blue-100" },
   duration: { label: "Duration", color: "bg-green-500", textColor: "text-green-600", barColor: "bg-green-500", lightBg: "bg-green-100" },
   functionality: { label: "Functionality", color: "bg-teal-500", textColor: "text-teal-600", barColor: "bg-teal-500", lightBg: "bg-teal-100" },
+  appetite: { label: "Appetite", color: "bg-pink-500", textColor: "text-pink-600", barColor: "bg-pink-500", lightBg: "bg-pink-100" },
   anxiety: { label: "Anxiety Risk", color: "bg-yellow-500", textColor: "text-yellow-600", barColor: "bg-yellow-500", lightBg: "bg-yellow-100" },
 };
 
@@ -43,38 +48,65 @@ export default function App() {
     exportProfileJson,
     importProfileJson,
     renameProduct, // ✅ ADDED
+    setProductDose,
+    mergeProducts,
+    coaMaxAgeDays,
+    setCoaMaxAgeDays,
+    modelConfigs,
+    activeModelConfigId,
   } = useMmetStore();
 
   const [mode, setMode] = useState("baseline");
   const [sortBy, setSortBy] = useState(null);
+  const [safeOnly, setSafeOnly] = useState(false);
   const [activeTab, setActiveTab] = useState("upload");
   const [activeProductId, setActiveProductId] = useState(null);
 
+  // Engine config every prediction below is made with (Settings → model config)
+  const modelConfig = useMemo(() => findModelConfig(modelConfigs, activeModelConfigId), [modelConfigs, activeModelConfigId]);
+
+  const baselinesById = useMemo(() => {
+    const out = {};
+    for (const p of products) {
+      out[p.id] = p.customScores || calculateBaselineScores(p, { modelConfig });
+    }
+    return out;
+  }, [products, modelConfig]);
+
   const scoresById = useMemo(() => {
     const out = {};
     for (const p of products) {
-      if (p.customScores) {
-        out[p.id] = p.customScores;
-      } else {
-        const baseline = calculateBaselineScores(p);
-        out[p.id] =
-          mode === "personalized"
-            ? calculatePersonalizedScores(baseline, sessionLog, p.id, products)
-            : baseline;
-      }
+      const baseline = baselinesById[p.id];
+      out[p.id] =
+        mode === "personalized" && !p.customScores
+          ? calculatePersonalizedScores(baseline, sessionLog, p.id, products, { modelConfig })
+          : baseline;
     }
     return out;
-  }, [products, sessionLog, mode]);
+  }, [products, baselinesById, sessionLog, mode, modelConfig]);
+
+  // Saved products that are the same COA file or a retest of another saved one (offered a merge)
+  const duplicatesById = useMemo(() => {
+    const out = {};
+    for (const p of products) {
+      const dup = findDuplicate(p, products);
+      if (dup && dup.kind !== DUPLICATE_KINDS.DIFFERENT_BATCH) out[p.id] = dup;
+    }
+    return out;
+  }, [products]);
 
   const sortedProducts = useMemo(() => {
-    if (!sortBy) return products;
+    // Only products with a clean COA pass; without one nothing was tested, so they hide like incomplete panels
+    const hidden = [SAFETY_STATUS.FAILED, SAFETY_STATUS.INCOMPLETE, SAFETY_STATUS.NO_COA];
+    const visible = safeOnly ? products.filter((p) => !hidden.includes(productSafetyStatus(p))) : products;
+    if (!sortBy) return visible;
 
-    return [...products].sort((a, b) => {
+    return [...visible].sort((a, b) => {
       const scoreA = scoresById[a.id]?.[sortBy] || 0;
       const scoreB = scoresById[b.id]?.[sortBy] || 0;
       return scoreB - scoreA;
     });
-  }, [products, scoresById, sortBy]);
+  }, [products, scoresById, sortBy, safeOnly]);
 
   const handleExport = () => {
     const json = exportProfileJson();
@@ -118,7 +150,11 @@ export default function App() {
   };
 
   const handleSaveSession = (data) => {
-    addSessionEntry(data);
+    addSessionEntry({
+      ...data,
+      predicted: scoresById[data.productId] || null,
+      baseline: baselinesById[data.productId] || null,
+    });
     setActiveProductId(null);
   };
 
@@ -177,6 +213,18 @@ export default function App() {
 
             <div className="flex-1" />
 
+            <label className="flex items-center gap-2 text-sm text-gray-700" title="COAs tested longer ago than this are flagged as stale">
+              ⏳ Max COA age
+              <input
+                type="number"
+                min="1"
+                value={coaMaxAgeDays}
+                onChange={(e) => e.target.value && setCoaMaxAgeDays(e.target.value)}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+              />
+              days
+            </label>
+
             <button
               onClick={() => {
                 const ok = window.confirm("Clear all products? This cannot be undone.");
@@ -203,6 +251,8 @@ export default function App() {
           </div>
         </div>
 
+        <ModelConfigSettings />
+
         {/* Sorting Pills - COLOR CODED */}
         <div className="bg-white rounded-xl shadow-md p-4 mb-6">
           <div className="flex items-center gap-2 mb-3">
@@ -215,6 +265,18 @@ export default function App() {
             >
               Newest First
             </button>
+
+            <div className="flex-1" />
+
+            <button
+              onClick={() => setSafeOnly((v) => !v)}
+              className={`px-4 py-1.5 rounded-full text-sm font-medium transition-all ${
+                safeOnly ? "bg-emerald-600 text-white shadow-md" : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+              }`}
+              title="Show only products whose COA passed every safety panel. Failed or missing panels, and products without a COA (manual, blends, spreadsheet rows), are hidden."
+            >
+              🛡️ Passed safety only
+            </button>
           </div>
 
           <div className="flex flex-wrap gap-2">
@@ -277,13 +339,13 @@ export default function App() {
         <div className="mb-8">
           {activeTab === "upload" && <COAUploader />}
           {activeTab === "manual" && <ManualInput onCreateProduct={handleCreateManualProduct} />}
-          {activeTab === "blend" && <Blender products={products} onCreateBlend={handleCreateBlend} />}
+          {activeTab === "blend" && <Blender products={products} modelConfig={modelConfig} onCreateBlend={handleCreateBlend} />}
         </div>
 
         {/* Products Grid */}
         <div>
           <h2 className="text-2xl font-bold text-gray-800 mb-4">
-            Products ({products.length})
+            Products ({sortedProducts.length}{sortedProducts.length !== products.length && ` of ${products.length}`})
             {sortBy && (
               <span className="text-lg font-normal text-gray-600 ml-2">
                 - Sorted by {DIM_CONFIG[sortBy].label}
@@ -294,7 +356,11 @@ export default function App() {
           {sortedProducts.length === 0 ? (
             <div className="bg-white rounded-xl shadow-md p-12 text-center">
               <div className="text-6xl mb-4">🍃</div>
-              <p className="text-gray-600">No products yet. Upload a COA, enter manually, or create a blend!</p>
+              <p className="text-gray-600">
+                {products.length === 0
+                  ? "No products yet. Upload a COA, enter manually, or create a blend!"
+                  : "No products with every safety panel passed."}
+              </p>
             </div>
           ) : (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
@@ -312,6 +378,11 @@ export default function App() {
                   onLog={() => handleLogSession(p.id)}
                   onRemove={handleRemoveProduct}
                   onRename={renameProduct} // ✅ ADDED
+                  onSetDose={setProductDose}
+                  onMerge={mergeProducts}
+                  duplicate={duplicatesById[p.id]}
+                  modelConfig={modelConfig}
+                  coaMaxAgeDays={coaMaxAgeDays}
                 />
               ))}
             </div>
@@ -8,7 +8,7 @@ const RATIOS = [
   { label: "30/70", ratioA: 0.3, ratioB: 0.7 },
 ];
 
-export default function Blender({ products, onCreateBlend }) {
+export default function Blender({ products, modelConfig, onCreateBlend }) {
   const [productA, setProductA] = useState("");
   const [productB, setProductB] = useState("");
   const [ratio, setRatio] = useState(RATIOS[0]);
@@ -20,17 +20,18 @@ export default function Blender({ products, onCreateBlend }) {
     const pB = products.find(p => p.id === productB);
     if (!pA || !pB) return null;
 
-    const scoresA = calculateBaselineScores(pA);
-    const scoresB = calculateBaselineScores(pB);
+    const scoresA = calculateBaselineScores(pA, { modelConfig });
+    const scoresB = calculateBaselineScores(pB, { modelConfig });
 
-    const blended = {};
+    // Saved blends keep the config version their scores were computed with
+    const blended = { _model: scoresA._model };
     for (const dim of DIMS) {
       blended[dim] = (scoresA[dim] * ratio.ratioA) + (scoresB[dim] * ratio.ratioB);
       blended[dim] = Math.round(blended[dim] * 2) / 2; // Round to 0.5
     }
 
     return { blended, productA: pA, productB: pB };
-  }, [productA, productB, ratio, products]);
+  }, [productA, productB, ratio, products, modelConfig]);
 
   const handleSaveBlend = () => {
     if (!blendedScores) return;
@@ -1,30 +1,86 @@
 // src/components/COAUploader.jsx - Clean version without legacy sections
 import { useRef, useState } from "react";
 import { useMmetStore } from "../store/mmetStore";
+import CoaReview from "./CoaReview";
+import CsvImportDialog from "./CsvImportDialog";
+import { isSpreadsheetFile } from "../utils/csvImport";
+
+const JOB_LABELS = {
+  queued: "Queued",
+  parsing: "Parsing…",
+  done: "✓ Ready for review",
+  error: "✗ Failed",
+  cancelled: "Cancelled",
+};
+
+function jobProgress(job) {
+  if (job.status !== "parsing" || !job.pages) return null;
+  return Math.round((job.page / job.pages) * 100);
+}
 
 export default function COAUploader() {
-  const { handleCoaFiles } = useMmetStore();
+  const { handleCoaFiles, handleCoaUrl, handleLabelPhoto, parseJobs, cancelParseJob, cancelAllParsing, clearParseJobs } = useMmetStore();
   const fileInputRef = useRef(null);
+  const labelInputRef = useRef(null);
   const [dragActive, setDragActive] = useState(false);
   const [status, setStatus] = useState(null);
+  const [coaUrl, setCoaUrl] = useState("");
+  const [fetchingUrl, setFetchingUrl] = useState(false);
+  // Spreadsheets waiting for the column-mapping dialog, one at a time
+  const [csvQueue, setCsvQueue] = useState([]);
 
   const handleFiles = async (files) => {
     if (!files || files.length === 0) return;
 
-    setStatus({ type: "loading", message: "Processing files..." });
+    const all = Array.from(files);
+    const sheets = all.filter(isSpreadsheetFile);
+    const coas = all.filter((f) => !isSpreadsheetFile(f));
+    if (sheets.length) setCsvQueue((q) => [...q, ...sheets.map((file) => ({ id: `${Date.now()}-${file.name}`, file }))]);
+    if (!coas.length) return;
+
+    setStatus(null);
+    showResult(await handleCoaFiles(coas));
+  };
+
+  const handleUrl = async (e) => {
+    e.preventDefault();
+    if (!coaUrl.trim() || fetchingUrl) return;
 
-    const result = await handleCoaFiles(files);
+    setFetchingUrl(true);
+    setStatus({ type: "loading", message: "Fetching COA link..." });
+    const result = await handleCoaUrl(coaUrl);
+    setFetchingUrl(false);
 
-    if (result.errors && result.errors.length > 0) {
+    if (result.queued > 0) setCoaUrl("");
+    showResult(result);
+  };
+
+  const handleLabelInput = async (e) => {
+    const file = e.target?.files?.[0];
+    e.target.value = "";
+    if (!file || fetchingUrl) return;
+
+    setFetchingUrl(true);
+    setStatus({ type: "loading", message: "Reading QR code from label photo..." });
+    const result = await handleLabelPhoto(file);
+    setFetchingUrl(false);
+    showResult(result);
+  };
+
+  const showResult = (result) => {
+    if (result.queued === 0 && result.errors.length === 0) {
+      // Everything in the batch was cancelled
+      setStatus(null);
+    } else if (result.errors && result.errors.length > 0) {
       setStatus({
         type: "error",
-        message: `Added ${result.added} product(s). Errors: ${result.errors.length}`,
+        message: `Parsed ${result.queued} file(s) for review. Errors: ${result.errors.length}`,
         details: result.errors,
       });
-    } else if (result.added > 0) {
+    } else if (result.queued > 0) {
       setStatus({
         type: "success",
-        message: `✓ Successfully added ${result.added} product(s)`,
+        message: `✓ Parsed ${result.queued} file(s) — review below before saving`,
       });
       setTimeout(() => setStatus(null), 3000);
     } else {
@@ -61,74 +117,183 @@ export default function COAUploader() {
     if (files) handleFiles(files);
   };
 
-  return (
-    <div className="bg-white rounded-xl shadow-md p-6">
-      <div className="flex items-center gap-3 mb-4">
-        <div className="text-3xl">📤</div>
-        <h2 className="text-xl font-bold text-gray-800">Upload COA</h2>
-      </div>
+  const activeJobs = parseJobs.filter((j) => j.status === "queued" || j.status === "parsing");
 
-      {/* Drag & Drop Zone */}
-      <div
-        onDrop={handleDrop}
-        onDragOver={handleDragOver}
-        onDragLeave={handleDragLeave}
-        onClick={() => fileInputRef.current?.click()}
-        className={`border-2 border-dashed rounded-xl p-8 text-center cursor-pointer transition-all ${
-          dragActive
-            ? "border-green-500 bg-green-50"
-            : "border-gray-300 hover:border-green-400 hover:bg-gray-50"
-        }`}
-      >
-        <div className="text-5xl mb-3">📄</div>
-        <p className="text-lg font-semibold text-gray-700 mb-1">
-          Drop PDF/TXT files here or click to browse
-        </p>
-        <p className="text-sm text-gray-500">
-          Supports single or batch upload (.pdf, .txt, .csv, .md)
-        </p>
-      </div>
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-xl shadow-md p-6">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="text-3xl">📤</div>
+          <h2 className="text-xl font-bold text-gray-800">Upload COA</h2>
+        </div>
 
-      {/* Hidden File Input */}
-      <input
-        ref={fileInputRef}
-        type="file"
-        accept=".pdf,.txt,.csv,.md"
-        multiple
-        onChange={handleFileInput}
-        className="hidden"
-      />
-
-      {/* Status Messages */}
-      {status && (
+        {/* Drag & Drop Zone */}
         <div
-          className={`mt-4 p-4 rounded-lg ${
-            status.type === "success"
-              ? "bg-green-50 border border-green-200 text-green-800"
-              : status.type === "error"
-              ? "bg-red-50 border border-red-200 text-red-800"
-              : "bg-blue-50 border border-blue-200 text-blue-800"
+          onDrop={handleDrop}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onClick={() => fileInputRef.current?.click()}
+          className={`border-2 border-dashed rounded-xl p-8 text-center cursor-pointer transition-all ${
+            dragActive
+              ? "border-green-500 bg-green-50"
+              : "border-gray-300 hover:border-green-400 hover:bg-gray-50"
           }`}
         >
-          <p className="font-semibold">{status.message}</p>
-          {status.details && status.details.length > 0 && (
-            <div className="mt-2 text-sm space-y-1">
-              {status.details.map((err, i) => (
-                <div key={i}>
-                  • {err.file}: {err.error}
-                </div>
-              ))}
-            </div>
-          )}
+          <div className="text-5xl mb-3">📄</div>
+          <p className="text-lg font-semibold text-gray-700 mb-1">
+            Drop PDF/TXT files or COA photos here or click to browse
+          </p>
+          <p className="text-sm text-gray-500">
+            Supports single or batch upload (.pdf, .png, .jpg, .txt, .md) — .csv/.tsv spreadsheets import one product per row
+          </p>
         </div>
-      )}
 
-      {/* Help Text */}
-      <div className="mt-4 text-xs text-gray-500 space-y-1">
-        <p>• Upload dispensary COA files (PDF or text format)</p>
-        <p>• Multiple files will be processed automatically</p>
-        <p>• Each COA will create a new product with baseline predictions</p>
+        {/* COA link */}
+        <form onSubmit={handleUrl} className="mt-4 flex gap-2">
+          <input
+            type="text"
+            inputMode="url"
+            value={coaUrl}
+            onChange={(e) => setCoaUrl(e.target.value)}
+            placeholder="Paste COA link (https://...)"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+          <button
+            type="submit"
+            disabled={!coaUrl.trim() || fetchingUrl}
+            className="px-4 py-2 rounded-lg bg-green-600 hover:bg-green-700 disabled:bg-gray-300 text-white text-sm font-semibold"
+          >
+            {fetchingUrl ? "Fetching…" : "🔗 Fetch"}
+          </button>
+          <button
+            type="button"
+            onClick={() => labelInputRef.current?.click()}
+            disabled={fetchingUrl}
+            className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50 text-gray-700 text-sm font-semibold"
+            title="Photo of the package label — the QR code is decoded on this device"
+          >
+            📷 Label QR
+          </button>
+        </form>
+        <input
+          ref={labelInputRef}
+          type="file"
+          accept="image/*"
+          capture="environment"
+          onChange={handleLabelInput}
+          className="hidden"
+        />
+
+        {/* Hidden File Input */}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".pdf,.png,.jpg,.jpeg,.txt,.md,.csv,.tsv"
+          multiple
+          onChange={handleFileInput}
+          className="hidden"
+        />
+
+        {/* Per-file parse status */}
+        {parseJobs.length > 0 && (
+          <div className="mt-4 border border-gray-200 rounded-lg divide-y divide-gray-100">
+            <div className="flex items-center justify-between px-3 py-2 bg-gray-50 rounded-t-lg text-xs">
+              <span className="font-semibold text-gray-700">
+                {activeJobs.length > 0 ? `Parsing ${activeJobs.length} of ${parseJobs.length} file(s)` : "Parsing finished"}
+              </span>
+              {activeJobs.length > 0 ? (
+                <button onClick={cancelAllParsing} className="font-semibold text-red-600 hover:text-red-700">
+                  ⏹️ Cancel all
+                </button>
+              ) : (
+                <button onClick={clearParseJobs} className="font-semibold text-gray-500 hover:text-gray-700">
+                  Clear
+                </button>
+              )}
+            </div>
+            {parseJobs.map((job) => {
+              const pct = jobProgress(job);
+              const active = job.status === "queued" || job.status === "parsing";
+              return (
+                <div key={job.id} className="px-3 py-2 text-sm">
+                  <div className="flex items-center gap-2">
+                    <span className="flex-1 truncate text-gray-800" title={job.fileName}>
+                      {job.fileName}
+                    </span>
+                    <span
+                      className={`text-xs ${
+                        job.status === "error" ? "text-red-600" : job.status === "done" ? "text-green-700" : "text-gray-500"
+                      }`}
+                      title={job.error || undefined}
+                    >
+                      {job.status === "parsing" && job.pages
+                        ? `Page ${job.page} of ${job.pages}`
+                        : job.status === "done" && job.samples > 1
+                          ? `✓ ${job.samples} samples ready for review`
+                          : JOB_LABELS[job.status]}
+                    </span>
+                    {active && (
+                      <button
+                        onClick={() => cancelParseJob(job.id)}
+                        className="px-1 text-gray-400 hover:text-red-600"
+                        title="Cancel this file"
+                      >
+                        ✕
+                      </button>
+                    )}
+                  </div>
+                  {pct != null && (
+                    <div className="mt-1 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                      <div className="h-full bg-green-500 transition-all" style={{ width: `${pct}%` }} />
+                    </div>
+                  )}
+                  {job.status === "error" && job.error && <p className="mt-0.5 text-xs text-red-600">{job.error}</p>}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Status Messages */}
+        {status && (
+          <div
+            className={`mt-4 p-4 rounded-lg ${
+              status.type === "success"
+                ? "bg-green-50 border border-green-200 text-green-800"
+                : status.type === "error"
+                ? "bg-red-50 border border-red-200 text-red-800"
+                : "bg-blue-50 border border-blue-200 text-blue-800"
+            }`}
+          >
+            <p className="font-semibold">{status.message}</p>
+            {status.details && status.details.length > 0 && (
+              <div className="mt-2 text-sm space-y-1">
+                {status.details.map((err, i) => (
+                  <div key={i}>
+                    • {err.file}: {err.error}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Help Text */}
+        <div className="mt-4 text-xs text-gray-500 space-y-1">
+          <p>• Upload dispensary COA files (PDF or text format), or paste a link to a COA on a supported lab site</p>
+          <p>• Spreadsheets of your stash (.csv/.tsv) open a column-mapping dialog; mappings can be saved as presets</p>
+          <p>• 📷 Label QR: snap the package label and the COA its QR code links to is fetched for you</p>
+          <p>• Scanned PDFs and photos are read with on-device OCR (values marked lower confidence)</p>
+          <p>• Multiple files are parsed in the background — cancel any file while it's queued or running</p>
+          <p>• Each COA is queued for review — check the parsed values, then accept to create the product</p>
+        </div>
       </div>
+
+      <CoaReview />
+
+      {csvQueue.length > 0 && (
+        <CsvImportDialog key={csvQueue[0].id} file={csvQueue[0].file} onClose={() => setCsvQueue((q) => q.slice(1))} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,34 @@
+// src/components/CannabinoidPanel.jsx
+import { cannabinoidRows } from "../utils/cannabinoids";
+
+/**
+ * Full cannabinoid panel from product.metrics.cannabinoids.
+ * `compact` renders inline chips (session modal header); otherwise a two-column list.
+ */
+export default function CannabinoidPanel({ cannabinoids, compact = false }) {
+  const rows = cannabinoidRows(cannabinoids);
+  if (rows.length === 0) return null;
+
+  if (compact) {
+    return (
+      <div className="flex flex-wrap gap-1.5">
+        {rows.map((r) => (
+          <span key={r.key} className="bg-white/20 px-2 py-0.5 rounded text-xs font-medium">
+            {r.label} {r.pct.toFixed(2)}%
+          </span>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs">
+      {rows.map((r) => (
+        <div key={r.key} className="flex justify-between">
+          <span className="text-gray-600">{r.label}</span>
+          <span className="font-mono font-semibold text-gray-800">{r.pct.toFixed(2)}%</span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,359 @@
+// src/components/CoaReview.jsx
+import { useEffect, useMemo, useState } from "react";
+import { useMmetStore } from "../store/mmetStore";
+import { LOW_CONFIDENCE } from "../utils/provenance";
+import { isDetected, formatMeasurement } from "../utils/units";
+import { coaFreshness } from "../utils/coaMetadata";
+import { canonicalTerpName, terpeneLabel } from "../utils/terpeneDictionary";
+import { pagesFromText, sampleLabel } from "../utils/coaSamples";
+import { findDuplicate, DUPLICATE_KINDS } from "../utils/coaDuplicates";
+import { localeLabel } from "../utils/coaLocale";
+import { FORM_OPTIONS, FORM_LABELS, normalizeFormType } from "../utils/mmetBaselineFormulas";
+
+const FIELDS = [
+  { key: "name", label: "Name" },
+  { key: "form", label: "Form" },
+  { key: "totalTHC", label: "Total THC (%)", numeric: true },
+  { key: "totalTerpenes", label: "Total terpenes (%)", numeric: true },
+];
+
+function draftFromProduct(product) {
+  return {
+    name: product.name || "",
+    form: product.form || "",
+    // "" = model it from the form text
+    formType: product.formType || "",
+    totalTHC: product.metrics?.totalTHC ?? "",
+    totalTerpenes: product.metrics?.totalTerpenes ?? "",
+    // ND / <LOQ rows keep their state; they show an empty amount with the state as placeholder.
+    // `label` is what the row shows ("β-Myrcene"); `name` keeps the canonical id until it's edited
+    terpenes: (product.terpenes || []).map((t) => ({ ...t, label: terpeneLabel(t.name), pct: isDetected(t) ? t.pct : "" })),
+  };
+}
+
+// "Tested 2024-01-02 → 2023-11-30 (older than the saved COA)."
+function datesNote(dup) {
+  if (!dup.testedBefore || !dup.testedAfter) return "";
+  return ` Tested ${dup.testedBefore} → ${dup.testedAfter}${dup.newer === false ? " (older than the saved COA)" : ""}.`;
+}
+
+// Banner text for a duplicate match (coaDuplicates.findDuplicate)
+function duplicateNotice(dup) {
+  const name = `"${dup.match.name}"`;
+  const savedBatch = dup.match.coa?.batch?.batchId || dup.match.coa?.batch?.lotId;
+  if (dup.pending) {
+    return {
+      icon: "📥",
+      title: dup.kind === DUPLICATE_KINDS.ALREADY_IMPORTED ? "Same file further down the queue" : "Same cultivar further down the queue",
+      detail: `${name} from this upload is also waiting for review.`,
+    };
+  }
+  switch (dup.kind) {
+    case DUPLICATE_KINDS.ALREADY_IMPORTED:
+      return { icon: "📎", title: "Already imported", detail: `Same file as ${name}.` };
+    case DUPLICATE_KINDS.RETEST:
+      return {
+        icon: "🔁",
+        title: dup.newer === false ? "Older COA for a saved batch" : "Newer retest",
+        detail: `Batch ${dup.batchId} is saved as ${name}.${datesNote(dup)}`,
+      };
+    default:
+      return {
+        icon: "🆕",
+        title: "Different batch",
+        detail: `${name} is saved${savedBatch ? ` from batch ${savedBatch}` : ""}; this COA is another batch.${datesNote(dup)}`,
+      };
+  }
+}
+
+// Does a raw-text line belong to the focused field?
+function lineMatches(focus, src, page, lineNo, text) {
+  if (!focus) return false;
+  if (focus.terpName) {
+    // Rows print the lab's spelling ("β-Caryophyllene 1.77"); compare dictionary ids
+    const label = text.trim().split(/\s+(?=[<\d]|ND\b|N\/D\b)/i)[0];
+    const id = canonicalTerpName(focus.terpName);
+    return (!!id && canonicalTerpName(label) === id) || text.toLowerCase().includes(focus.terpName.toLowerCase());
+  }
+  if (!src) return false;
+  if (src.page != null && src.line != null) return src.page === page && src.line === lineNo;
+  return !!src.text && text.trim() === src.text;
+}
+
+/**
+ * Review-and-correct step for parsed COAs.
+ * Shows the head of the pendingReviews queue: every field next to the raw text it came from,
+ * editable before the product is accepted into the list.
+ */
+export default function CoaReview() {
+  const { products, pendingReviews, acceptReview, rejectReview, lastError, coaMaxAgeDays } = useMmetStore();
+  const review = pendingReviews[0];
+
+  const [draft, setDraft] = useState(null);
+  const [focus, setFocus] = useState(null);
+
+  useEffect(() => {
+    setDraft(review ? draftFromProduct(review.product) : null);
+    setFocus(null);
+  }, [review?.id]);
+
+  const pages = useMemo(() => pagesFromText(review?.product?.coa?.rawText), [review?.id]);
+  // Saved products first, then the rest of the queue (a second copy in the same upload)
+  const duplicate = useMemo(
+    () => findDuplicate(review?.product, products, { pending: pendingReviews.slice(1).map((r) => r.product) }),
+    [review?.id, products, pendingReviews]
+  );
+
+  if (!review || !draft) return null;
+
+  const provenance = review.product.coa?.provenance || {};
+  const focusSrc = focus?.key ? provenance[focus.key] : null;
+  const lab = review.product.coa?.lab || {};
+  const batch = review.product.coa?.batch || {};
+  const freshness = coaFreshness(review.product.coa, { maxAgeDays: coaMaxAgeDays });
+
+  const setField = (key, value) => setDraft((d) => ({ ...d, [key]: value }));
+  const setTerp = (i, patch) =>
+    setDraft((d) => ({ ...d, terpenes: d.terpenes.map((t, j) => (j === i ? { ...t, ...patch } : t)) }));
+  // A typed amount is a plain percent: drop the parsed state/conversion
+  const setTerpPct = (i, pct) => setTerp(i, { pct, state: undefined, conversion: undefined, loq: undefined });
+  const removeTerp = (i) => setDraft((d) => ({ ...d, terpenes: d.terpenes.filter((_, j) => j !== i) }));
+  const addTerp = () => setDraft((d) => ({ ...d, terpenes: [...d.terpenes, { name: "", label: "", pct: "" }] }));
+  // An untouched row saves its id; an edited one the typed name (the store canonicalizes it)
+  const terpFromRow = ({ label, ...t }) => (label === terpeneLabel(t.name) ? t : { ...t, name: label });
+
+  const handleAccept = ({ mergeInto = null } = {}) => {
+    if (
+      mergeInto &&
+      duplicate?.newer === false &&
+      !window.confirm(
+        `This COA was tested ${duplicate.testedAfter}, before the saved one (${duplicate.testedBefore}). Merging replaces the newer numbers with older ones. Merge anyway?`
+      )
+    ) {
+      return;
+    }
+    acceptReview(
+      review.id,
+      {
+        ...draft,
+        terpenes: draft.terpenes
+          .map(terpFromRow)
+          .filter((t) => String(t.name).trim() && (Number(t.pct) > 0 || !isDetected(t))),
+      },
+      { mergeInto }
+    );
+  };
+  const notice = duplicate ? duplicateNotice(duplicate) : null;
+
+  const sourceHint = (key) => {
+    const src = provenance[key];
+    if (!src) return "not found";
+    const where = src.page ? `p${src.page} l${src.line}` : "";
+    return `${src.strategy} · ${Math.round(src.confidence * 100)}% ${where}`.trim();
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 border-2 border-amber-300">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <div className="text-3xl">🔎</div>
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">Review COA</h2>
+            <p className="text-xs text-gray-500">
+              {review.sourceFileName}
+              {sampleLabel(review.product.coa?.sample) && ` (${sampleLabel(review.product.coa.sample)})`} ·{" "}
+              {pendingReviews.length > 1 ? `1 of ${pendingReviews.length} waiting` : "last in queue"}
+            </p>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => rejectReview(review.id)}
+            className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-semibold"
+          >
+            ✕ Reject
+          </button>
+          <button
+            onClick={() => handleAccept()}
+            className="px-4 py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white text-sm font-semibold"
+          >
+            {duplicate && !duplicate.pending ? "✓ Accept as new product" : "✓ Accept"}
+          </button>
+        </div>
+      </div>
+
+      {lastError && <p className="mb-3 text-sm text-red-700">{lastError}</p>}
+
+      {notice && (
+        <div className="mb-3 flex flex-wrap items-center justify-between gap-3 rounded-lg border border-blue-200 bg-blue-50 p-3 text-sm">
+          <div className="min-w-0">
+            <div className="font-semibold text-blue-900">
+              {notice.icon} {notice.title}
+            </div>
+            <div className="text-xs text-blue-800">{notice.detail}</div>
+          </div>
+          <div className="flex gap-2">
+            {duplicate.kind === DUPLICATE_KINDS.ALREADY_IMPORTED && (
+              <button
+                onClick={() => rejectReview(review.id)}
+                className="px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-xs font-semibold"
+              >
+                {duplicate.pending ? "⏭️ Skip this copy" : "⏭️ Skip, keep saved"}
+              </button>
+            )}
+            {!duplicate.pending && (
+              <button
+                onClick={() => handleAccept({ mergeInto: duplicate.match.id })}
+                title="Replace the saved product's numbers with this COA; its session history stays attached"
+                className={`px-3 py-1.5 rounded-lg text-xs font-semibold ${
+                  duplicate.kind === DUPLICATE_KINDS.RETEST
+                    ? "bg-blue-600 hover:bg-blue-700 text-white"
+                    : "bg-white hover:bg-blue-100 text-blue-800 border border-blue-300"
+                }`}
+              >
+                🔗 Merge into "{duplicate.match.name}"
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {review.product.labelPhoto?.dataUrl && (
+        <div className="mb-3 flex items-center gap-3 text-xs text-gray-600">
+          <img
+            src={review.product.labelPhoto.dataUrl}
+            alt="Product label"
+            className="w-20 h-20 object-cover rounded-lg border border-gray-200"
+          />
+          <div className="min-w-0">
+            <div className="font-semibold text-gray-700">📷 From label QR code</div>
+            <div className="truncate font-mono" title={review.product.coa?.sourceUrl || ""}>
+              {review.product.coa?.sourceUrl}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="mb-4 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600">
+        <span>Lab: <span className="font-semibold">{lab.name || "—"}</span>{lab.license && ` (Lic ${lab.license})`}</span>
+        <span>Batch: <span className="font-mono">{batch.batchId || batch.lotId || "—"}</span></span>
+        {batch.sampleId && <span>Sample: <span className="font-mono">{batch.sampleId}</span></span>}
+        <span>Tested: {batch.testDate || "—"}</span>
+        {batch.expirationDate && <span>Expires: {batch.expirationDate}</span>}
+        {localeLabel(review.product.coa?.locale) && (
+          <span title="Numbers and labels below were converted from this locale">🌐 {localeLabel(review.product.coa.locale)}</span>
+        )}
+        {freshness.status === "expired" && <span className="font-semibold text-red-700">⛔ COA expired</span>}
+        {freshness.status === "stale" && (
+          <span className="font-semibold text-amber-700">⏳ Numbers are {freshness.ageDays} days old</span>
+        )}
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        {/* Parsed fields */}
+        <div className="space-y-3">
+          {FIELDS.map((f) => {
+            const shaky = (provenance[f.key]?.confidence ?? 0) < LOW_CONFIDENCE;
+            return (
+              <label key={f.key} className="block">
+                <div className="flex justify-between text-xs mb-1">
+                  <span className="font-semibold text-gray-700">{f.label}</span>
+                  <span className={shaky ? "text-red-600" : "text-gray-400"}>{sourceHint(f.key)}</span>
+                </div>
+                <input
+                  type={f.numeric ? "number" : "text"}
+                  step={f.numeric ? "0.01" : undefined}
+                  value={draft[f.key]}
+                  onFocus={() => setFocus({ key: f.key })}
+                  onChange={(e) => setField(f.key, e.target.value)}
+                  className={`w-full px-3 py-2 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-green-500 ${
+                    shaky ? "border-red-300 bg-red-50" : "border-gray-300"
+                  }`}
+                />
+              </label>
+            );
+          })}
+
+          <label className="block">
+            <div className="flex justify-between text-xs mb-1">
+              <span className="font-semibold text-gray-700">Consumption method</span>
+              <span className="text-gray-400">sets onset, duration and retention</span>
+            </div>
+            <select
+              value={draft.formType}
+              onChange={(e) => setField("formType", e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-green-500"
+            >
+              <option value="">Auto ({FORM_LABELS[normalizeFormType(draft.form)]})</option>
+              {FORM_OPTIONS.map((o) => (
+                <option key={o.key} value={o.key}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <div>
+            <div className="flex justify-between text-xs mb-1">
+              <span className="font-semibold text-gray-700">Terpenes (%)</span>
+              <span className="text-gray-400">{sourceHint("terpenes")}</span>
+            </div>
+            <div className="space-y-1.5">
+              {draft.terpenes.map((t, i) => (
+                <div key={i} className="flex gap-2">
+                  <input
+                    type="text"
+                    value={t.label}
+                    title={t.label === terpeneLabel(t.name) && t.name !== t.label ? t.name : undefined}
+                    onFocus={() => setFocus({ key: "terpenes", terpName: t.label })}
+                    onChange={(e) => setTerp(i, { label: e.target.value })}
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  <input
+                    type="number"
+                    step="0.001"
+                    value={t.pct}
+                    placeholder={isDetected(t) ? "" : formatMeasurement(t)}
+                    title={t.conversion ? `Converted from ${t.conversion.from}${t.conversion.assumed ? " (unit assumed)" : ""}` : undefined}
+                    onFocus={() => setFocus({ key: "terpenes", terpName: t.label })}
+                    onChange={(e) => setTerpPct(i, e.target.value)}
+                    className="w-24 px-2 py-1 border border-gray-300 rounded text-sm font-mono"
+                  />
+                  <button onClick={() => removeTerp(i)} className="px-2 text-gray-400 hover:text-red-600" title="Remove row">
+                    🗑️
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button onClick={addTerp} className="mt-2 text-xs font-semibold text-green-700 hover:text-green-800">
+              ➕ Add terpene
+            </button>
+          </div>
+        </div>
+
+        {/* Raw text with the focused field's source highlighted */}
+        <div className="bg-gray-50 rounded-lg border border-gray-200 max-h-[32rem] overflow-auto p-3 font-mono text-[11px] leading-snug">
+          {pages.length === 0 && <p className="text-gray-400">No extracted text kept for this file.</p>}
+          {pages.map((p) => (
+            <div key={p.page} className="mb-3">
+              {pages.length > 1 && <div className="text-gray-400 mb-1">— page {p.page} —</div>}
+              {p.lines.map((text, i) => {
+                const hit = lineMatches(focus, focusSrc, p.page, i + 1, text);
+                return (
+                  <div
+                    key={i}
+                    ref={hit ? (el) => el?.scrollIntoView({ block: "nearest" }) : undefined}
+                    className={`flex gap-2 whitespace-pre-wrap ${hit ? "bg-yellow-200 text-gray-900" : "text-gray-600"}`}
+                  >
+                    <span className="w-8 shrink-0 text-right text-gray-300 select-none">{i + 1}</span>
+                    <span>{text || " "}</span>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+// src/components/CsvImportDialog.jsx
+import { useEffect, useMemo, useState } from "react";
+import { useMmetStore } from "../store/mmetStore";
+import { parseDelimited, guessMapping, mappingForHeaders, fieldOptions, rowsToRecords } from "../utils/csvImport";
+
+const OPTIONS = fieldOptions();
+
+// The saved preset covering the most of this file's columns (at least half of them)
+function bestPreset(presets, headers) {
+  let best = null;
+  for (const p of presets) {
+    const { matched } = mappingForHeaders(headers, p.mapping);
+    if (matched > 0 && matched >= headers.length / 2 && (!best || matched > best.matched)) best = { preset: p, matched };
+  }
+  return best?.preset || null;
+}
+
+/**
+ * Column-mapping dialog for spreadsheet imports: map each column, preview which rows pass
+ * validation, then create one product per valid row.
+ */
+export default function CsvImportDialog({ file, onClose }) {
+  const { csvMappingPresets, saveCsvMappingPreset, deleteCsvMappingPreset, importCsvRecords } = useMmetStore();
+
+  const [table, setTable] = useState(null);
+  const [readError, setReadError] = useState(null);
+  // One field key per column index (csvImport.js)
+  const [mapping, setMapping] = useState([]);
+  const [presetId, setPresetId] = useState("");
+  const [presetName, setPresetName] = useState("");
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    file
+      .text()
+      .then((text) => {
+        if (cancelled) return;
+        const parsed = parseDelimited(text);
+        if (!parsed.headers.length) throw new Error("The file is empty");
+        const preset = bestPreset(csvMappingPresets, parsed.headers);
+        setTable(parsed);
+        setMapping(preset ? mappingForHeaders(parsed.headers, preset.mapping).mapping : guessMapping(parsed.headers));
+        setPresetId(preset?.id || "");
+        setPresetName(preset?.name || "");
+      })
+      .catch((e) => !cancelled && setReadError(e?.message || String(e)));
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  const validation = useMemo(
+    () => (table ? rowsToRecords(table.headers, table.rows, mapping) : { records: [], failures: [] }),
+    [table, mapping]
+  );
+
+  const applyPreset = (id) => {
+    setPresetId(id);
+    const preset = csvMappingPresets.find((p) => p.id === id);
+    if (!preset || !table) return;
+    setMapping(mappingForHeaders(table.headers, preset.mapping).mapping);
+    setPresetName(preset.name);
+  };
+
+  const handleSavePreset = () => {
+    const preset = saveCsvMappingPreset(presetName, table.headers, mapping);
+    if (preset) setPresetId(preset.id);
+  };
+
+  const handleDeletePreset = () => {
+    if (!presetId) return;
+    deleteCsvMappingPreset(presetId);
+    setPresetId("");
+  };
+
+  const handleImport = () => {
+    const products = importCsvRecords(validation.records, { sourceFileName: file.name });
+    setResult({ imported: products.length, failures: validation.failures });
+  };
+
+  const sample = (col) =>
+    (table?.rows || [])
+      .map((r) => r[col])
+      .filter(Boolean)
+      .slice(0, 2)
+      .join(" · ");
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/50 flex items-center justify-center p-4">
+      <div className="bg-white w-full max-w-3xl max-h-[90vh] rounded-2xl shadow-2xl overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="bg-gradient-to-r from-green-600 to-emerald-600 text-white p-6">
+          <h2 className="text-2xl font-bold mb-1">Import spreadsheet</h2>
+          <p className="text-sm text-green-100">
+            {file.name}
+            {table && ` · ${table.rows.length} row(s) · ${table.delimiter === "\t" ? "tab" : `"${table.delimiter}"`}-separated`}
+          </p>
+        </div>
+
+        <div className="p-6 overflow-auto space-y-4">
+          {readError && <p className="text-sm text-red-700">Could not read the file: {readError}</p>}
+
+          {result ? (
+            <div className="space-y-3">
+              <p className="font-semibold text-green-800">✓ Imported {result.imported} product(s)</p>
+              {result.failures.length > 0 && <FailureList failures={result.failures} title="Skipped rows" />}
+            </div>
+          ) : (
+            table && (
+              <>
+                {/* Presets */}
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <select
+                    value={presetId}
+                    onChange={(e) => applyPreset(e.target.value)}
+                    className="px-2 py-1.5 border border-gray-300 rounded-lg"
+                  >
+                    <option value="">— Mapping preset —</option>
+                    {csvMappingPresets.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.name}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    value={presetName}
+                    onChange={(e) => setPresetName(e.target.value)}
+                    placeholder="Preset name"
+                    className="flex-1 min-w-[8rem] px-2 py-1.5 border border-gray-300 rounded-lg"
+                  />
+                  <button
+                    onClick={handleSavePreset}
+                    disabled={!presetName.trim()}
+                    className="px-3 py-1.5 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50 text-gray-800 font-semibold"
+                  >
+                    💾 Save preset
+                  </button>
+                  {presetId && (
+                    <button onClick={handleDeletePreset} className="px-2 text-gray-400 hover:text-red-600" title="Delete preset">
+                      🗑️
+                    </button>
+                  )}
+                </div>
+
+                {/* Column mapping */}
+                <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+                  {table.headers.map((header, col) => (
+                    <div key={col} className="flex items-center gap-3 px-3 py-2 text-sm">
+                      <div className="flex-1 min-w-0">
+                        <div className="font-semibold text-gray-800 truncate">{header}</div>
+                        <div className="text-xs text-gray-400 truncate">{sample(col) || "empty"}</div>
+                      </div>
+                      <select
+                        value={mapping[col] || ""}
+                        onChange={(e) => setMapping((m) => table.headers.map((_, i) => (i === col ? e.target.value : m[i] || "")))}
+                        className={`w-56 px-2 py-1 border rounded-lg ${mapping[col] ? "border-green-300 bg-green-50" : "border-gray-300"}`}
+                      >
+                        <option value="">Ignore</option>
+                        {OPTIONS.map((o) => (
+                          <option key={o.value} value={o.value}>
+                            {o.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+
+                {/* Validation report */}
+                <p className="text-sm text-gray-700">
+                  <span className="font-semibold text-green-700">{validation.records.length} row(s) ready</span>
+                  {validation.failures.length > 0 && (
+                    <span className="font-semibold text-red-700"> · {validation.failures.length} with errors</span>
+                  )}
+                </p>
+                {validation.failures.length > 0 && <FailureList failures={validation.failures} title="Rows that will be skipped" />}
+              </>
+            )
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-100">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-semibold"
+          >
+            {result ? "Done" : "Cancel"}
+          </button>
+          {!result && (
+            <button
+              onClick={handleImport}
+              disabled={!validation.records.length}
+              className="px-4 py-2 rounded-lg bg-green-600 hover:bg-green-700 disabled:bg-gray-300 text-white text-sm font-semibold"
+            >
+              ✓ Import {validation.records.length} product(s)
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function FailureList({ failures, title }) {
+  return (
+    <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-800 max-h-48 overflow-auto">
+      <p className="font-semibold mb-1">{title}</p>
+      {failures.map((f, i) => (
+        <div key={i}>
+          • {f.row != null ? `Row ${f.row}` : "Mapping"}
+          {f.name ? ` (${f.name})` : ""}: {f.errors.join("; ")}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,12 +1,22 @@
 // src/components/ManualInput.jsx
 import { useState } from "react";
+import { dosingFromFields, doseMgFor } from "../utils/dosing";
+import { FORM_OPTIONS, FORM_LABELS, isDosedForm } from "../utils/mmetBaselineFormulas";
+
+const EMPTY_DOSING_FIELDS = { mgPerUnit: "", unitsPerPackage: "", servingAmount: "", servingUnit: "unit", volumeMl: "", doseMg: "" };
 
 export default function ManualInput({ onCreateProduct }) {
   const [name, setName] = useState("");
-  const [form, setForm] = useState("");
+  // FORM_MODIFIERS key ("vape_cart"); the product's form text is its label
+  const [formType, setFormType] = useState("");
   const [thc, setThc] = useState("");
   const [terpenes, setTerpenes] = useState("");
   const [totalTerpenes, setTotalTerpenes] = useState("");
+  // Edibles / capsules / tinctures: per-unit numbers and the dose to predict for
+  const [dosing, setDosing] = useState(EMPTY_DOSING_FIELDS);
+
+  const isDosed = isDosedForm(formType);
+  const setDosingField = (key, value) => setDosing((d) => ({ ...d, [key]: value }));
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -26,13 +36,24 @@ export default function ManualInput({ onCreateProduct }) {
       }
     }
 
+    const productDosing = isDosed ? dosingFromFields(dosing) : null;
+
+    // Dosed forms are predicted from mg when there is a dose, else from THC %; one is needed
+    if (isDosed && !(parseFloat(thc) > 0) && !doseMgFor({ dosing: productDosing })) {
+      alert("Enter Total THC (%) or the mg THC per unit (or a dose to predict for).");
+      return;
+    }
+
     const product = {
       name: name.trim(),
-      form: form.trim(),
+      form: FORM_LABELS[formType] || "",
+      formType: formType || null,
       metrics: {
         totalTHC: parseFloat(thc) || 0,
         totalTerpenes: parseFloat(totalTerpenes) || 0,
+        thcPerUnitMg: productDosing?.mgPerUnit ?? null,
       },
+      dosing: productDosing,
       terpenes: parsedTerpenes,
       top6: parsedTerpenes.slice(0, 6),
       isManual: true,
@@ -42,10 +63,11 @@ export default function ManualInput({ onCreateProduct }) {
 
     // Reset form
     setName("");
-    setForm("");
+    setFormType("");
     setThc("");
     setTerpenes("");
     setTotalTerpenes("");
+    setDosing(EMPTY_DOSING_FIELDS);
   };
 
   return (
@@ -72,20 +94,29 @@ export default function ManualInput({ onCreateProduct }) {
         {/* Form */}
         <div>
           <label className="block text-sm font-semibold text-gray-700 mb-1">Form *</label>
-          <input
-            type="text"
-            value={form}
-            onChange={(e) => setForm(e.target.value)}
-            placeholder="e.g., Live Badder, Flower, Cart"
-            className="w-full p-2 border border-gray-300 rounded-lg"
+          <select
+            value={formType}
+            onChange={(e) => setFormType(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded-lg bg-white"
             required
-          />
+          >
+            <option value="" disabled>
+              Choose how it's consumed…
+            </option>
+            {FORM_OPTIONS.map((o) => (
+              <option key={o.key} value={o.key}>
+                {o.label}
+              </option>
+            ))}
+          </select>
         </div>
 
         {/* THC and Total Terpenes */}
         <div className="grid grid-cols-2 gap-4">
           <div>
-            <label className="block text-sm font-semibold text-gray-700 mb-1">Total THC (%) *</label>
+            <label className="block text-sm font-semibold text-gray-700 mb-1">
+              Total THC (%) {isDosed ? <span className="font-normal text-gray-500">or a mg dose below *</span> : "*"}
+            </label>
             <input
               type="number"
               step="0.01"
@@ -93,7 +124,7 @@ export default function ManualInput({ onCreateProduct }) {
               onChange={(e) => setThc(e.target.value)}
               placeholder="e.g., 74.8"
               className="w-full p-2 border border-gray-300 rounded-lg"
-              required
+              required={!isDosed}
             />
           </div>
           <div>
@@ -109,6 +140,83 @@ export default function ManualInput({ onCreateProduct }) {
           </div>
         </div>
 
+        {/* Dosing (edibles, capsules, drinks, tinctures, RSO) */}
+        {isDosed && (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 space-y-3">
+            <p className="text-xs text-amber-800">
+              Edibles, capsules, drinks, tinctures and RSO are predicted from the mg dose, not THC %. Fill in what the
+              package says.
+            </p>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">THC per unit (mg)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  value={dosing.mgPerUnit}
+                  onChange={(e) => setDosingField("mgPerUnit", e.target.value)}
+                  placeholder="e.g., 10"
+                  className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">Units per package</label>
+                <input
+                  type="number"
+                  step="1"
+                  value={dosing.unitsPerPackage}
+                  onChange={(e) => setDosingField("unitsPerPackage", e.target.value)}
+                  placeholder="e.g., 10"
+                  className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">Serving size</label>
+                <div className="flex gap-1">
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={dosing.servingAmount}
+                    onChange={(e) => setDosingField("servingAmount", e.target.value)}
+                    placeholder="1"
+                    className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                  <select
+                    value={dosing.servingUnit}
+                    onChange={(e) => setDosingField("servingUnit", e.target.value)}
+                    className="p-2 border border-gray-300 rounded-lg text-sm"
+                  >
+                    <option value="unit">unit(s)</option>
+                    <option value="mL">mL</option>
+                  </select>
+                </div>
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">Volume (mL, tinctures)</label>
+                <input
+                  type="number"
+                  step="1"
+                  value={dosing.volumeMl}
+                  onChange={(e) => setDosingField("volumeMl", e.target.value)}
+                  placeholder="e.g., 30"
+                  className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-700 mb-1">Dose to predict for (mg THC)</label>
+              <input
+                type="number"
+                step="0.5"
+                value={dosing.doseMg}
+                onChange={(e) => setDosingField("doseMg", e.target.value)}
+                placeholder="Blank = one serving"
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+          </div>
+        )}
+
         {/* Terpenes */}
         <div>
           <label className="block text-sm font-semibold text-gray-700 mb-1">
@@ -0,0 +1,401 @@
+// src/components/ModelConfigSettings.jsx
+import { useEffect, useMemo, useState } from "react";
+import { useMmetStore } from "../store/mmetStore";
+import { CANNABINOID_LABELS } from "../utils/cannabinoids";
+import {
+  DEFAULT_MODEL_CONFIG,
+  DEFAULT_MODEL_CONFIG_ID,
+  ENGINE_VERSION,
+  findModelConfig,
+  formatModelConfigRef,
+  isOutdatedConfig,
+  latestVersion,
+  setConfigValue,
+} from "../utils/modelConfig";
+
+const DIM_NAMES = {
+  head: "Head",
+  clarity: "Clarity",
+  sedation: "Sedation",
+  couch: "Couch",
+  pain: "Pain",
+  appetite: "Appetite",
+  anxietyRisk: "Anxiety risk",
+  intensity: "Intensity",
+};
+
+const FORM_FIELDS = [
+  ["intensityMod", "Intensity ×"],
+  ["durationMod", "Duration ×"],
+  ["anxietyRiskAdd", "Anxiety +"],
+  ["terpeneRetention", "Terp retention"],
+  ["onsetMinutes", "Onset min"],
+  ["baseDurationHours", "Base hours"],
+];
+
+const CURVE_FIELDS = [
+  ["floor", "Floor"],
+  ["ceiling", "Ceiling"],
+  ["ec50", "Half at"],
+  ["hill", "Steepness"],
+];
+
+const inputClass = "w-20 px-2 py-1 border border-gray-300 rounded-lg text-sm font-mono";
+
+/** Number input that only reports parseable values; shows the saved value again on blur. */
+function NumberField({ label, value, onChange, step = "0.01", min }) {
+  const [text, setText] = useState(value ?? "");
+  useEffect(() => setText(value ?? ""), [value]);
+
+  return (
+    <label className="text-xs text-gray-700">
+      {label && <span className="block font-semibold mb-1">{label}</span>}
+      <input
+        type="number"
+        step={step}
+        min={min}
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          const n = Number(e.target.value);
+          if (e.target.value.trim() !== "" && Number.isFinite(n)) onChange(n);
+        }}
+        onBlur={() => setText(value ?? "")}
+        className={inputClass}
+      />
+    </label>
+  );
+}
+
+function Section({ title, children }) {
+  return (
+    <details className="mt-3 border border-gray-100 rounded-lg p-3">
+      <summary className="cursor-pointer text-xs font-semibold text-gray-700">{title}</summary>
+      <div className="mt-3 space-y-3">{children}</div>
+    </details>
+  );
+}
+
+/**
+* Engine settings: weights, potency curves (and display bands), form modifiers, isomer potency, terpene coefficients,
+* minor cannabinoid modifiers and anxiety rules. Edits are a draft until saved; saving makes the next version of the
+* config's name and switches predictions to it. A config saved for another engine keeps scoring with its numbers
+* (defaults for settings it predates) and is flagged until it's checked and saved again for the current engine.
+*/
+export default function ModelConfigSettings() {
+  const { modelConfigs, activeModelConfigId, saveModelConfig, setActiveModelConfig, removeModelConfig } = useMmetStore();
+  const selected = useMemo(
+    () => modelConfigs.find((c) => c.id === activeModelConfigId) || DEFAULT_MODEL_CONFIG,
+    [modelConfigs, activeModelConfigId]
+  );
+  const outdated = isOutdatedConfig(selected);
+  const active = useMemo(() => findModelConfig(modelConfigs, activeModelConfigId), [modelConfigs, activeModelConfigId]);
+  const [draft, setDraft] = useState(active);
+
+  useEffect(() => setDraft(active), [active]);
+
+  const edited = JSON.stringify(draft) !== JSON.stringify(active);
+  // An outdated config can be saved unedited, to record it for this engine
+  const dirty = outdated || edited;
+  const nextVersion = latestVersion(modelConfigs, draft.name) + 1;
+  const set = (path) => (value) => setDraft((d) => setConfigValue(d, path, value));
+
+  // Bands are contiguous: moving a band's lower edge moves the previous band's upper edge
+  const setBandMin = (key, i) => (value) =>
+    setDraft((d) => {
+      let next = setConfigValue(d, [key, i, "min"], value);
+      if (i > 0) next = setConfigValue(next, [key, i - 1, "max"], value);
+      return next;
+    });
+
+  const handleSave = () => {
+    const saved = saveModelConfig(draft);
+    alert(`✓ Saved ${formatModelConfigRef(saved)}`);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete ${formatModelConfigRef(selected)}? Predictions already logged keep its name and version.`)) {
+      removeModelConfig(selected.id);
+    }
+  };
+
+  const bandTable = (key, unit) => (
+    <div className="space-y-2">
+      {draft[key].map((band, i) => (
+        <div key={band.key} className="flex flex-wrap items-end gap-3">
+          <span className="w-28 text-xs font-semibold text-gray-700">{band.label}</span>
+          <NumberField label={`From ${unit}`} value={band.min} onChange={setBandMin(key, i)} step="0.5" min="0" />
+        </div>
+      ))}
+    </div>
+  );
+
+  // One dose-response curve: potency and anxiety risk, each floor/ceiling/ec50/hill
+  const curveRow = (title, path, curve) => (
+    <div key={path.join(".")} className="border-t border-gray-100 pt-2 space-y-2">
+      <span className="block text-xs font-semibold text-gray-700">{title}</span>
+      {["potency", "anxietyRisk"].map((out) => (
+        <div key={out} className="flex flex-wrap items-end gap-3">
+          <span className="w-28 text-xs text-gray-500">{out === "potency" ? "Potency" : "Anxiety risk"}</span>
+          {CURVE_FIELDS.map(([field, label]) => (
+            <NumberField
+              key={field}
+              label={label}
+              value={curve[out]?.[field]}
+              onChange={set([...path, out, field])}
+              step={field === "ec50" ? "0.5" : "0.01"}
+              min="0"
+            />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <details className="bg-white rounded-xl shadow-md p-4 mb-6">
+      <summary className="cursor-pointer text-sm font-semibold text-gray-700">
+        ⚙️ Model config <span className="font-normal text-gray-500">· {formatModelConfigRef(active)}</span>{" "}
+        {dirty && <span className="text-xs font-normal text-amber-700">(unsaved edits)</span>}
+      </summary>
+      <p className="mt-2 text-xs text-gray-500">
+        The numbers the baseline engine predicts with. Saving makes a new version; every prediction and logged
+        session records the version it came from.
+      </p>
+
+      <div className="mt-3 flex flex-wrap items-end gap-3">
+        <label className="text-xs text-gray-700">
+          <span className="block font-semibold mb-1">Active config</span>
+          <select
+            value={selected.id}
+            onChange={(e) => setActiveModelConfig(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value={DEFAULT_MODEL_CONFIG_ID}>{formatModelConfigRef(DEFAULT_MODEL_CONFIG)} (built-in)</option>
+            {modelConfigs.map((c) => (
+              <option key={c.id} value={c.id}>
+                {formatModelConfigRef(c)}
+                {isOutdatedConfig(c) ? " (older engine)" : ""}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-700">
+          <span className="block font-semibold mb-1">Name</span>
+          <input
+            value={draft.name}
+            onChange={(e) => set(["name"])(e.target.value)}
+            className="w-48 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+          />
+        </label>
+        <button
+          onClick={handleSave}
+          disabled={!dirty}
+          className="px-3 py-1.5 rounded-lg bg-emerald-600 hover:bg-emerald-700 disabled:bg-gray-300 text-white text-xs font-semibold"
+        >
+          💾 Save as v{nextVersion}
+        </button>
+        <button
+          onClick={() => setDraft(active)}
+          disabled={!edited}
+          className="px-3 py-1.5 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50 text-gray-700 text-xs font-semibold"
+        >
+          ↩️ Discard edits
+        </button>
+        {selected.id !== DEFAULT_MODEL_CONFIG_ID && (
+          <button
+            onClick={handleDelete}
+            className="px-3 py-1.5 rounded-lg bg-red-50 hover:bg-red-100 text-red-700 text-xs font-semibold"
+          >
+            🗑️ Delete this version
+          </button>
+        )}
+      </div>
+      {selected.basedOn && (
+        <div className="mt-1 text-xs text-gray-400">Edited from {formatModelConfigRef(selected.basedOn)}</div>
+      )}
+      {outdated && (
+        <p className="mt-2 p-2 rounded-lg bg-amber-50 border border-amber-200 text-xs text-amber-800">
+          ⚠️ {formatModelConfigRef(selected)} was saved{" "}
+          {selected.engineVersion != null ? `for engine v${selected.engineVersion}` : "before configs recorded their engine"}; the
+          engine is now v{ENGINE_VERSION}. Predictions still use its numbers, with defaults for settings it predates, so
+          scores may differ from when it was saved. THC and dose bands no longer set potency or anxiety risk: check the
+          potency curves, then save to record it for this engine.
+        </p>
+      )}
+
+      <Section title="Weights">
+        <div className="flex flex-wrap items-end gap-4">
+          <NumberField label="Terpenes" value={draft.weights.terp} onChange={set(["weights", "terp"])} min="0" />
+          <NumberField label="Form" value={draft.weights.form} onChange={set(["weights", "form"])} min="0" />
+          <span className="text-xs text-gray-500">THC gets the rest: (1 − terpenes) × (1 − form)</span>
+        </div>
+      </Section>
+
+      <Section title="Potency curves">
+        <p className="text-xs text-gray-500">
+          Smooth dose-response: starts at the floor, is half way to the ceiling at “half at” (THC % or mg), and
+          rises faster with higher steepness.
+        </p>
+        {Object.entries(draft.potencyCurves).map(([form, curve]) =>
+          curveRow(`THC % · ${form === "default" ? "all other forms" : form.replace(/_/g, " ")}`, ["potencyCurves", form], curve)
+        )}
+        {curveRow("Edible mg dose", ["doseCurve"], draft.doseCurve)}
+      </Section>
+
+      <Section title="THC % band labels (display only)">{bandTable("thcBands", "%")}</Section>
+      <Section title="Edible mg band labels (display only)">{bandTable("doseBands", "mg")}</Section>
+
+      <Section title="Form modifiers">
+        {Object.entries(draft.formModifiers).map(([key, form]) => (
+          <div key={key} className="flex flex-wrap items-end gap-3">
+            <span className="w-28 text-xs font-semibold text-gray-700">{key.replace(/_/g, " ")}</span>
+            {FORM_FIELDS.map(([field, label]) => (
+              <NumberField key={field} label={label} value={form[field]} onChange={set(["formModifiers", key, field])} />
+            ))}
+          </div>
+        ))}
+      </Section>
+
+      <Section title="THC isomer potency (Δ9-THC = 1)">
+        <p className="text-xs text-gray-500">Isomer % × factor is added to Total THC before the potency curve is read.</p>
+        <div className="flex flex-wrap items-end gap-4">
+          {Object.entries(draft.isomerPotency).map(([key, factor]) => (
+            <NumberField
+              key={key}
+              label={CANNABINOID_LABELS[key] || key}
+              value={factor}
+              onChange={set(["isomerPotency", key])}
+              step="0.1"
+              min="0"
+            />
+          ))}
+        </div>
+      </Section>
+
+      <Section title="Terpene coefficients">
+        <p className="text-xs text-gray-500">
+          Each effect adds strength × (total terpenes ÷ full-strength %) + amount × (terp % ÷ saturation %).
+        </p>
+        <NumberField
+          label="Full strength at total terpenes %"
+          value={draft.terpStrengthFullPct}
+          onChange={set(["terpStrengthFullPct"])}
+          step="0.5"
+          min="0"
+        />
+        {Object.entries(draft.terpModifiers).map(([terp, mod]) => (
+          <div key={terp} className="flex flex-wrap items-end gap-3 border-t border-gray-100 pt-2">
+            <span className="w-28 text-xs font-semibold text-gray-700 capitalize">{terp}</span>
+            <NumberField
+              label="Saturation %"
+              value={mod.saturationPct ?? ""}
+              onChange={set(["terpModifiers", terp, "saturationPct"])}
+              step="0.1"
+              min="0"
+            />
+            {Object.entries(mod.effects || {}).map(([dim, e]) => (
+              <div key={dim} className="flex items-end gap-1">
+                <NumberField
+                  label={`${DIM_NAMES[dim] || dim} strength`}
+                  value={e.strength ?? 0}
+                  onChange={set(["terpModifiers", terp, "effects", dim, "strength"])}
+                />
+                <NumberField
+                  label="amount"
+                  value={e.amount ?? 0}
+                  onChange={set(["terpModifiers", terp, "effects", dim, "amount"])}
+                />
+              </div>
+            ))}
+          </div>
+        ))}
+      </Section>
+
+      <Section title="Minor cannabinoids">
+        <p className="text-xs text-gray-500">
+          Each effect is applied in full once the cannabinoid reaches “full at” (CBD: CBD:THC ratio, others: %), scaled
+          down below that. Intensity scales the form's intensity multiplier (−0.25 = 25% less intense).
+        </p>
+        {Object.entries(draft.minorCannabinoids).map(([key, mod]) => (
+          <div key={key} className="flex flex-wrap items-end gap-3 border-t border-gray-100 pt-2">
+            <span className="w-28 text-xs font-semibold text-gray-700">{mod.label || key}</span>
+            <NumberField
+              label={mod.basis === "ratio" ? "Full at ratio" : "Full at %"}
+              value={mod.fullAt}
+              onChange={set(["minorCannabinoids", key, "fullAt"])}
+              step="0.1"
+              min="0"
+            />
+            {Object.entries(mod.effects || {}).map(([dim, value]) => (
+              <NumberField
+                key={dim}
+                label={DIM_NAMES[dim] || dim}
+                value={value}
+                onChange={set(["minorCannabinoids", key, "effects", dim])}
+              />
+            ))}
+          </div>
+        ))}
+      </Section>
+
+      <Section title="Anxiety and couch-lock rules">
+        {draft.anxietyRules.terpenes.map((rule, i) => (
+          <div key={i} className="flex flex-wrap items-end gap-3">
+            <label className="text-xs text-gray-700">
+              <span className="block font-semibold mb-1">Terpene</span>
+              <input
+                value={rule.terpene}
+                onChange={(e) => set(["anxietyRules", "terpenes", i, "terpene"])(e.target.value.trim().toLowerCase())}
+                className="w-28 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+              />
+            </label>
+            <NumberField label="Above %" value={rule.abovePct} onChange={set(["anxietyRules", "terpenes", i, "abovePct"])} min="0" />
+            <NumberField label="Anxiety risk +" value={rule.add} onChange={set(["anxietyRules", "terpenes", i, "add"])} />
+            <button
+              onClick={() =>
+                set(["anxietyRules", "terpenes"])(draft.anxietyRules.terpenes.filter((_, j) => j !== i))
+              }
+              className="px-2 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 text-xs"
+              title="Remove rule"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={() =>
+            set(["anxietyRules", "terpenes"])([...draft.anxietyRules.terpenes, { terpene: "", abovePct: 0.3, add: 0 }])
+          }
+          className="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 text-xs font-semibold"
+        >
+          ➕ Add terpene rule
+        </button>
+
+        <div className="flex flex-wrap items-end gap-3 border-t border-gray-100 pt-2">
+          <span className="w-40 text-xs font-semibold text-gray-700">Low terpene retention</span>
+          <NumberField
+            label="Retention below"
+            value={draft.anxietyRules.lowRetention?.below ?? 0}
+            onChange={set(["anxietyRules", "lowRetention", "below"])}
+            min="0"
+          />
+          <NumberField
+            label="Anxiety risk ×"
+            value={draft.anxietyRules.lowRetention?.multiplier ?? 1}
+            onChange={set(["anxietyRules", "lowRetention", "multiplier"])}
+            min="0"
+          />
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3 border-t border-gray-100 pt-2">
+          <span className="w-40 text-xs font-semibold text-gray-700 capitalize">
+            Couch-lock ({draft.couchLockRule.terpene})
+          </span>
+          <NumberField label="Above %" value={draft.couchLockRule.abovePct} onChange={set(["couchLockRule", "abovePct"])} min="0" />
+          <NumberField label="Couch +" value={draft.couchLockRule.add} onChange={set(["couchLockRule", "add"])} />
+        </div>
+      </Section>
+    </details>
+  );
+}
@@ -1,5 +1,21 @@
 import React, { useEffect, useState } from "react";
 import { DIMS } from "../utils/scoring";
+import CannabinoidPanel from "./CannabinoidPanel";
+import ScoreWaterfall from "./ScoreWaterfall";
+import SafetyBadges from "./SafetyBadges";
+import { KEY_METRICS, lowConfidenceFields } from "../utils/provenance";
+import { isDetected } from "../utils/units";
+import { coaFreshness } from "../utils/coaMetadata";
+import { coaUrlHost } from "../utils/coaUrl";
+import { sampleLabel } from "../utils/coaSamples";
+import { doseMgFor, formatDosing } from "../utils/dosing";
+import { productFormType, isDosedForm, FORM_LABELS, effectiveTHC, ISOMER_POTENCY } from "../utils/mmetBaselineFormulas";
+import { formatModelConfigRef } from "../utils/modelConfig";
+import { thcIsomerRows } from "../utils/cannabinoids";
+import { localeLabel } from "../utils/coaLocale";
+import { DUPLICATE_KINDS } from "../utils/coaDuplicates";
+
+const METRIC_LABELS = { totalTHC: "THC", totalTerpenes: "Total terpenes" };
 
 // Default color config if not provided
 const DEFAULT_DIM_CONFIG = {
@@ -9,6 +25,7 @@ const DEFAULT_DIM_CONFIG = {
   clarity: { label: "Clarity", color: "bg-blue-500", hoverColor: "hover:bg-blue-600", textColor: "text-blue-500", barColor: "bg-blue-500" },
   duration: { label: "Duration", color: "bg-green-500", hoverColor: "hover:bg-green-600", textColor: "text-green-500", barColor: "bg-green-500" },
   functionality: { label: "Functionality", color: "bg-teal-500", hoverColor: "hover:bg-teal-600", textColor: "text-teal-500", barColor: "bg-teal-500" },
+  appetite: { label: "Appetite", color: "bg-pink-500", hoverColor: "hover:bg-pink-600", textColor: "text-pink-500", barColor: "bg-pink-500" },
   anxiety: { label: "Anxiety Risk", color: "bg-yellow-500", hoverColor: "hover:bg-yellow-600", textColor: "text-yellow-500", barColor: "bg-yellow-500" },
 };
 
@@ -20,24 +37,73 @@ export default function ProductCard({
   onLog,
   onRemove,
   onRename, // ✅ NEW
+  onSetDose,
+  onMerge,
+  duplicate,
+  modelConfig,
+  coaMaxAgeDays,
 }) {
   const s = scores || {};
-  const terpsCount = product?.terpenes?.length || 0;
+  const terpsCount = (product?.terpenes || []).filter(isDetected).length;
+  const terpsNotQuantified = (product?.terpenes?.length || 0) - terpsCount;
   const config = dimConfig || DEFAULT_DIM_CONFIG;
 
   const [isEditingName, setIsEditingName] = useState(false);
   const [nameDraft, setNameDraft] = useState(product?.name || "");
+  const [showCannabinoids, setShowCannabinoids] = useState(false);
+  const [showWhy, setShowWhy] = useState(false);
+  const provenance = product?.coa?.provenance || {};
+  const shakyMetrics = lowConfidenceFields(provenance, KEY_METRICS);
+  const shakyTitle = shakyMetrics
+    .map((k) => {
+      const src = provenance[k];
+      const where = src.page ? ` (page ${src.page}, line ${src.line})` : "";
+      return `${METRIC_LABELS[k] || k}: ${src.strategy}, ${Math.round(src.confidence * 100)}% confidence${where}`;
+    })
+    .join("\n");
+  const hasCannabinoidPanel = Object.keys(product?.metrics?.cannabinoids || {}).length > 0;
+  // THCa / Δ9 / Δ8 / Δ10 / THC-P / HHC; the weighted ones also feed the Δ9-equivalent THC
+  const isomerRows = thcIsomerRows(product?.metrics?.cannabinoids);
+  const isomerPotency = modelConfig?.isomerPotency || ISOMER_POTENCY;
+  const thcEquivalent = effectiveTHC(product?.metrics?.totalTHC, product?.metrics?.cannabinoids, isomerPotency);
+  const isomerFactor = (key) => (key in ISOMER_POTENCY ? isomerPotency?.[key] ?? ISOMER_POTENCY[key] : null);
+  const lab = product?.coa?.lab || {};
+  const batch = product?.coa?.batch || {};
+  const freshness = coaFreshness(product?.coa, { maxAgeDays: coaMaxAgeDays });
 
   useEffect(() => {
     setNameDraft(product?.name || "");
   }, [product?.name]);
 
+  // Edibles, capsules, drinks, tinctures, RSO: the mg dose the prediction is for (blank = one serving)
+  const formKey = productFormType(product);
+  const isDosed = isDosedForm(formKey);
+  const servingDoseMg = doseMgFor({ ...product, dosing: { ...(product?.dosing || {}), doseMg: null } });
+  const [doseDraft, setDoseDraft] = useState(product?.dosing?.doseMg ?? "");
+
+  useEffect(() => {
+    setDoseDraft(product?.dosing?.doseMg ?? "");
+  }, [product?.dosing?.doseMg]);
+
+  const commitDose = () => {
+    if (String(doseDraft) !== String(product?.dosing?.doseMg ?? "")) onSetDose?.(product.id, doseDraft);
+  };
+
   const handleRemove = () => {
     if (window.confirm(`Remove "${product?.name}"?`)) {
       onRemove(product.id);
     }
   };
 
+  // Saved twice (same file or a retest of the same batch): fold this card into the other one
+  const handleMerge = () => {
+    const other = duplicate?.match;
+    if (!other) return;
+    if (window.confirm(`Merge "${product?.name}" into "${other.name}"? Its logged sessions move over; the later-tested COA supplies the numbers.`)) {
+      onMerge?.(other.id, product.id);
+    }
+  };
+
   const commitRename = () => {
     const next = String(nameDraft || "").trim();
     if (!next) return alert("Name cannot be blank.");
@@ -102,22 +168,94 @@ export default function ProductCard({
             )}
 
             <div className="flex flex-wrap gap-2 mt-2 text-xs">
-              <span className="bg-green-100 text-green-800 px-2 py-1 rounded font-medium">
-                {product?.form || "—"}
+              <span className="bg-green-100 text-green-800 px-2 py-1 rounded font-medium" title={`Modelled as ${FORM_LABELS[formKey] || formKey}`}>
+                {product?.form || FORM_LABELS[formKey] || "—"}
               </span>
               {product?.isBlend && (
                 <span className="bg-purple-100 text-purple-800 px-2 py-1 rounded font-medium">
                   🌪️ Blend
                 </span>
               )}
+              {shakyMetrics.length > 0 && (
+                <span
+                  className="bg-red-100 text-red-800 px-2 py-1 rounded font-medium"
+                  title={`Low-confidence parse — check against the COA:\n${shakyTitle}`}
+                >
+                  ⚠️ Check {shakyMetrics.map((k) => METRIC_LABELS[k] || k).join(" & ")}
+                </span>
+              )}
+              {freshness.status === "expired" && (
+                <span
+                  className="bg-red-100 text-red-800 px-2 py-1 rounded font-medium"
+                  title={`COA expired ${freshness.expirationDate}`}
+                >
+                  ⛔ COA expired
+                </span>
+              )}
+              {freshness.status === "stale" && (
+                <span
+                  className="bg-amber-100 text-amber-800 px-2 py-1 rounded font-medium"
+                  title={`Tested ${freshness.since} — older than ${coaMaxAgeDays} days`}
+                >
+                  ⏳ COA {freshness.ageDays}d old
+                </span>
+              )}
+              {product?.coa?.ocr && (
+                <span
+                  className="bg-amber-100 text-amber-800 px-2 py-1 rounded font-medium"
+                  title={`Read by OCR (confidence ${Math.round((product.coa.ocr.confidence || 0) * 100)}%) — double-check the numbers`}
+                >
+                  🔍 OCR
+                </span>
+              )}
+              {product?.imported && (
+                <span
+                  className="bg-blue-100 text-blue-800 px-2 py-1 rounded font-medium"
+                  title={`Imported from ${product.imported.sourceFileName || "spreadsheet"}, row ${product.imported.row}`}
+                >
+                  📊 Spreadsheet
+                </span>
+              )}
               {product?.isManual && (
                 <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded font-medium">
                   ✍️ Manual
                 </span>
               )}
+              {duplicate?.match && onMerge && (
+                <button
+                  onClick={handleMerge}
+                  className="bg-amber-100 hover:bg-amber-200 text-amber-800 px-2 py-1 rounded font-medium transition-colors"
+                  title={
+                    duplicate.kind === DUPLICATE_KINDS.RETEST
+                      ? `Same batch as "${duplicate.match.name}" — merge to keep one product`
+                      : `Same COA file as "${duplicate.match.name}" — merge to keep one product`
+                  }
+                >
+                  🔗 Merge into "{duplicate.match.name}"
+                </button>
+              )}
             </div>
+
+            {product?.coa ? (
+              <div className="mt-2">
+                <SafetyBadges safety={product.coa.safety} />
+              </div>
+            ) : (
+              <div className="mt-2 text-[11px] text-gray-500" title="Nothing was lab-tested for this product, so it is neither passed nor failed">
+                📄 No COA — safety panels unknown
+              </div>
+            )}
           </div>
 
+          {product?.labelPhoto?.dataUrl && (
+            <img
+              src={product.labelPhoto.dataUrl}
+              alt="Product label"
+              title={`Label photo${product.labelPhoto.qrData ? ` — QR: ${product.labelPhoto.qrData}` : ""}`}
+              className="flex-shrink-0 w-14 h-14 object-cover rounded-lg border border-gray-200"
+            />
+          )}
+
           <button
             onClick={handleRemove}
             className="flex-shrink-0 w-8 h-8 flex items-center justify-center rounded-lg bg-red-50 hover:bg-red-100 text-red-600 transition-colors"
@@ -134,7 +272,58 @@ export default function ProductCard({
             <span className="font-semibold">
               {product?.metrics?.totalTHC?.toFixed(1) || "—"}%
             </span>
+            {thcEquivalent.isomers.length > 0 && (
+              <span className="text-gray-400" title="Total THC plus each isomer × its relative potency">
+                {" "}
+                · ≈{thcEquivalent.pct.toFixed(1)}% Δ9-equivalent
+              </span>
+            )}
           </div>
+          {isomerRows.length > 1 || thcEquivalent.isomers.length > 0 ? (
+            <div className="flex flex-wrap gap-1">
+              {isomerRows.map((r) => (
+                <span
+                  key={r.key}
+                  className="bg-gray-100 text-gray-700 px-1.5 py-0.5 rounded"
+                  title={isomerFactor(r.key) != null ? `${isomerFactor(r.key)}× the potency of Δ9-THC` : undefined}
+                >
+                  {r.label} <span className="font-semibold">{r.pct.toFixed(2)}%</span>
+                  {isomerFactor(r.key) != null && <span className="text-gray-400"> ×{isomerFactor(r.key)}</span>}
+                </span>
+              ))}
+            </div>
+          ) : null}
+          {(isDosed || product?.dosing) && (
+            <div className="flex flex-wrap items-center gap-1">
+              Dose:
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={doseDraft}
+                onChange={(e) => setDoseDraft(e.target.value)}
+                onBlur={commitDose}
+                onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                placeholder={servingDoseMg != null ? String(servingDoseMg) : "mg"}
+                className="w-16 px-1 py-0.5 border border-gray-300 rounded text-xs font-semibold"
+                title="mg THC per dose used for the prediction (blank = one serving)"
+              />
+              mg
+              {product?.dosing && <span className="text-gray-400">· {formatDosing(product.dosing)}</span>}
+            </div>
+          )}
+          {product?.metrics?.totalCBD > 0 && (
+            <div>
+              CBD:{" "}
+              <span className="font-semibold">{product.metrics.totalCBD.toFixed(2)}%</span>
+            </div>
+          )}
+          {product?.metrics?.totalCannabinoids > 0 && (
+            <div>
+              Total cannabinoids:{" "}
+              <span className="font-semibold">{product.metrics.totalCannabinoids.toFixed(1)}%</span>
+            </div>
+          )}
           <div>
             Terpenes:{" "}
             <span className="font-semibold">
@@ -143,11 +332,97 @@ export default function ProductCard({
           </div>
           <div>
             Terpenes parsed: <span className="font-semibold">{terpsCount}</span>
+            {terpsNotQuantified > 0 && (
+              <span className="text-gray-400"> (+{terpsNotQuantified} ND/&lt;LOQ)</span>
+            )}
           </div>
+          {(lab.name || batch.batchId || batch.lotId) && (
+            <div className="text-gray-500">
+              {[lab.name, lab.license && `Lic ${lab.license}`].filter(Boolean).join(" · ")}
+              {(batch.batchId || batch.lotId) && (
+                <div>
+                  Batch <span className="font-mono">{batch.batchId || batch.lotId}</span>
+                  {batch.sampleId && (
+                    <>
+                      {" "}· Sample <span className="font-mono">{batch.sampleId}</span>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+          {sampleLabel(product?.coa?.sample) && (
+            <div className="text-gray-500" title={`From ${product.coa.sourceFileName || "a multi-sample PDF"}`}>
+              📑 {sampleLabel(product.coa.sample)}
+            </div>
+          )}
+          {localeLabel(product?.coa?.locale || product?.imported?.locale) && (
+            <div className="text-gray-500" title="Numbers and labels were read in this locale">
+              🌐 {localeLabel(product.coa?.locale || product.imported?.locale)}
+            </div>
+          )}
+          {product?.coa?.history?.length > 0 && (
+            <div
+              className="text-gray-500"
+              title={product.coa.history
+                .map((h) => `${h.testDate || h.parsedAt?.slice(0, 10) || "?"}: ${h.sourceFileName || h.sourceUrl || "COA"} (THC ${h.totalTHC ?? "—"}%)`)
+                .join("\n")}
+            >
+              🔁 Retested · replaces {product.coa.history.length} earlier COA{product.coa.history.length > 1 ? "s" : ""}
+            </div>
+          )}
+          {product?.coa?.sourceUrl && (
+            <div className="text-gray-500 truncate">
+              🔗{" "}
+              <a
+                href={product.coa.sourceUrl}
+                target="_blank"
+                rel="noreferrer"
+                className="underline hover:text-gray-700"
+                title={product.coa.sourceUrl}
+              >
+                {coaUrlHost(product.coa.sourceUrl) || product.coa.sourceUrl}
+              </a>
+            </div>
+          )}
+          {(batch.testDate || batch.packageDate || batch.harvestDate || batch.expirationDate) && (
+            <div className="text-gray-500">
+              {[
+                batch.harvestDate && `Harvested ${batch.harvestDate}`,
+                batch.testDate && `Tested ${batch.testDate}`,
+                batch.packageDate && `Packaged ${batch.packageDate}`,
+                batch.expirationDate && `Expires ${batch.expirationDate}`,
+              ]
+                .filter(Boolean)
+                .join(" · ")}
+            </div>
+          )}
+          {hasCannabinoidPanel && (
+            <div className="pt-1">
+              <button
+                onClick={() => setShowCannabinoids((v) => !v)}
+                className="text-emerald-700 hover:text-emerald-900 font-semibold"
+              >
+                {showCannabinoids ? "▾" : "▸"} Cannabinoid panel
+              </button>
+              {showCannabinoids && (
+                <div className="mt-2 p-2 rounded-lg bg-gray-50 border border-gray-100">
+                  <CannabinoidPanel cannabinoids={product.metrics.cannabinoids} />
+                </div>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Mode Label */}
-        <div className="text-xs font-semibold text-gray-500 mb-3">{modeLabel}</div>
+        <div className="flex items-baseline justify-between gap-2 text-xs font-semibold text-gray-500 mb-3">
+          <span>{modeLabel}</span>
+          {s._model && (
+            <span className="font-normal text-gray-400" title="Model config these scores were computed with">
+              ⚙️ {formatModelConfigRef(s._model)}
+            </span>
+          )}
+        </div>
 
         {/* Effect Bars */}
         <div className="space-y-2.5">
@@ -173,6 +448,20 @@ export default function ProductCard({
           })}
         </div>
 
+        {/* Why this score? (engine trace; blends carry stored scores without one) */}
+        {s._trace && (
+          <div className="mt-3 text-xs">
+            <button onClick={() => setShowWhy((v) => !v)} className="text-emerald-700 hover:text-emerald-900 font-semibold">
+              {showWhy ? "▾" : "▸"} Why this score?
+            </button>
+            {showWhy && (
+              <div className="mt-2 p-2 rounded-lg bg-gray-50 border border-gray-100">
+                <ScoreWaterfall scores={s} dimConfig={config} />
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Log Button */}
         <button
           onClick={onLog}
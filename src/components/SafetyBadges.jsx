@@ -0,0 +1,39 @@
+// src/components/SafetyBadges.jsx
+import { SAFETY_PANELS } from "../utils/safetyPanels";
+
+const STYLES = {
+  pass: { chip: "bg-emerald-50 text-emerald-800 border-emerald-200", icon: "✓" },
+  fail: { chip: "bg-red-100 text-red-800 border-red-300", icon: "✗" },
+  not_tested: { chip: "bg-gray-50 text-gray-500 border-gray-200", icon: "–" },
+  missing: { chip: "bg-gray-50 text-gray-400 border-dashed border-gray-300", icon: "?" },
+};
+
+function panelTitle(label, panel) {
+  if (!panel) return `${label}: not on this COA`;
+  if (panel.status === "not_tested") return `${label}: not tested`;
+  if (panel.status === "pass") return `${label}: pass${panel.analytes ? ` (${panel.analytes} analytes)` : ""}`;
+
+  const lines = panel.failures.map((f) =>
+    f.result != null ? `• ${f.analyte}: ${f.result}${f.limit != null ? ` (limit ${f.limit})` : ""}` : `• ${f.text}`
+  );
+  return [`${label}: FAIL`, ...lines].join("\n");
+}
+
+/**
+ * One chip per safety panel from product.coa.safety (see utils/safetyPanels.js).
+ */
+export default function SafetyBadges({ safety }) {
+  return (
+    <div className="flex flex-wrap gap-1 text-[11px]">
+      {SAFETY_PANELS.map((p) => {
+        const panel = safety?.[p.id];
+        const style = STYLES[panel?.status] || STYLES.missing;
+        return (
+          <span key={p.id} className={`px-1.5 py-0.5 rounded border font-medium ${style.chip}`} title={panelTitle(p.label, panel)}>
+            {style.icon} {p.label}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+// src/components/ScoreWaterfall.jsx
+import { useState } from "react";
+import { DIMS } from "../utils/scoring";
+
+const KIND_COLORS = {
+  potency: "bg-gray-400",
+  rounding: "bg-gray-300",
+  personal: "bg-indigo-400",
+};
+
+const signed = (x) => `${x >= 0 ? "+" : "−"}${Math.abs(x).toFixed(2)}`;
+
+/**
+ * "Why this score?": scores._trace (scoring.calculateBaselineScores) as a waterfall on the 0..5
+ * scale. Each bar runs from the score before a step to the score after it.
+ */
+export default function ScoreWaterfall({ scores, dimConfig }) {
+  const [dim, setDim] = useState("couch");
+  const steps = scores?._trace?.[dim] || [];
+  const final = Number(scores?.[dim] ?? 0);
+  const x = (v) => `${(Math.max(0, Math.min(5, v)) / 5) * 100}%`;
+
+  return (
+    <div className="text-xs">
+      <div className="flex flex-wrap gap-1 mb-2">
+        {DIMS.map((d) => (
+          <button
+            key={d}
+            onClick={() => setDim(d)}
+            className={`px-2 py-0.5 rounded-full font-medium ${
+              d === dim ? `${dimConfig[d].color} text-white` : "bg-gray-100 text-gray-600 hover:bg-gray-200"
+            }`}
+          >
+            {dimConfig[d].label}
+          </button>
+        ))}
+      </div>
+
+      {steps.length === 0 ? (
+        <div className="text-gray-500">Nothing moved this score.</div>
+      ) : (
+        <div className="space-y-1">
+          {steps.map((st, i) => {
+            const from = st.value - st.delta;
+            const color =
+              KIND_COLORS[st.kind] || (st.delta > 0 ? "bg-emerald-500" : st.delta < 0 ? "bg-rose-500" : "bg-gray-300");
+            return (
+              <div key={i} className="flex items-center gap-2" title={`${st.kind}: ${from.toFixed(2)} → ${st.value.toFixed(2)}`}>
+                <span className="w-36 truncate text-gray-700 first-letter:uppercase">{st.label}</span>
+                <div className="relative flex-1 h-2.5 bg-gray-100 rounded">
+                  <div
+                    className={`absolute h-2.5 rounded ${color}`}
+                    style={{
+                      left: x(Math.min(from, st.value)),
+                      width: `calc(${x(Math.max(from, st.value))} - ${x(Math.min(from, st.value))})`,
+                      minWidth: "2px",
+                    }}
+                  />
+                </div>
+                <span className="w-12 text-right font-mono text-gray-600">{signed(st.delta)}</span>
+              </div>
+            );
+          })}
+          <div className="flex items-center gap-2 pt-1 border-t border-gray-100">
+            <span className="w-36 font-semibold text-gray-800">Score</span>
+            <div className="relative flex-1 h-2.5 bg-gray-100 rounded">
+              <div className={`absolute h-2.5 rounded ${dimConfig[dim].barColor}`} style={{ left: 0, width: x(final) }} />
+            </div>
+            <span className="w-12 text-right font-mono font-semibold text-gray-800">{final.toFixed(1)}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
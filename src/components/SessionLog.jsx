@@ -1,6 +1,7 @@
 // src/components/SessionLog.jsx
 import { useState } from 'react';
 import { useMmetStore } from '../store/mmetStore';
+import { terpeneLabel } from '../utils/terpeneDictionary';
 
 /**
  * SessionLog - Import/Export user ratings and view session history
@@ -188,7 +189,7 @@ function SessionCard({ session }) {
                     <ul className="ml-4 mt-1">
                       {product.top6.map((t, i) => (
                         <li key={i}>
-                          {t.name}: {t.pct?.toFixed(2)}%
+                          {terpeneLabel(t.name)}: {t.pct?.toFixed(2)}%
                           {t.band && <span className="text-gray-500"> ({t.band})</span>}
                         </li>
                       ))}
@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import { DIMS } from "../utils/scoring";
+import CannabinoidPanel from "./CannabinoidPanel";
 
 const DIM_LABELS = {
   pain: "Pain Relief",
@@ -8,6 +9,7 @@ const DIM_LABELS = {
   clarity: "Clarity",
   duration: "Duration",
   functionality: "Functionality",
+  appetite: "Appetite",
   anxiety: "Anxiety Risk",
 };
 
@@ -41,6 +43,9 @@ export default function SessionModal({ product, onClose, onSave }) {
           <p className="text-xs text-green-200 mt-1">
             {product.form} • THC: {product.metrics?.totalTHC?.toFixed(1)}%
           </p>
+          <div className="mt-2 text-green-50">
+            <CannabinoidPanel cannabinoids={product.metrics?.cannabinoids} compact />
+          </div>
         </div>
 
         {/* Ratings Grid */}
@@ -2,17 +2,25 @@
 import { create } from "zustand";
 import { devtools, persist } from "zustand/middleware";
 
-import { parseCoaPdf } from "../utils/coaPdfParser";
+import { parseCoaFileInWorker } from "../utils/coaParsePool";
+import { fetchCoaFromUrl, normalizeCoaUrl } from "../utils/coaUrl";
+import { decodeQrFromImage, coaLinkFromQr, labelPhotoThumbnail } from "../utils/qrCode";
+import { parseCoaText as parseCoaTextRecord } from "../utils/coaTextParser";
 import { normalizeTerpName, getTop6Terpenes, roundPct } from "../utils/terpenes";
+import { panelFromMeasurements, computeCannabinoidTotals } from "../utils/cannabinoids";
+import { fieldSource, lowConfidenceFields } from "../utils/provenance";
+import { extractCoaMetadata, DEFAULT_COA_MAX_AGE_DAYS } from "../utils/coaMetadata";
+import { labLabelFor } from "../utils/labAdapters";
+import { isDetected } from "../utils/units";
+import { doseMgFor } from "../utils/dosing";
+import { hashCoaFile, mergeCoaIntoProduct, mergeSavedProducts } from "../utils/coaDuplicates";
+import { DEFAULT_MODEL_CONFIG_ID, saveModelConfigVersion } from "../utils/modelConfig";
+import { presetFromMapping } from "../utils/csvImport";
 
-// (These are currently unused in your snippet, but keeping them if other parts rely on them)
-import { extractTextFromPdfFile } from "../utils/pdfText";
-import { normalizePdfCoaToStandard } from "../utils/coaNormalize";
+// AbortControllers for in-flight parse jobs, keyed by parseJobs[].id
+const parseControllers = new Map();
 
-// Configure PDF worker for production (kept as a no-op placeholder)
-if (typeof window !== "undefined") {
-  // Worker handled inside your pdf parser utils
-}
+const isActiveJob = (job) => job.status === "queued" || job.status === "parsing";
 
 const uuid = () => {
   try {
@@ -22,345 +30,179 @@ const uuid = () => {
   }
 };
 
-const toNumber = (v) => {
-  if (v == null) return null;
-  const n = Number(String(v).replace(/[^\d.]/g, ""));
-  return Number.isFinite(n) ? n : null;
-};
-
-function firstNonEmptyLine(text) {
-  return (
-    String(text || "")
-      .split(/\r?\n/)
-      .map((l) => l.trim())
-      .find((l) => l.length > 0) || "Unknown Product"
-  );
-}
-
-function extractProductName(text) {
-  const t = String(text || "");
-
-  // Try Trulieve format: "Product Name: Roll One - Sativa Crmbl"
-  let m = t.match(/Product\s*Name:\s*([^\n]+)/i);
-  if (m) return m[1].trim();
-
-  // Try cultivar: "Cultivar: Dream Queen"
-  m = t.match(/Cultivar:\s*([^\n]+)/i);
-  if (m) {
-    const cultivar = m[1].trim();
-    const formMatch = t.match(/Sample\s*Matrix:\s*([^\n]+)/i);
-    if (formMatch) return `${cultivar} ${formMatch[1].trim()}`;
-    return cultivar;
-  }
-
-  // Try HAZE format
-  m = t.match(/(HAZE[\sA-Z0-9#-]+\([IHS]\)[^\n]{0,80}\b\d+(?:\.\d+)?\s*g\b)/i);
-  if (m) return m[1].trim();
-
-  return firstNonEmptyLine(t);
-}
-
-function extractForm(text) {
-  const t = String(text || "");
-
-  // Try "Sample Matrix: Crumble"
-  let m = t.match(/Sample\s*Matrix:\s*([^\n]+)/i);
-  if (m) return m[1].trim();
-
-  // Try "Form: Live Badder"
-  m = t.match(/Form:\s*([^\n]+)/i);
-  if (m) return m[1].trim();
-
-  const formTypes = [
-    "Live Badder",
-    "Live Rosin",
-    "Live Sugar",
-    "Live Resin",
-    "Live Sauce",
-    "Diamonds",
-    "Flower",
-    "Cart",
-    "Vape",
-    "Wax",
-    "Jam",
-    "Extract",
-    "Crumble",
-  ];
-  for (const ft of formTypes) {
-    if (new RegExp(ft, "i").test(t)) return ft;
-  }
-  return null;
-}
-
-function extractTotalTHC(text) {
-  const t = String(text || "");
-
-  // Preferred: explicit Total THC %
-  let m = t.match(/Total\s+THC[:\s]+([0-9.]+)\s*%/i);
-  if (m) return toNumber(m[1]);
-
-  // Alternate: "Total THC\n82.1% (821 mg)"
-  m = t.match(/Total\s+THC[\s\n]+([0-9.]+)\s*%/i);
-  if (m) return toNumber(m[1]);
-
-  // Fallback: compute Total THC from THCa and Delta-9 when only components are listed
-  // Total THC = Δ9 THC + (THCa * 0.877)
-  const thcaMatch =
-    t.match(/\bTHCa\b[:\s]+([0-9.]+)\s*%/i) || t.match(/\bTHC-A\b[:\s]+([0-9.]+)\s*%/i);
-
-  const d9Match =
-    t.match(/\b(Delta[-\s]*9\s*THC|Δ9\s*THC|D9\s*THC)\b[:\s]+([0-9.]+)\s*%/i) ||
-    t.match(/\bDelta\s*9\b[\s\S]{0,30}?([0-9.]+)\s*%/i);
-
-  const thca = thcaMatch ? toNumber(thcaMatch[1]) : null;
-  const d9 = d9Match ? toNumber(d9Match[d9Match.length - 1]) : null;
-
-  if (thca != null || d9 != null) {
-    const total = (d9 || 0) + (thca || 0) * 0.877;
-    if (total > 0) return roundPct(total);
-  }
-
-  return null;
-}
-
-function extractTotalTerpenes(text) {
-  const t = String(text || "");
-
-  // Format 1: "Total Terpenes: 3.78%"
-  let m = t.match(/Total\s+Terpenes[:\s]+([0-9.]+)\s*%/i);
-  if (m) return toNumber(m[1]);
-
-  // Format 2: "3.78%\nTotal Terpenes"
-  m = t.match(/([0-9.]+)%[\s\n]+Total\s+Terpenes/i);
-  if (m) return toNumber(m[1]);
-
-  // Format 3: "Total Terpenes 80.9 mg/g" (convert mg/g -> % by /10)
-  m = t.match(/Total\s+Terpenes[:\s]+([0-9.]+)\s*(mg\/g|mg\s*\/\s*g)/i);
-  if (m) return roundPct(toNumber(m[1]) / 10);
-
-  // Format 4: "Total Terpenes 809.00" (unit missing; normalize to plausible %)
-  m = t.match(/Total\s+Terpenes[:\s]+([0-9.]+)(?:\s|$)/i);
-  if (m) {
-    const v = toNumber(m[1]);
-    if (v == null) return null;
-    if (v > 300) return roundPct(v / 100);
-    if (v > 30) return roundPct(v / 10);
-    if (v > 0) return roundPct(v);
-  }
-
-  return null;
-}
-
-function extractTerpenePairs(text) {
-  const t = String(text || "");
-  const pairs = [];
-  const seen = new Set();
-
-  // Find TERPENES section
-  const terpMatch = t.match(/TERPENES[\s\S]+?(?=POTENCY|ANALYSIS|Copyright|Page|$)/i);
-  const terpSection = terpMatch ? terpMatch[0] : t;
-
-  const lines = terpSection.split(/\r?\n/);
-
-  for (const line of lines) {
-    if (line.match(/Analyte|Result|Top Ten|Total Terpenes|SUMMARY/i)) continue;
-
-    // Pattern 1: "beta-Caryophyllene 1.77" (NO percent sign)
-    let match = line.match(/^([A-Za-z][A-Za-z0-9\-\s]+?)\s+([0-9]+\.[0-9]+)(?:\s|$)/);
-    if (match) {
-      const name = match[1].trim();
-      const pct = parseFloat(match[2]);
-      const key = name.toLowerCase().replace(/[^a-z]/g, "");
-
-      if (pct > 0 && pct < 50 && !seen.has(key)) {
-        pairs.push({ name, pct });
-        seen.add(key);
-        continue;
-      }
-    }
-
-    // Pattern 2: "Caryophyllene 2.26%" (WITH percent sign)
-    match = line.match(/([A-Za-z][A-Za-z0-9\-\s]+?)\s+([0-9]+\.[0-9]+)%/);
-    if (match) {
-      const name = match[1].trim();
-      const pct = parseFloat(match[2]);
-      const key = name.toLowerCase().replace(/[^a-z]/g, "");
-
-      if (pct > 0 && pct < 50 && !seen.has(key)) {
-        pairs.push({ name, pct });
-        seen.add(key);
-      }
-    }
-  }
-
-  return pairs;
-}
-
+// Merge rows that normalize to the same terp. ND / <LOQ rows stay as explicit states
+// unless the same terp was also quantified.
 function normalizeAndCombineTerps(pairs) {
   const map = new Map();
   for (const t of pairs) {
     const name = normalizeTerpName(t.name);
-    const pct = Number(t.pct);
     if (!name) continue;
+
+    if (!isDetected(t)) {
+      if (!map.has(name)) map.set(name, { ...t, name, pct: 0 });
+      continue;
+    }
+
+    const pct = Number(t.pct);
     if (!Number.isFinite(pct) || pct <= 0) continue;
-    map.set(name, (map.get(name) || 0) + pct);
+    const prev = map.get(name);
+    map.set(name, prev && isDetected(prev) ? { ...prev, pct: prev.pct + pct } : { ...t, name, pct });
   }
 
-  return Array.from(map.entries())
-    .map(([name, pct]) => ({ name, pct: roundPct(pct) }))
+  return Array.from(map.values())
+    .map((t) => ({ ...t, pct: roundPct(t.pct) }))
     .sort((a, b) => b.pct - a.pct);
 }
 
-function parseCoaTextToProduct(coaText, meta = {}) {
-  const text = String(coaText || "").trim();
-  if (!text) return null;
+// Extracted COA text kept on the product for provenance lookups and review
+const RAW_TEXT_LIMIT = 20000;
 
-  const name = extractProductName(text);
-  const form = extractForm(text);
-  const totalTHC = extractTotalTHC(text);
-  const totalTerpenes = extractTotalTerpenes(text);
+// Label photos are persisted as small thumbnails (qrCode.labelPhotoThumbnail); bigger images
+// (saved by older versions or brought in by a profile import) stay in memory only
+const LABEL_PHOTO_MAX_CHARS = 24000;
 
-  if (!totalTHC) {
-    console.warn("No THC found in COA:", name);
+const persistedProduct = (p) =>
+  p?.labelPhoto?.dataUrl?.length > LABEL_PHOTO_MAX_CHARS ? { ...p, labelPhoto: { ...p.labelPhoto, dataUrl: null } } : p;
+
+// CoaRecord (utils/coaRecord.js) -> product. `meta` adds what the file itself doesn't say:
+// sourceFileName, sourceUrl, labelPhoto, contentHash.
+function productFromCoaRecord(record, meta = {}, { requireTHC = true } = {}) {
+  if (!record) return null;
+
+  if (!record.totalTHC && requireTHC) {
+    console.warn("No THC found in COA:", record.name);
     return null;
   }
 
-  const rawPairs = extractTerpenePairs(text);
-  const normalizedTerpenes = normalizeAndCombineTerps(rawPairs);
+  const cannabinoidDetails = record.cannabinoidDetails || {};
+  const cannabinoids = panelFromMeasurements(cannabinoidDetails);
+  const normalizedTerpenes = normalizeAndCombineTerps(record.terpenes || []);
   const top6 = getTop6Terpenes(normalizedTerpenes);
 
+  const provenance = record.provenance || {};
+  const sourceText = String(record.rawText || "");
+  const { lab, batch } = extractCoaMetadata(sourceText, { labLabel: labLabelFor(record.labAdapter, sourceText) });
+
   return {
     id: uuid(),
-    name,
-    form,
+    name: record.name || meta.sourceFileName || "Unknown Product",
+    form: record.form,
+    // FORM_MODIFIERS key picked by the user; null = read from the form text
+    formType: null,
     metrics: {
-      totalTHC,
-      totalTerpenes,
-      totalCannabinoids: null,
-      thcPerUnitMg: null,
+      totalTHC: record.totalTHC,
+      totalTerpenes: record.totalTerpenes,
+      totalCBD: record.totalCBD,
+      totalCBG: record.totalCBG,
+      totalCannabinoids: record.totalCannabinoids,
+      cannabinoids,
+      cannabinoidDetails,
+      thcPerUnitMg: record.dosing?.mgPerUnit ?? null,
     },
+    dosing: record.dosing || null,
     terpenes: normalizedTerpenes,
     top6,
+    // { dataUrl, fileName, qrData } when the COA was found by scanning a label photo
+    labelPhoto: meta.labelPhoto || null,
     coa: {
-      rawText: text.length > 5000 ? text.substring(0, 5000) + "..." : text,
+      rawText: sourceText.length > RAW_TEXT_LIMIT ? sourceText.substring(0, RAW_TEXT_LIMIT) + "..." : sourceText,
       sourceFileName: meta.sourceFileName || null,
+      sourceUrl: meta.sourceUrl || null,
+      // SHA-256 of the uploaded file, for duplicate detection (coaDuplicates.js)
+      contentHash: meta.contentHash || null,
+      labAdapter: record.labAdapter || null,
+      // { index, count, id, pages: { from, to } }: where in a multi-sample PDF this product came from
+      sample: record.sample || null,
+      // { decimal, language, converted }: how numbers and labels were printed (coaLocale.js)
+      locale: record.locale || null,
+      unitSizeG: record.sizeG,
+      lab,
+      batch,
+      safety: record.safety || {},
+      textSource: record.textSource || "text",
+      ocr: record.ocr?.pages?.length ? { pages: record.ocr.pages, confidence: record.ocr.confidence } : null,
+      provenance,
+      // OCR'd values already carry a reduced confidence (applyOcrConfidence)
+      lowConfidenceFields: lowConfidenceFields(provenance),
       parsedAt: new Date().toISOString(),
     },
     createdAt: new Date().toISOString(),
   };
 }
 
-async function readFileAsText(file) {
-  const name = (file?.name || "").toLowerCase();
-
-  if (name.endsWith(".txt") || name.endsWith(".csv") || name.endsWith(".md") || file?.type?.startsWith("text/")) {
-    return await file.text();
-  }
-
-  if (name.endsWith(".pdf") || file?.type === "application/pdf") {
-    try {
-      const parsed = await parseCoaPdf(file);
-
-      // LAB_FIXUPS_V1: Lab-specific PDF normalization for Kaycha + Modern Canna formats.
-      try {
-        const raw = String(parsed?.rawText || "");
-        const lines = raw
-          .split(/\r?\n/)
-          .map((l) => l.trim())
-          .filter(Boolean);
-
-        // ---- Kaycha Labs
-        const isKaycha =
-          /Kaycha\s+Labs/i.test(raw) ||
-          lines.some((l) => /\bTESTED\b/i.test(l) && /TOTAL\s+TERPENES/i.test(l));
-
-        if (isKaycha) {
-          const totalLine = lines.find((l) => /TOTAL\s+TERPENES/i.test(l) && /\bTESTED\b/i.test(l));
-          if (totalLine) {
-            const nums = totalLine.match(/[0-9]+(?:\.[0-9]+)?/g) || [];
-            const candidate = nums.length >= 2 ? Number(nums[nums.length - 2]) : null;
-            if (candidate != null && isFinite(candidate) && candidate > 0.1 && candidate < 40) {
-              if (!parsed.totalTerpenes || parsed.totalTerpenes < 0.2) parsed.totalTerpenes = candidate;
-            }
-          }
-
-          const terpRows = [];
-          for (const l of lines) {
-            const m = l.match(
-              /^([A-Z0-9\-\/ ]{3,})\s+[0-9.]+\s+[0-9.]+\s+TESTED\s+([0-9]+(?:\.[0-9]+)?)\s+[0-9]+(?:\.[0-9]+)?$/i
-            );
-            if (!m) continue;
-            const nm = m[1].trim();
-            if (/^TOTAL\s+TERPENES$/i.test(nm)) continue;
-            const pct = Number(m[2]);
-            if (!isFinite(pct) || pct <= 0 || pct > 40) continue;
-            terpRows.push({ name: nm, pct });
-          }
-          if ((parsed?.terpenes || []).length === 0 && terpRows.length) {
-            parsed.terpenes = terpRows;
-          }
-        }
-
-        // ---- Modern Canna / Trulieve
-        const isModern =
-          /Modern\s+Canna|moderncanna\.com/i.test(raw) ||
-          raw.toLowerCase().includes("total cbd total thc total cannabinoids total terpenes");
-
-        if (isModern) {
-          const idx = raw.toLowerCase().indexOf("total cbd total thc total cannabinoids total terpenes");
-          if (idx >= 0) {
-            const slice = raw.slice(idx, idx + 900);
-            const perc = slice.match(/[0-9]+(?:\.[0-9]+)?%/g) || [];
-            if (perc.length >= 4) {
-              const thc = Number(perc[1].replace("%", ""));
-              const terps = Number(perc[3].replace("%", ""));
-              if (isFinite(thc) && thc > 1 && thc < 110) parsed.totalTHC = thc;
-              if (isFinite(terps) && terps > 0.05 && terps < 40) parsed.totalTerpenes = terps;
-            }
-          }
-
-          if ((parsed?.terpenes || []).length === 0) {
-            const terpRows = [];
-            for (const l of lines) {
-              const m = l.match(/^([A-Za-z][A-Za-z0-9\- ]{2,})\s+([0-9]+(?:\.[0-9]+)?)$/);
-              if (!m) continue;
-              const nm = m[1].trim();
-              const pct = Number(m[2]);
-              if (/^(thca|delta|cbg|cbga|cbd|cbda|cbn|thcv|cbc|cbdv|thcva)$/i.test(nm)) continue;
-              if (!isFinite(pct) || pct <= 0 || pct > 40) continue;
-              terpRows.push({ name: nm, pct });
-            }
-            if (terpRows.length) parsed.terpenes = terpRows;
-          }
-        }
-      } catch (e) {
-        console.warn("[MMET PDF] lab fixups failed:", e?.message || e);
-      }
-
-      // Convert parsed PDF object into the text format your text parser expects
-      const lines = [];
-      lines.push(parsed.displayName || file?.name || "Unknown Product");
-      lines.push(`Form: ${parsed.form || "Concentrate"}`);
+// One spreadsheet row (csvImport.rowsToRecords) -> product
+function productFromCsvRecord(record, { sourceFileName = null } = {}) {
+  const terpenes = normalizeAndCombineTerps(record.terpenes || []);
+  const cannabinoidDetails = record.cannabinoidDetails || {};
+  const cannabinoids = panelFromMeasurements(cannabinoidDetails);
+  const computed = computeCannabinoidTotals(cannabinoids);
+  const now = new Date().toISOString();
 
-      if (typeof parsed.totalTHC === "number") lines.push(`Total THC: ${parsed.totalTHC.toFixed(1)}%`);
-      if (typeof parsed.totalTerpenes === "number") lines.push(`Total Terpenes: ${parsed.totalTerpenes.toFixed(2)}%`);
+  return {
+    id: uuid(),
+    name: record.name,
+    form: record.form || "",
+    formType: null,
+    metrics: {
+      totalTHC: record.totalTHC,
+      totalTerpenes: record.totalTerpenes ?? null,
+      totalCBD: record.totalCBD ?? computed.totalCBD,
+      totalCBG: computed.totalCBG,
+      totalCannabinoids: computed.totalCannabinoids,
+      cannabinoids,
+      cannabinoidDetails,
+      thcPerUnitMg: null,
+    },
+    dosing: null,
+    terpenes,
+    top6: getTop6Terpenes(terpenes),
+    imported: { sourceFileName, row: record.row, importedAt: now, locale: record.locale || null },
+    createdAt: now,
+  };
+}
 
-      if (Array.isArray(parsed.terpenes) && parsed.terpenes.length) {
-        lines.push("Top Terpenes:");
-        for (const tp of parsed.terpenes) {
-          if (!tp?.name || typeof tp.pct !== "number") continue;
-          lines.push(`- ${tp.name} ${tp.pct.toFixed(3)}%`);
-        }
-      }
+// Apply the user's corrections from the COA review screen. Edited fields get a "manual"
+// provenance entry that remembers what the parser originally said.
+function applyReviewEdits(product, edits = {}) {
+  const provenance = { ...(product.coa?.provenance || {}) };
+  const manual = (before) => ({ ...fieldSource("manual"), editedFrom: before ?? null });
+  const next = { ...product, metrics: { ...product.metrics } };
 
-      return lines.join("\n");
-    } catch (err) {
-      console.error("PDF parsing error:", err);
-      throw new Error(`PDF parsing failed: ${err?.message || err}`);
+  if (edits.name != null && String(edits.name).trim() !== product.name) {
+    provenance.name = manual(product.name);
+    next.name = String(edits.name).trim();
+  }
+  if (edits.form != null && String(edits.form).trim() !== product.form) {
+    provenance.form = manual(product.form);
+    next.form = String(edits.form).trim();
+  }
+  if (edits.formType !== undefined && (edits.formType || null) !== (product.formType || null)) {
+    provenance.formType = manual(product.formType);
+    next.formType = edits.formType || null;
+  }
+  for (const key of ["totalTHC", "totalTerpenes"]) {
+    if (edits[key] === undefined) continue;
+    const v = edits[key] === "" || edits[key] == null ? null : Number(edits[key]);
+    if (v === product.metrics?.[key] || (v != null && !Number.isFinite(v))) continue;
+    provenance[key] = manual(product.metrics?.[key]);
+    next.metrics[key] = v;
+  }
+  if (Array.isArray(edits.terpenes)) {
+    const terps = normalizeAndCombineTerps(edits.terpenes);
+    if (JSON.stringify(terps) !== JSON.stringify(product.terpenes)) {
+      provenance.terpenes = manual(product.terpenes || []);
+      next.terpenes = terps;
+      next.top6 = getTop6Terpenes(terps);
     }
   }
 
-  throw new Error(`Unsupported file type: ${file?.name || "unknown"}`);
+  next.coa = {
+    ...product.coa,
+    provenance,
+    lowConfidenceFields: lowConfidenceFields(provenance),
+    reviewedAt: new Date().toISOString(),
+  };
+  return next;
 }
 
 export const useMmetStore = create(
@@ -372,19 +214,61 @@ export const useMmetStore = create(
         profileName: "Default",
         scoreMode: "standard",
         scoreSource: "coa",
+        // COAs tested longer ago than this get a stale warning
+        coaMaxAgeDays: DEFAULT_COA_MAX_AGE_DAYS,
+        // Saved engine configs, every version kept (utils/modelConfig.js); the built-in default isn't stored
+        modelConfigs: [],
+        activeModelConfigId: DEFAULT_MODEL_CONFIG_ID,
         lastError: null,
         lastParseAt: null,
 
+        // Parsed COAs waiting for the user to accept/correct/reject (not persisted)
+        pendingReviews: [],
+        // Saved CSV column mappings: [{ id, name, mapping: [{ header, field }], updatedAt }]
+        csvMappingPresets: [],
+
+        // Per-file parse status for the uploader (not persisted):
+        // { id, fileName, status: "queued"|"parsing"|"done"|"error"|"cancelled", page, pages, error }
+        parseJobs: [],
+
         showManualEntry: false,
         setShowManualEntry: (v) => set({ showManualEntry: !!v }),
 
         setProfileName: (name) => set({ profileName: String(name || "Default") }),
         setScoreMode: (mode) => set({ scoreMode: mode }),
         setScoreSource: (source) => set({ scoreSource: source }),
+        setCoaMaxAgeDays: (days) => {
+          const n = Math.round(Number(days));
+          set({ coaMaxAgeDays: Number.isFinite(n) && n > 0 ? n : DEFAULT_COA_MAX_AGE_DAYS });
+        },
+
+        // Saves an edited config as the next version of its name and makes it active
+        saveModelConfig: (draft) => {
+          const saved = saveModelConfigVersion(draft, get().modelConfigs, { id: uuid() });
+          set((state) => ({
+            modelConfigs: [...state.modelConfigs, saved],
+            activeModelConfigId: saved.id,
+            lastError: null,
+          }));
+          return saved;
+        },
+
+        setActiveModelConfig: (id) => {
+          const known = id === DEFAULT_MODEL_CONFIG_ID || get().modelConfigs.some((c) => c.id === id);
+          set({ activeModelConfigId: known ? id : DEFAULT_MODEL_CONFIG_ID });
+        },
+
+        // Sessions keep the { id, name, version } they were predicted with, so deleting is safe
+        removeModelConfig: (id) => {
+          set((state) => ({
+            modelConfigs: state.modelConfigs.filter((c) => c.id !== id),
+            activeModelConfigId: state.activeModelConfigId === id ? DEFAULT_MODEL_CONFIG_ID : state.activeModelConfigId,
+          }));
+        },
 
         parseCoaText: (coaText, meta = {}) => {
           try {
-            const product = parseCoaTextToProduct(coaText, meta);
+            const product = productFromCoaRecord(parseCoaTextRecord(coaText), meta);
             if (!product) return null;
             set((state) => ({ products: [product, ...state.products], lastError: null }));
             return [product];
@@ -416,6 +300,38 @@ export const useMmetStore = create(
           }));
         },
 
+        // Fold saved product `dropId` into `keepId` (a duplicate import or a retest saved twice):
+        // the sessions logged against it move over, and the later-tested COA supplies the numbers
+        mergeProducts: (keepId, dropId) => {
+          const { products } = get();
+          const keep = products.find((p) => p.id === keepId);
+          const drop = products.find((p) => p.id === dropId);
+          if (!keep || !drop || keepId === dropId) {
+            set({ lastError: "Both products must exist to merge them" });
+            return null;
+          }
+          const merged = mergeSavedProducts(keep, drop);
+          // Blends made from the dropped product point at the kept one
+          const repoint = (p) => {
+            const d = p.blendDetails;
+            if (!d || (d.productA !== dropId && d.productB !== dropId)) return p;
+            return {
+              ...p,
+              blendDetails: {
+                ...d,
+                productA: d.productA === dropId ? keepId : d.productA,
+                productB: d.productB === dropId ? keepId : d.productB,
+              },
+            };
+          };
+          set((state) => ({
+            products: state.products.filter((p) => p.id !== dropId).map((p) => (p.id === keepId ? merged : repoint(p))),
+            sessionLog: state.sessionLog.map((s) => (s.productId === dropId ? { ...s, productId: keepId } : s)),
+            lastError: null,
+          }));
+          return merged;
+        },
+
         // ✅ Clear all products AND sessions (so Personalized count resets too)
         clearProducts: () => {
           set({ products: [], sessionLog: [], lastError: null });
@@ -432,28 +348,206 @@ export const useMmetStore = create(
           }));
         },
 
-        handleCoaFiles: async (files) => {
+        // Dose (mg THC) an edible's prediction is for; blank/0 goes back to one serving
+        setProductDose: (productId, doseMg) => {
+          if (!productId) return;
+          const n = Number(doseMg);
+          const dose = Number.isFinite(n) && n > 0 ? n : null;
+
+          set((state) => ({
+            products: state.products.map((p) =>
+              p.id === productId ? { ...p, dosing: { ...(p.dosing || {}), doseMg: dose } } : p
+            ),
+          }));
+        },
+
+        // Parse files in the worker pool; each product joins the review queue as soon as
+        // its file finishes. Nothing reaches `products` until accepted.
+        // `meta` (sourceUrl, labelPhoto) is attached to every product in the batch.
+        handleCoaFiles: async (files, { meta: batchMeta = {} } = {}) => {
           const fileArr = Array.from(files || []);
-          if (fileArr.length === 0) return { added: 0, errors: [] };
+          if (fileArr.length === 0) return { queued: 0, errors: [], cancelled: 0 };
+
+          const jobs = fileArr.map((f) => ({
+            id: uuid(),
+            fileName: f?.name || "unknown",
+            status: "queued",
+            page: 0,
+            pages: 0,
+            error: null,
+          }));
+          set((state) => ({ parseJobs: [...state.parseJobs.filter(isActiveJob), ...jobs], lastError: null }));
+
+          const updateJob = (jobId, patch) =>
+            set((state) => ({ parseJobs: state.parseJobs.map((j) => (j.id === jobId ? { ...j, ...patch } : j)) }));
 
           const errors = [];
-          let added = 0;
-
-          for (const f of fileArr) {
-            try {
-              const text = await readFileAsText(f);
-              const result = get().parseCoaText(text, { sourceFileName: f.name });
-              if (result) added += Array.isArray(result) ? result.length : 1;
-            } catch (e) {
-              errors.push({ file: f?.name || "unknown", error: e?.message || String(e) });
-            }
+          let queued = 0;
+          let cancelled = 0;
+
+          await Promise.all(
+            fileArr.map(async (f, i) => {
+              const job = jobs[i];
+              const controller = new AbortController();
+              parseControllers.set(job.id, controller);
+
+              try {
+                const contentHash = await hashCoaFile(f).catch(() => null);
+                const records = await parseCoaFileInWorker(f, {
+                  signal: controller.signal,
+                  onStart: () => updateJob(job.id, { status: "parsing" }),
+                  onProgress: ({ page, pages }) => updateJob(job.id, { page, pages }),
+                });
+                if (controller.signal.aborted) throw new DOMException("Parsing cancelled", "AbortError");
+
+                // Multi-sample PDFs: one product (and review) per sample
+                const products = (records || [])
+                  .map((record) => productFromCoaRecord(record, { ...batchMeta, sourceFileName: f.name, contentHash }, { requireTHC: false }))
+                  .filter(Boolean);
+                if (!products.length) throw new Error("No COA data found");
+
+                const reviews = products.map((product) => ({ id: uuid(), sourceFileName: f.name, product }));
+                set((state) => ({ pendingReviews: [...state.pendingReviews, ...reviews] }));
+                updateJob(job.id, { status: "done", samples: products.length });
+                queued += reviews.length;
+              } catch (e) {
+                if (e?.name === "AbortError") {
+                  updateJob(job.id, { status: "cancelled" });
+                  cancelled++;
+                  return;
+                }
+                const error = e?.message || String(e);
+                updateJob(job.id, { status: "error", error });
+                errors.push({ file: job.fileName, error });
+              } finally {
+                parseControllers.delete(job.id);
+              }
+            })
+          );
+
+          if (errors.length) set({ lastError: errors[0].error });
+          return { queued, errors, cancelled };
+        },
+
+        // "Paste COA link": fetch through /api/proxy-coa, then parse like an uploaded file
+        handleCoaUrl: async (url, { labelPhoto = null } = {}) => {
+          let file;
+          try {
+            file = await fetchCoaFromUrl(url);
+          } catch (e) {
+            const error = e?.message || String(e);
+            set({ lastError: error });
+            return { queued: 0, errors: [{ file: String(url || "").trim() || "link", error }], cancelled: 0 };
+          }
+          return get().handleCoaFiles([file], { meta: { sourceUrl: normalizeCoaUrl(url), labelPhoto } });
+        },
+
+        // Label photo: decode the QR code on-device, fetch the COA it links to and keep the
+        // photo on the resulting product
+        handleLabelPhoto: async (file) => {
+          const fail = (error) => {
+            set({ lastError: error });
+            return { queued: 0, errors: [{ file: file?.name || "label photo", error }], cancelled: 0 };
+          };
+
+          let qr;
+          try {
+            qr = await decodeQrFromImage(file);
+          } catch (e) {
+            return fail(`Could not read the photo: ${e?.message || e}`);
+          }
+          if (!qr) return fail("No QR code found on the label photo");
+
+          const link = coaLinkFromQr(qr.data);
+          if (!link) return fail(`QR code doesn't contain a COA link: "${qr.data.slice(0, 80)}"`);
+
+          const dataUrl = await labelPhotoThumbnail(file).catch(() => null);
+          const labelPhoto = dataUrl ? { dataUrl, fileName: file?.name || null, qrData: qr.data } : null;
+          return get().handleCoaUrl(link, { labelPhoto });
+        },
+
+        cancelParseJob: (jobId) => {
+          parseControllers.get(jobId)?.abort();
+        },
+
+        cancelAllParsing: () => {
+          for (const controller of parseControllers.values()) controller.abort();
+        },
+
+        // Drop finished/failed/cancelled rows from the uploader's status list
+        clearParseJobs: () => {
+          set((state) => ({ parseJobs: state.parseJobs.filter(isActiveJob) }));
+        },
+
+        // Spreadsheet import: one product per valid row (records from csvImport.rowsToRecords)
+        importCsvRecords: (records, { sourceFileName = null } = {}) => {
+          const products = (records || []).map((r) => productFromCsvRecord(r, { sourceFileName }));
+          if (products.length) set((state) => ({ products: [...products, ...state.products], lastError: null }));
+          return products;
+        },
+
+        // Saving under an existing name replaces that preset. `headers` and `mapping` are the
+        // dialog's columns and per-column fields (csvImport.presetFromMapping)
+        saveCsvMappingPreset: (name, headers, mapping) => {
+          const presetName = String(name || "").trim();
+          if (!presetName) return null;
+          const existing = get().csvMappingPresets.find((p) => p.name.toLowerCase() === presetName.toLowerCase());
+          const preset = {
+            id: existing?.id || uuid(),
+            name: presetName,
+            mapping: presetFromMapping(headers, mapping),
+            updatedAt: new Date().toISOString(),
+          };
+          set((state) => ({
+            csvMappingPresets: [preset, ...state.csvMappingPresets.filter((p) => p.id !== preset.id)],
+          }));
+          return preset;
+        },
+
+        deleteCsvMappingPreset: (presetId) => {
+          set((state) => ({ csvMappingPresets: state.csvMappingPresets.filter((p) => p.id !== presetId) }));
+        },
+
+        // `mergeInto`: id of a saved product this COA retests. Its numbers are replaced but its
+        // id stays, so the sessions logged against it remain attached.
+        acceptReview: (reviewId, edits = {}, { mergeInto = null } = {}) => {
+          const review = get().pendingReviews.find((r) => r.id === reviewId);
+          if (!review) return null;
+
+          const reviewed = applyReviewEdits(review.product, edits);
+          if (!(Number(reviewed.metrics?.totalTHC) > 0) && !doseMgFor(reviewed)) {
+            set({ lastError: "Total THC (or an mg per unit dose) is required before accepting a COA" });
+            return null;
           }
 
-          set({ lastError: errors[0]?.error || null });
-          return { added, errors };
+          const existing = mergeInto ? get().products.find((p) => p.id === mergeInto) : null;
+          if (mergeInto && !existing) {
+            set({ lastError: "The product to merge into no longer exists" });
+            return null;
+          }
+          const product = existing ? mergeCoaIntoProduct(existing, reviewed) : reviewed;
+
+          set((state) => ({
+            products: existing
+              ? state.products.map((p) => (p.id === existing.id ? product : p))
+              : [product, ...state.products],
+            pendingReviews: state.pendingReviews.filter((r) => r.id !== reviewId),
+            lastError: null,
+          }));
+          return product;
+        },
+
+        rejectReview: (reviewId) => {
+          set((state) => ({
+            pendingReviews: state.pendingReviews.filter((r) => r.id !== reviewId),
+            lastError: null,
+          }));
         },
 
-        addSessionEntry: ({ productId, actuals, notes } = {}) => {
+        // `predicted`: the scores shown when the session was logged (with their _model ref);
+        // `baseline`: the product's baseline at that moment, which personalization learns from while
+        // `modelConfig` (the config that made it) is still the one scoring
+        addSessionEntry: ({ productId, actuals, notes, predicted, baseline } = {}) => {
           if (!productId) {
             set({ lastError: "addSessionEntry requires productId" });
             return false;
@@ -464,6 +558,10 @@ export const useMmetStore = create(
             productId,
             actuals: actuals || {},
             notes: notes || "",
+            // The trace is rebuilt from the product on demand; only the numbers are kept
+            predicted: predicted ? Object.fromEntries(Object.entries(predicted).filter(([k]) => k !== "_trace")) : null,
+            baseline: baseline ? Object.fromEntries(Object.entries(baseline).filter(([k]) => !k.startsWith("_"))) : null,
+            modelConfig: baseline?._model || predicted?._model || null,
           };
           set((state) => ({ sessionLog: [entry, ...state.sessionLog], lastError: null }));
           return true;
@@ -498,6 +596,8 @@ export const useMmetStore = create(
             profileName: s.profileName,
             products: s.products,
             sessionLog: s.sessionLog,
+            modelConfigs: s.modelConfigs,
+            activeModelConfigId: s.activeModelConfigId,
           };
           return JSON.stringify(payload, null, 2);
         },
@@ -507,10 +607,18 @@ export const useMmetStore = create(
             const data = typeof input === "string" ? JSON.parse(input) : input || {};
             const products = Array.isArray(data.products) ? data.products : [];
             const sessionLog = Array.isArray(data.sessionLog) ? data.sessionLog : [];
+            // Older exports have no configs: keep the ones already saved here
+            const modelConfigs = Array.isArray(data.modelConfigs) ? data.modelConfigs : null;
             set((s) => ({
               profileName: data.profileName ?? s.profileName,
               products,
               sessionLog,
+              ...(modelConfigs && {
+                modelConfigs,
+                activeModelConfigId: modelConfigs.some((c) => c.id === data.activeModelConfigId)
+                  ? data.activeModelConfigId
+                  : DEFAULT_MODEL_CONFIG_ID,
+              }),
               lastError: null,
             }));
             return { ok: true, products: products.length, sessions: sessionLog.length };
@@ -524,9 +632,13 @@ export const useMmetStore = create(
         name: "mmet-predictor-v2",
         version: 2,
         partialize: (s) => ({
-          products: s.products,
+          products: s.products.map(persistedProduct),
           sessionLog: s.sessionLog,
           profileName: s.profileName,
+          coaMaxAgeDays: s.coaMaxAgeDays,
+          modelConfigs: s.modelConfigs,
+          activeModelConfigId: s.activeModelConfigId,
+          csvMappingPresets: s.csvMappingPresets,
         }),
       }
     ),
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { DUPLICATE_KINDS, findDuplicate, mergeSavedProducts } from "../coaDuplicates";
+
+const product = (id, name, coa = {}, extra = {}) => ({
+  id,
+  name,
+  createdAt: `2024-01-0${id.length}`,
+  metrics: { totalTHC: 20 },
+  coa: { batch: {}, ...coa },
+  ...extra,
+});
+
+describe("findDuplicate", () => {
+  const saved = product("a", "Blue Dream", { batch: { batchId: "B-1", testDate: "2024-03-01" } });
+
+  it("flags a retest and whether the incoming COA is older", () => {
+    const older = product("b", "blue-dream", { batch: { batchId: "b1", testDate: "2024-02-01" } });
+    const dup = findDuplicate(older, [saved]);
+    expect(dup).toMatchObject({ kind: DUPLICATE_KINDS.RETEST, pending: false, newer: false });
+    expect(dup.match.id).toBe("a");
+  });
+
+  it("falls back to the other queued reviews", () => {
+    const queued = product("q", "Gelato", { contentHash: "h1" });
+    const incoming = product("i", "Gelato", { contentHash: "h1" });
+    const dup = findDuplicate(incoming, [saved], { pending: [incoming, queued] });
+    expect(dup).toMatchObject({ kind: DUPLICATE_KINDS.ALREADY_IMPORTED, pending: true });
+    expect(dup.match.id).toBe("q");
+  });
+
+  it("prefers a saved match over a queued one", () => {
+    const incoming = product("i", "Blue Dream", { batch: { batchId: "B-1" } });
+    expect(findDuplicate(incoming, [saved], { pending: [product("q", "Blue Dream")] }).pending).toBe(false);
+  });
+});
+
+describe("mergeSavedProducts", () => {
+  it("keeps the kept id and takes the later-tested COA", () => {
+    const keep = product("k", "Mine", { batch: { testDate: "2024-01-01" }, sourceFileName: "old.pdf" });
+    const drop = product("d", "Theirs", { batch: { testDate: "2024-06-01" }, sourceFileName: "new.pdf" });
+    const merged = mergeSavedProducts(keep, drop);
+    expect(merged.id).toBe("k");
+    expect(merged.name).toBe("Mine");
+    expect(merged.coa.sourceFileName).toBe("new.pdf");
+    expect(merged.coa.history.map((h) => h.sourceFileName)).toEqual(["old.pdf"]);
+  });
+
+  it("keeps its own COA when a date is missing", () => {
+    const keep = product("k", "Mine", { sourceFileName: "mine.pdf" });
+    const drop = product("d", "Theirs", { batch: { testDate: "2024-06-01" }, sourceFileName: "theirs.pdf" });
+    const merged = mergeSavedProducts(keep, drop);
+    expect(merged.coa.sourceFileName).toBe("mine.pdf");
+    expect(merged.coa.history[0].sourceFileName).toBe("theirs.pdf");
+  });
+});
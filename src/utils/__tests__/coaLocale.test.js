@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import { detectCoaLocale, localizeText, parseLocaleNumber, translateAnalyteLabels } from "../coaLocale";
+import { parseCoaText } from "../coaTextParser";
+import { fixture } from "./fixtures";
+
+describe("parseLocaleNumber", () => {
+  it.each([
+    ["0,52", null, 0.52],
+    ["1.234,5", null, 1234.5],
+    ["1,234.5", null, 1234.5],
+    ["1 234,5", null, 1234.5],
+    ["1,234", { decimal: "," }, 1.234],
+    ["1,234", null, 1234],
+    ["abc", null, null],
+  ])("%s (%o) -> %s", (raw, locale, expected) => {
+    expect(parseLocaleNumber(raw, locale)).toBe(expected);
+  });
+});
+
+describe("detectCoaLocale", () => {
+  it("reads a German decimal-comma COA", () => {
+    expect(detectCoaLocale(fixture("modern-canna-de.txt"))).toEqual({ decimal: ",", language: "de" });
+  });
+
+  it("reads an English COA as English", () => {
+    expect(detectCoaLocale(fixture("modern-canna-en.txt")).language).toBe("en");
+    expect(detectCoaLocale(fixture("kaycha-en.txt")).language).toBe("en");
+  });
+});
+
+describe("localizeText", () => {
+  it("leaves English labels alone", () => {
+    for (const name of ["modern-canna-en.txt", "kaycha-en.txt"]) {
+      const raw = fixture(name);
+      expect(localizeText(raw).text).toBe(raw);
+    }
+  });
+
+  it("translates German totals and numbers", () => {
+    const { text, locale } = localizeText(fixture("modern-canna-de.txt"));
+    expect(text).toContain("Total CBD Total THC Total Cannabinoids Total Terpenes");
+    expect(text).toContain("0.21% 22.14% 26.02% 1.78%");
+    expect(text).toContain("Batch: 2301-0042");
+    expect(locale).toEqual({ decimal: ",", language: "de", converted: true });
+  });
+});
+
+describe("translateAnalyteLabels", () => {
+  it("doesn't let a trailing analyte claim the next Total", () => {
+    expect(translateAnalyteLabels("Total CBD Total THC Total Cannabinoids Total Terpenes")).toBe(
+      "Total CBD Total THC Total Cannabinoids Total Terpenes"
+    );
+  });
+
+  it("moves a trailing total in front of its analyte", () => {
+    expect(translateAnalyteLabels("THC total: 21,3 %")).toBe("Total THC: 21,3 %");
+    expect(translateAnalyteLabels("Gesamt-THC 21,3")).toBe("Total THC 21,3");
+  });
+});
+
+describe("English lab adapters", () => {
+  it("Modern Canna: reads the summary row", () => {
+    const record = parseCoaText(fixture("modern-canna-en.txt"));
+    expect(record.labAdapter).toBe("modern_canna");
+    expect(record.totalCBD).toBe(0.21);
+    expect(record.totalTHC).toBe(77.14);
+    expect(record.totalCannabinoids).toBe(86.02);
+    expect(record.totalTerpenes).toBe(3.78);
+    expect(record.locale.language).toBe("en");
+  });
+
+  it("Kaycha: reads the TESTED terpene rows and total", () => {
+    const record = parseCoaText(fixture("kaycha-en.txt"));
+    expect(record.labAdapter).toBe("kaycha");
+    expect(record.totalTHC).toBe(21.4);
+    expect(record.totalTerpenes).toBe(1.92);
+    expect(record.terpenes.map((t) => t.pct)).toEqual([0.812, 0.403, 0.377]);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import { pagesFromText, sampleLabel, splitCoaSamples } from "../coaSamples";
+import { fixture } from "./fixtures";
+
+const split = (name) => splitCoaSamples({ text: fixture(name), rows: [] });
+
+describe("pagesFromText", () => {
+  it("numbers lines per page marker", () => {
+    const pages = pagesFromText(fixture("per-page-batches.txt"));
+    expect(pages.map((p) => p.page)).toEqual([1, 2]);
+    expect(pages[1].lines[1]).toBe("Product Name: Gelato");
+  });
+});
+
+describe("splitCoaSamples", () => {
+  it("splits on changing sample IDs and keeps a potency-free page with its sample", () => {
+    const samples = split("multi-sample.txt");
+    expect(samples.map((s) => s.sample.id)).toEqual(["S-100", "S-101", "S-102"]);
+    expect(samples[0].sample.pages).toEqual({ from: 1, to: 2 });
+    expect(samples[0].text).toContain("Signature: J. Doe");
+    expect(samples[2].text).toContain("Runtz Cart");
+    expect(samples[2].text).not.toContain("Gelato Cart");
+  });
+
+  it("keeps one COA together when it prints harvest, source and METRC batches", () => {
+    const samples = split("harvest-batch.txt");
+    expect(samples).toHaveLength(1);
+    expect(samples[0].sample).toMatchObject({ count: 1, id: "BD-0423", pages: { from: 1, to: 2 } });
+  });
+
+  it("splits pages that repeat the first page's layout for another batch", () => {
+    const samples = split("per-page-batches.txt");
+    expect(samples.map((s) => s.sample.id)).toEqual(["BD-0001", "GE-0002"]);
+    expect(samples[1].text).toContain("Gelato");
+  });
+});
+
+describe("sampleLabel", () => {
+  it("labels only multi-sample products", () => {
+    expect(sampleLabel({ index: 1, count: 3, pages: { from: 3, to: 4 } })).toBe("Sample 2 of 3 · pages 3–4");
+    expect(sampleLabel({ index: 0, count: 1, pages: { from: 1, to: 1 } })).toBeNull();
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+import { parseCoaText } from "../coaTextParser";
+
+const totalTerpenes = (line) => {
+  const record = parseCoaText(`Product Name: Blue Dream\nTotal THC: 21.4%\n${line}`);
+  return { pct: record.totalTerpenes, source: record.provenance.totalTerpenes };
+};
+
+describe("total terpenes", () => {
+  it("reads a printed percent or unit as is", () => {
+    expect(totalTerpenes("Total Terpenes: 3.78%")).toMatchObject({ pct: 3.78, source: { strategy: "same_line" } });
+    expect(totalTerpenes("Total Terpenes 20.5 mg/g")).toMatchObject({ pct: 2.05, source: { strategy: "unit_converted" } });
+  });
+
+  it.each([
+    ["Total Terpenes 3.78", 3.78, "%"],
+    ["Total Terpenes 80.9", 8.09, "mg/g"],
+    ["Total Terpenes 809.00", 0.0809, "ppm"],
+  ])("reads a bare number by its size: %s", (line, pct, unit) => {
+    const { pct: got, source } = totalTerpenes(line);
+    expect(got).toBeCloseTo(pct, 6);
+    expect(source.strategy).toBe("bare_number");
+    expect(source.conversion).toMatchObject({ from: unit, assumed: true });
+  });
+});
+
+describe("terpene rows", () => {
+  it("reads the Result column of an Analyte / LOD / LOQ table, not the first number", () => {
+    const record = parseCoaText(
+      "Product Name: Blue Dream\nTERPENES\nAnalyte LOD LOQ Result (%)\nbeta-Myrcene 0.005 0.01 0.812\nLimonene 0.005 0.01 ND\n"
+    );
+    expect(record.terpenes).toMatchObject([{ name: "beta-Myrcene", pct: 0.812 }, { name: "Limonene", state: "nd" }]);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { guessMapping, mappingForHeaders, parseDelimited, presetFromMapping, rowsToRecords } from "../csvImport";
+import { fixture } from "./fixtures";
+
+describe("parseDelimited", () => {
+  it("handles quoted cells and pads short rows", () => {
+    const { delimiter, headers, rows } = parseDelimited(fixture("terpene-panel.csv"));
+    expect(delimiter).toBe(",");
+    expect(headers).toHaveLength(7);
+    expect(rows[1][0]).toBe("Gelato, Batch 2");
+    expect(rows[1]).toHaveLength(7);
+  });
+
+  it("sniffs semicolons", () => {
+    expect(parseDelimited(fixture("terpene-panel-de.csv")).delimiter).toBe(";");
+  });
+});
+
+describe("guessMapping", () => {
+  it("maps totals, terpenes and cannabinoids from their headers", () => {
+    const { headers } = parseDelimited(fixture("terpene-panel.csv"));
+    expect(guessMapping(headers)).toEqual(["name", "form", "totalTHC", "totalTerpenes", "terpene", "terpene", "cannabinoid:cbd"]);
+  });
+});
+
+describe("presets", () => {
+  it("keeps preset columns and guesses the rest", () => {
+    const preset = [
+      { header: "Strain", field: "name" },
+      { header: "Potency", field: "totalTHC" },
+    ];
+    expect(mappingForHeaders(["Strain", "THC"], preset)).toEqual({ mapping: ["name", "totalTHC"], matched: 1 });
+  });
+
+  it("reads presets saved as { header: field }", () => {
+    expect(mappingForHeaders(["Strain", "THC"], { Strain: "form" }).mapping).toEqual(["form", "totalTHC"]);
+  });
+
+  it("maps repeated headers column by column", () => {
+    const headers = ["Product", "Result", "Result"];
+    const preset = presetFromMapping(headers, ["name", "totalTHC", "totalTerpenes"]);
+    expect(mappingForHeaders(headers, preset)).toEqual({ mapping: ["name", "totalTHC", "totalTerpenes"], matched: 3 });
+
+    const { records } = rowsToRecords(headers, [["Blue Dream", "21.4", "2.1"]], ["name", "totalTHC", "totalTerpenes"]);
+    expect(records[0]).toMatchObject({ totalTHC: 21.4, totalTerpenes: 2.1 });
+  });
+});
+
+describe("rowsToRecords", () => {
+  it("turns valid rows into records and reports the rest", () => {
+    const { headers, rows } = parseDelimited(fixture("terpene-panel.csv"));
+    const { records, failures } = rowsToRecords(headers, rows, guessMapping(headers));
+
+    expect(records.map((r) => r.name)).toEqual(["Blue Dream", "Gelato, Batch 2"]);
+    expect(records[0]).toMatchObject({ row: 2, totalTHC: 21.4, totalTerpenes: 2.1 });
+    expect(records[1].totalTHC).toBeCloseTo(18.2, 9);
+    expect(records[0].terpenes.map((t) => t.state)).toEqual(["detected", "nd"]);
+
+    expect(failures.map((f) => f.row)).toEqual([4, 5]);
+    expect(failures[1].errors[0]).toMatch(/^Total THC \(%\): /);
+  });
+
+  it("reads decimal commas and translated headers", () => {
+    const { headers, rows } = parseDelimited(fixture("terpene-panel-de.csv"));
+    const { records } = rowsToRecords(headers, rows, guessMapping(headers));
+    expect(records[0]).toMatchObject({ name: "Sorte A", totalTHC: 21.3 });
+    expect(records[0].terpenes[0]).toMatchObject({ name: "Myrcene", pct: 0.52 });
+  });
+
+  it("needs a name and a THC column", () => {
+    const { failures } = rowsToRecords(["A"], [["x"]], ["form"]);
+    expect(failures[0].errors).toHaveLength(2);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { doseMgFor, dosingFromFields, extractDosing, formatDosing, mgPerPackage } from "../dosing";
+import { fixture } from "./fixtures";
+
+describe("extractDosing", () => {
+  it("reads per-unit gummies and their serving", () => {
+    const dosing = extractDosing(fixture("gummies-label.txt"));
+    expect(dosing).toMatchObject({ mgPerUnit: 10, unitsPerPackage: 10, servingSize: { amount: 2, unit: "unit" } });
+    expect(mgPerPackage(dosing)).toBe(100);
+    expect(doseMgFor({ dosing })).toBe(20);
+  });
+
+  it("reads a tincture's concentration and converts fl oz", () => {
+    const dosing = extractDosing(fixture("tincture-label.txt"));
+    expect(dosing).toMatchObject({ mgPerMl: 33.3, volumeMl: 29.574, servingSize: { amount: 0.5, unit: "mL" } });
+    expect(doseMgFor({ dosing })).toBe(16.65);
+  });
+
+  it("is null when nothing is printed", () => {
+    expect(extractDosing("Product Name: Blue Dream\nTotal THC: 21.4%")).toBeNull();
+    expect(extractDosing("")).toBeNull();
+  });
+});
+
+describe("dosingFromFields", () => {
+  it("takes typed values, blanks as null", () => {
+    const dosing = dosingFromFields({ mgPerUnit: "5", unitsPerPackage: "", servingAmount: "1", servingUnit: "mL" });
+    expect(dosing).toMatchObject({ mgPerUnit: 5, unitsPerPackage: null, mgPerMl: 5, servingSize: { amount: 1, unit: "mL" } });
+    expect(dosingFromFields({})).toBeNull();
+  });
+
+  it("accepts decimal commas", () => {
+    expect(dosingFromFields({ mgPerUnit: "2,5" }).mgPerUnit).toBe(2.5);
+  });
+});
+
+describe("doseMgFor", () => {
+  it("prefers the user's dose, then the serving, then one unit", () => {
+    expect(doseMgFor({ dosing: { mgPerUnit: 10, doseMg: 15 } })).toBe(15);
+    expect(doseMgFor({ dosing: { mgPerUnit: 10 } })).toBe(10);
+    expect(doseMgFor({ metrics: { thcPerUnitMg: 5 } })).toBe(5);
+    expect(doseMgFor({ metrics: { totalTHC: 21 } })).toBeNull();
+  });
+});
+
+describe("formatDosing", () => {
+  it("summarises what is known", () => {
+    expect(formatDosing({ mgPerUnit: 10, unitsPerPackage: 10 })).toBe("10 mg/unit · 10 units · 100 mg/pkg");
+    expect(formatDosing(null)).toBe("");
+  });
+});
@@ -0,0 +1,5 @@
+// src/utils/__tests__/fixtures.js
+import { readFileSync } from "node:fs";
+
+/** Text of a file under __tests__/fixtures/ */
+export const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
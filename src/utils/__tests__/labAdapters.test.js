@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { applyLabAdapter, labLabelFor, pickLabAdapter } from "../labAdapters";
+import { fixture } from "./fixtures";
+
+describe("pickLabAdapter", () => {
+  it("recognises each lab's own layout", () => {
+    expect(pickLabAdapter(fixture("kaycha-en.txt")).adapter.id).toBe("kaycha");
+    expect(pickLabAdapter(fixture("modern-canna-en.txt")).adapter.id).toBe("modern_canna");
+  });
+
+  it("treats Cultivar / Sample Matrix labels as Modern Canna cues without naming the lab", () => {
+    const text = "Cultivar: Gelato\nSample Matrix: Flower\nLinalool 0.4";
+    expect(pickLabAdapter(text).adapter.id).toBe("modern_canna");
+    expect(labLabelFor("modern_canna", text)).toBeNull();
+    expect(labLabelFor("modern_canna", fixture("modern-canna-en.txt"))).toBe("Modern Canna / Trulieve");
+  });
+});
+
+describe("applyLabAdapter", () => {
+  const kaycha = fixture("kaycha-en.txt");
+  const generic = (fields) => ({ terpenes: [], provenance: {}, ...fields });
+
+  it("Kaycha: the printed terpene total only stands in for a missing or tiny one", () => {
+    expect(applyLabAdapter(generic({ totalTerpenes: 0.005 }), kaycha).totalTerpenes).toBe(1.92);
+    expect(applyLabAdapter(generic({ totalTerpenes: null }), kaycha).totalTerpenes).toBe(1.92);
+    expect(applyLabAdapter(generic({ totalTerpenes: 2.4 }), kaycha).totalTerpenes).toBe(2.4);
+  });
+
+  it("Kaycha: TESTED rows only fill an empty terpene result", () => {
+    const rows = [{ name: "BETA-MYRCENE", pct: 0.8, state: "detected" }];
+    expect(applyLabAdapter(generic({ terpenes: rows }), kaycha).terpenes).toBe(rows);
+    expect(applyLabAdapter(generic({}), kaycha).terpenes[0]).toEqual({ name: "BETA-MYRCENE", pct: 0.812 });
+  });
+
+  it("Modern Canna: summary totals replace, terpene rows only fill an empty result", () => {
+    const text = fixture("modern-canna-en.txt");
+    const rows = [{ name: "Myrcene", pct: 0.9, state: "detected" }];
+    const merged = applyLabAdapter(generic({ totalTHC: 7.7, terpenes: rows }), text);
+    expect(merged.totalTHC).toBe(77.14);
+    expect(merged.terpenes).toBe(rows);
+    expect(applyLabAdapter(generic({}), text).terpenes.map((t) => t.name)).toContain("Linalool");
+  });
+
+  it("Modern Canna: reads terpene rows only inside the terpene section", () => {
+    const text = `Batch Size 250\nMoisture 11.2\n${fixture("modern-canna-en.txt")}\nMICROBIALS\nYeast 100\n`;
+    expect(applyLabAdapter(generic({}), text).terpenes.map((t) => t.name)).toEqual(["beta-Caryophyllene", "Linalool", "D-Limonene"]);
+  });
+});
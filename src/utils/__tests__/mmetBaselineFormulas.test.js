@@ -0,0 +1,121 @@
+import { describe, expect, it } from "vitest";
+import {
+  calculateBaseline,
+  DEFAULT_MODEL_CONFIG,
+  DOSE_CURVE,
+  ENGINE_VERSION,
+  FORM_MODIFIERS,
+  hillCurve,
+  POTENCY_CURVES,
+  potencyResponse,
+} from "../mmetBaselineFormulas";
+import { findModelConfig, isOutdatedConfig, saveModelConfigVersion } from "../modelConfig";
+import { calculateBaselineScores, DIMS } from "../scoring";
+
+const product = (extra = {}) => ({
+  name: "Blue Dream",
+  form: "Flower",
+  metrics: { totalTHC: 22, totalTerpenes: 2.4, totalCBD: 0.4, cannabinoids: { cbn: 0.3 } },
+  terpenes: [
+    { name: "myrcene", pct: 0.9 },
+    { name: "limonene", pct: 0.5 },
+    { name: "beta-caryophyllene", pct: 0.4 },
+    { name: "linalool", pct: 0.2 },
+  ],
+  ...extra,
+});
+
+const increasing = (xs, f) => xs.every((x, i) => i === 0 || f(x) >= f(xs[i - 1]));
+
+describe("engine version", () => {
+  it("is the built-in config's version", () => {
+    expect(DEFAULT_MODEL_CONFIG.version).toBe(ENGINE_VERSION);
+    expect(DEFAULT_MODEL_CONFIG.engineVersion).toBe(ENGINE_VERSION);
+  });
+
+  it("is recorded when a config is saved; configs saved for another engine are flagged but still used", () => {
+    const saved = saveModelConfigVersion({ ...DEFAULT_MODEL_CONFIG, name: "Clinic" }, [], { id: "c1" });
+    expect(saved.engineVersion).toBe(ENGINE_VERSION);
+    expect(isOutdatedConfig(saved)).toBe(false);
+
+    const old = { id: "c0", name: "Clinic", version: 1, weights: { terp: 0.4 } };
+    expect(isOutdatedConfig(old)).toBe(true);
+    expect(isOutdatedConfig({ ...old, engineVersion: ENGINE_VERSION - 1 })).toBe(true);
+    expect(findModelConfig([old], "c0")).toMatchObject({ id: "c0", weights: { terp: 0.4, form: DEFAULT_MODEL_CONFIG.weights.form } });
+    expect(findModelConfig([old], "gone")).toBe(DEFAULT_MODEL_CONFIG);
+  });
+});
+
+describe("curves", () => {
+  const xs = [0, 1, 2.5, 5, 10, 15, 20, 25, 30, 45, 60, 80, 95, 200];
+  const curves = [
+    ...Object.values(POTENCY_CURVES).flatMap((c) => [c.potency, c.anxietyRisk]),
+    DOSE_CURVE.potency,
+    DOSE_CURVE.anxietyRisk,
+  ];
+
+  it("hillCurve starts at the floor, rises, and stays within [floor, ceiling]", () => {
+    for (const c of curves) {
+      expect(hillCurve(0, c)).toBeCloseTo(c.floor, 9);
+      expect(increasing(xs, (x) => hillCurve(x, c))).toBe(true);
+      for (const x of xs) {
+        expect(hillCurve(x, c)).toBeGreaterThanOrEqual(c.floor);
+        expect(hillCurve(x, c)).toBeLessThanOrEqual(c.ceiling);
+      }
+      expect(hillCurve(c.ec50, c)).toBeCloseTo((c.floor + c.ceiling) / 2, 9);
+    }
+  });
+
+  it("is bounded for bad input", () => {
+    expect(hillCurve(-5, DOSE_CURVE.potency)).toBeCloseTo(DOSE_CURVE.potency.floor, 9);
+    expect(hillCurve("abc", DOSE_CURVE.potency)).toBeCloseTo(DOSE_CURVE.potency.floor, 9);
+  });
+
+  it("potency never falls as THC % or the mg dose rises", () => {
+    for (const formKey of Object.keys(FORM_MODIFIERS)) {
+      expect(increasing(xs, (thcPct) => potencyResponse({ thcPct, formKey }).potency)).toBe(true);
+    }
+    expect(increasing(xs, (doseMg) => potencyResponse({ doseMg, formKey: "edible" }).potency)).toBe(true);
+  });
+
+  it("keeps the dose curve near the old dose bands", () => {
+    expect(potencyResponse({ doseMg: 5 }).potency).toBeCloseTo(0.45, 1);
+    expect(potencyResponse({ doseMg: 10 }).potency).toBeCloseTo(0.64, 1);
+    expect(potencyResponse({ doseMg: 25 }).potency).toBeCloseTo(0.84, 1);
+  });
+});
+
+describe("trace", () => {
+  const forms = ["Flower", "Live Resin Cart", "Hash", "Gummies", "Pre-Roll"];
+
+  it.each(forms)("%s: each dimension's steps add up to its score", (form) => {
+    const p = product({ form, dosing: /Gumm/.test(form) ? { mgPerUnit: 10 } : null });
+    const scores = calculateBaselineScores(p);
+    for (const dim of DIMS) {
+      const steps = scores._trace[dim];
+      const sum = steps.reduce((acc, st) => acc + st.delta, 0);
+      expect(sum).toBeCloseTo(scores[dim], 6);
+      if (steps.length) expect(steps[steps.length - 1].value).toBeCloseTo(scores[dim], 6);
+      expect(scores[dim]).toBeGreaterThanOrEqual(0);
+      expect(scores[dim]).toBeLessThanOrEqual(5);
+      expect(scores[dim] * 2).toBe(Math.round(scores[dim] * 2));
+    }
+  });
+
+  it("engine steps run from one value to the next", () => {
+    const { trace } = calculateBaseline({ totalTHC: 24, totalTerpenes: 2, form: "flower", terpenes: product().terpenes });
+    expect(Object.keys(trace)).toEqual(expect.arrayContaining(["pain", "head", "couch", "clarity", "anxietyRisk"]));
+    for (const steps of Object.values(trace)) {
+      expect(steps.length).toBeGreaterThan(0);
+      let value = 0;
+      for (const st of steps) {
+        expect(st.value).toBeCloseTo(value + st.delta, 6);
+        value = st.value;
+      }
+    }
+  });
+
+  it("names the config that produced the scores", () => {
+    expect(calculateBaselineScores(product())._model).toMatchObject({ id: "default", version: ENGINE_VERSION, engineVersion: ENGINE_VERSION });
+  });
+});
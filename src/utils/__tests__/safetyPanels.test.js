@@ -0,0 +1,17 @@
+import { describe, expect, it } from "vitest";
+import { productSafetyStatus, SAFETY_PANELS, SAFETY_STATUS } from "../safetyPanels";
+
+const allPass = () => Object.fromEntries(SAFETY_PANELS.map((p) => [p.id, { status: "pass" }]));
+
+describe("productSafetyStatus", () => {
+  it("puts products without a COA apart from incomplete ones", () => {
+    expect(productSafetyStatus({ isManual: true })).toBe(SAFETY_STATUS.NO_COA);
+    expect(productSafetyStatus({ coa: { safety: {} } })).toBe(SAFETY_STATUS.INCOMPLETE);
+  });
+
+  it("reads the COA's panels", () => {
+    expect(productSafetyStatus({ coa: { safety: allPass() } })).toBe(SAFETY_STATUS.CLEAN);
+    const safety = { ...allPass(), [SAFETY_PANELS[0].id]: { status: "fail", failures: [] } };
+    expect(productSafetyStatus({ coa: { safety } })).toBe(SAFETY_STATUS.FAILED);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+import { calculateBaselineScores, calculatePersonalizedScores, DIMS } from "../scoring";
+
+const product = {
+  id: "p1",
+  name: "Blue Dream",
+  form: "Flower",
+  metrics: { totalTHC: 22, totalTerpenes: 2 },
+  terpenes: [{ name: "myrcene", pct: 0.8 }],
+};
+
+const session = (extra) => ({ productId: "p1", actuals: { pain: 5 }, ...extra });
+
+describe("calculatePersonalizedScores", () => {
+  const baseline = calculateBaselineScores(product);
+  const ref = baseline._model;
+
+  it("learns from the baseline stored with the session when the same config made it", () => {
+    const sessions = Array.from({ length: 10 }, () => session({ baseline: { pain: 1 }, modelConfig: ref }));
+    const scores = calculatePersonalizedScores(baseline, sessions, "p1", [product]);
+    // 4 points over the stored baseline at 80% confidence
+    expect(scores.pain).toBe(Math.min(5, Math.round((baseline.pain + 3.2) * 2) / 2));
+  });
+
+  it("re-scores sessions another config made, and never reads the personalized prediction", () => {
+    const sessions = [
+      session({ actuals: { pain: baseline.pain }, baseline: { pain: 1 }, modelConfig: { ...ref, version: ref.version - 1 } }),
+      session({ actuals: { pain: baseline.pain }, baseline: { pain: 1 }, modelConfig: { ...ref, engineVersion: ref.engineVersion - 1 } }),
+      session({ actuals: { pain: baseline.pain }, predicted: { pain: 5 } }),
+    ];
+    const scores = calculatePersonalizedScores(baseline, sessions, "p1", [product]);
+    for (const dim of DIMS) expect(scores[dim]).toBe(baseline[dim]);
+  });
+});
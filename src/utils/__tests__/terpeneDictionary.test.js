@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { canonicalTerpName, lookupTerpene, rollUpTerpenes, terpeneLabel, terpeneParent, TERPENE_PARENTS } from "../terpeneDictionary";
+
+describe("lookupTerpene", () => {
+  it.each([
+    ["β-Myrcene", "myrcene"],
+    ["b-myrcene", "myrcene"],
+    ["(−)-β-Caryophyllene", "beta-caryophyllene"],
+    ["Caryophyllene", "beta-caryophyllene"],
+    ["D-Limonene", "limonene"],
+    ["alpha-Caryophyllene", "alpha-humulene"],
+    ["CAS 80-56-8", "alpha-pinene"],
+  ])("%s -> %s", (printed, id) => {
+    expect(lookupTerpene(printed)?.id).toBe(id);
+  });
+
+  it("is null for unknown or blank names", () => {
+    expect(lookupTerpene("Unobtainium")).toBeNull();
+    expect(lookupTerpene("  ")).toBeNull();
+  });
+});
+
+describe("canonicalTerpName / terpeneLabel", () => {
+  it("keeps unknown names stable", () => {
+    expect(canonicalTerpName("Alpha Cedrene")).toBe("alpha-cedrene");
+    expect(terpeneLabel("Alpha Cedrene")).toBe("Alpha Cedrene");
+  });
+
+  it("labels ids and printed names alike", () => {
+    expect(terpeneLabel("myrcene")).toBe("β-Myrcene");
+    expect(terpeneLabel("b-pinene")).toBe("β-Pinene");
+  });
+});
+
+describe("parents", () => {
+  it("groups isomers under a labelled parent", () => {
+    expect(terpeneParent("α-Pinene")).toBe("pinene");
+    expect(TERPENE_PARENTS.pinene.members).toEqual(expect.arrayContaining(["alpha-pinene", "beta-pinene"]));
+    for (const group of Object.values(TERPENE_PARENTS)) expect(group.label).toBeTruthy();
+  });
+
+  it("rolls rows up by parent, skipping ND", () => {
+    const map = rollUpTerpenes([
+      { name: "α-Pinene", pct: 0.1 },
+      { name: "β-Pinene", pct: 0.05 },
+      { name: "Limonene", pct: 0 },
+      { name: "Linalool", pct: null },
+    ]);
+    expect(map.get("pinene")).toBeCloseTo(0.15, 9);
+    expect(map.has("limonene")).toBe(false);
+    expect(map.has("linalool")).toBe(false);
+  });
+});
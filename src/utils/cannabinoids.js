@@ -0,0 +1,219 @@
+// src/utils/cannabinoids.js
+
+/**
+* Cannabinoid panel helpers for MMET Predictor v2
+* - CANNABINOIDS: every analyte we read off a COA potency table
+* - matchCannabinoidLabel(): maps a row label ("THC-A", "Δ9-THC", "CBDa") to a key
+* - extractCannabinoidMeasurements(): text -> { [key]: Measurement } (units.js; ND / <LOQ kept)
+* - extractCannabinoidPanel(): text -> { [key]: pct }
+* - extractCannabinoidPanelFromRows(): layout table rows -> { [key]: pct }
+* - computeCannabinoidTotals(): decarboxylated totals from a panel
+* - thcIsomerRows(): THCa / Δ9 / Δ8 / Δ10 / THC-P / HHC breakdown for display
+*
+* All values are in percent (w/w), same unit as metrics.totalTHC.
+*/
+
+import { roundPct } from "./terpenes";
+import { rowMeasurement } from "./pdfLayout";
+import { parseAnalyteValue, unitHintBefore, VALUE_STATES } from "./units";
+
+// Acid -> neutral mass ratio after decarboxylation (loss of CO2)
+export const DECARB_FACTORS = {
+  thca: 0.877,
+  cbda: 0.877,
+  cbga: 0.878,
+  cbca: 0.877,
+  thcva: 0.867,
+  cbdva: 0.867,
+};
+
+// Order matters: acids and variants are listed before the shorter names they contain
+// (THC-P before Δ9-THC, since "Δ9-THC-P" starts with "Δ9-THC").
+export const CANNABINOIDS = [
+  { key: "thca", label: "THCa", neutral: "d9thc", re: /^(?:THC[-\s]?A|Δ9[-\s]?THCA|Delta[-\s]?9[-\s]?THCA|Tetrahydrocannabinolic\s+acid)\b/i },
+  {
+    key: "thcp",
+    label: "THC-P",
+    re: /^(?:(?:Δ\s?9|Delta[-\s]?9|D9)?[-\s]?THC[-\s]?P|Tetrahydrocannabiphorol)\b/i,
+  },
+  { key: "d9thc", label: "Δ9-THC", re: /^(?:Δ\s?9[-\s]?THC|Delta[-\s]?9[-\s]?THC|D9[-\s]?THC|Δ9[-\s]?Tetrahydrocannabinol)\b/i },
+  { key: "d8thc", label: "Δ8-THC", re: /^(?:Δ\s?8[-\s]?THC|Delta[-\s]?8[-\s]?THC|D8[-\s]?THC)\b/i },
+  { key: "d10thc", label: "Δ10-THC", re: /^(?:Δ\s?10[-\s]?THC|Delta[-\s]?10[-\s]?THC|D10[-\s]?THC)\b/i },
+  // 9(R)-HHC and 9(S)-HHC epimers count as one analyte; the first row printed wins
+  { key: "hhc", label: "HHC", re: /^(?:(?:9\s?\(?[RS]\)?[-\s]?)?HHC|Hexahydrocannabinol)\b(?![-\s]?O\b)/i },
+  { key: "thcva", label: "THCVa", neutral: "thcv", re: /^THCV[-\s]?A\b/i },
+  { key: "thcv", label: "THCV", re: /^THCV\b(?!-A\b)/i },
+  { key: "cbdva", label: "CBDVa", neutral: "cbdv", re: /^CBDV[-\s]?A\b/i },
+  { key: "cbdv", label: "CBDV", re: /^CBDV\b(?!-A\b)/i },
+  { key: "cbda", label: "CBDa", neutral: "cbd", re: /^(?:CBD[-\s]?A|Cannabidiolic\s+acid)\b/i },
+  { key: "cbd", label: "CBD", re: /^(?:CBD|Cannabidiol)\b(?!-A\b)/i },
+  { key: "cbga", label: "CBGa", neutral: "cbg", re: /^(?:CBG[-\s]?A|Cannabigerolic\s+acid)\b/i },
+  { key: "cbg", label: "CBG", re: /^(?:CBG|Cannabigerol)\b(?!-A\b)/i },
+  { key: "cbca", label: "CBCa", neutral: "cbc", re: /^CBC[-\s]?A\b/i },
+  { key: "cbc", label: "CBC", re: /^(?:CBC|Cannabichromene)\b(?!-A\b)/i },
+  { key: "cbn", label: "CBN", re: /^(?:CBN|Cannabinol)\b/i },
+];
+
+export const CANNABINOID_LABELS = Object.fromEntries(CANNABINOIDS.map((c) => [c.key, c.label]));
+
+// THC and its isomers, kept as separate analytes. Total THC (Δ9 + THCa × 0.877) covers the
+// first two; the rest are weighed by the engine's relative-potency factors.
+export const THC_ISOMER_KEYS = ["thca", "d9thc", "d8thc", "d10thc", "thcp", "hhc"];
+
+/**
+* Map a row label to a cannabinoid key, or null if it isn't one.
+*/
+export function matchCannabinoidLabel(label) {
+  const s = String(label || "")
+    .replace(/^[-•*\s]+/, "")
+    .replace(/[–—]/g, "-")
+    .trim();
+  if (!s || /^total\b/i.test(s)) return null;
+  for (const c of CANNABINOIDS) {
+    const m = s.match(c.re);
+    if (m) return { key: c.key, rest: s.slice(m[0].length) };
+  }
+  return null;
+}
+
+export function isCannabinoidLabel(label) {
+  return matchCannabinoidLabel(label) != null;
+}
+
+// Pick the value out of whatever follows the label on a row:
+// "23.1%", "0.05 0.1 25.31 253.1" (LOD LOQ % mg/g), "231.0 mg/g", "25.31", "ND", "<LOQ"
+function measurementFromRest(rest, unit) {
+  const r = String(rest || "");
+
+  const printed = r.match(/([0-9]+(?:\.[0-9]+)?)\s*(%|mg\s*\/\s*g)/i);
+  if (printed) return parseAnalyteValue(`${printed[1]} ${printed[2]}`);
+
+  const state = r.match(/(?:^|\s)(ND|N\/D|<\s?LOQ|<\s?LOD|BLQ)(?=\s|$)/i);
+  if (state) return parseAnalyteValue(state[1]);
+
+  const nums = [...r.matchAll(/(?:^|\s)([0-9]+(?:\.[0-9]+)?)(?=\s|$)/g)].map((x) => Number(x[1]));
+  if (!nums.length) return null;
+
+  // Trailing "% mg/g" pair: mg/g is ten times the percent
+  const last = nums[nums.length - 1];
+  const prev = nums[nums.length - 2];
+  if (prev > 0 && Math.abs(last / prev - 10) < 0.5) return parseAnalyteValue(String(prev), { unit: "%" });
+  return parseAnalyteValue(String(last), { unit });
+}
+
+const plausible = (m) => m && (m.state !== VALUE_STATES.DETECTED || (m.pct != null && m.pct >= 0 && m.pct <= 100));
+
+/**
+* Read every cannabinoid row in a COA text into { key: Measurement } (see units.js),
+* keeping ND / <LOQ rows as explicit states.
+* The first plausible value per analyte wins (summary tables come before raw data pages).
+*/
+export function extractCannabinoidMeasurements(text) {
+  const t = String(text || "");
+  const out = {};
+  let offset = 0;
+
+  for (const line of t.split("\n")) {
+    const at = offset;
+    offset += line.length + 1;
+
+    const hit = matchCannabinoidLabel(line);
+    if (!hit || out[hit.key]) continue;
+
+    const m = measurementFromRest(hit.rest, unitHintBefore(t, at));
+    if (plausible(m)) out[hit.key] = m;
+  }
+
+  return out;
+}
+
+/**
+* Same as extractCannabinoidMeasurements but from pdfLayout row objects, so each value comes
+* from its own table cell instead of whatever number follows the label on a flat line.
+*/
+export function extractCannabinoidMeasurementsFromRows(rows) {
+  const out = {};
+  for (const row of rows || []) {
+    const hit = matchCannabinoidLabel(row?.analyte);
+    if (!hit || hit.rest.trim() || out[hit.key]) continue;
+
+    const m = rowMeasurement(row);
+    if (plausible(m)) out[hit.key] = m;
+  }
+  return out;
+}
+
+/** { key: Measurement } -> { key: pct } with only detected analytes (what totals and the engine use). */
+export function panelFromMeasurements(measurements) {
+  const panel = {};
+  for (const [key, m] of Object.entries(measurements || {})) {
+    if (m?.state === VALUE_STATES.DETECTED && m.pct != null) panel[key] = roundPct(m.pct);
+  }
+  return panel;
+}
+
+/** Text -> { key: pct }. */
+export function extractCannabinoidPanel(text) {
+  return panelFromMeasurements(extractCannabinoidMeasurements(text));
+}
+
+/** Layout rows -> { key: pct }. */
+export function extractCannabinoidPanelFromRows(rows) {
+  return panelFromMeasurements(extractCannabinoidMeasurementsFromRows(rows));
+}
+
+/**
+* Decarboxylated totals: neutral + acid * factor for THC, CBD, CBG, plus the sum of everything.
+*/
+export function computeCannabinoidTotals(panel) {
+  const p = panel || {};
+  const v = (k) => (Number.isFinite(Number(p[k])) ? Number(p[k]) : 0);
+  const has = (...keys) => keys.some((k) => p[k] != null);
+
+  const totalOf = (neutral, acid) =>
+    has(neutral, acid) ? roundPct(v(neutral) + v(acid) * DECARB_FACTORS[acid]) : null;
+
+  let sum = 0;
+  let any = false;
+  for (const c of CANNABINOIDS) {
+    if (p[c.key] == null) continue;
+    any = true;
+    sum += c.neutral ? v(c.key) * (DECARB_FACTORS[c.key] || 1) : v(c.key);
+  }
+
+  return {
+    totalTHC: totalOf("d9thc", "thca"),
+    totalCBD: totalOf("cbd", "cbda"),
+    totalCBG: totalOf("cbg", "cbga"),
+    totalCannabinoids: any ? roundPct(sum) : null,
+  };
+}
+
+/** Neutral-equivalent % of one cannabinoid: the neutral form plus its acid × decarb factor. */
+export function neutralEquivalentPct(panel, key) {
+  const p = panel || {};
+  const v = (k) => (Number.isFinite(Number(p[k])) ? Number(p[k]) : 0);
+  let pct = v(key);
+  for (const c of CANNABINOIDS) {
+    if (c.neutral === key) pct += v(c.key) * (DECARB_FACTORS[c.key] || 1);
+  }
+  return pct;
+}
+
+/** The THC isomers a panel reports, ordered like THC_ISOMER_KEYS: [{ key, label, pct }]. */
+export function thcIsomerRows(panel) {
+  const p = panel || {};
+  return THC_ISOMER_KEYS.filter((k) => Number(p[k]) > 0).map((key) => ({ key, label: CANNABINOID_LABELS[key], pct: Number(p[key]) }));
+}
+
+/**
+* Panel as a display list ordered like CANNABINOIDS, skipping empty rows.
+*/
+export function cannabinoidRows(panel) {
+  const p = panel || {};
+  return CANNABINOIDS.filter((c) => Number(p[c.key]) > 0).map((c) => ({
+    key: c.key,
+    label: c.label,
+    pct: Number(p[c.key]),
+  }));
+}
@@ -0,0 +1,153 @@
+// src/utils/coaDuplicates.js
+
+/**
+* Duplicate COA detection
+* - hashCoaFile(): SHA-256 of the uploaded bytes (hex), stored as product.coa.contentHash
+* - findDuplicate(): a parsed product vs. the saved ones (then the rest of the review queue)
+*   -> { kind, match, ... } or null
+* - mergeCoaIntoProduct(): a retest's numbers onto the saved product, keeping its id
+*   (and with it the session history) plus a short trail of the COAs it replaced
+* - mergeSavedProducts(): two saved products as one; the later-tested COA supplies the numbers
+*
+* Kinds, strongest first:
+*   ALREADY_IMPORTED  same file bytes (and same sample of a multi-sample PDF)
+*   RETEST            same batch ID and cultivar name, different file
+*   DIFFERENT_BATCH   same cultivar name, different batch ID
+*/
+
+import { parseCoaDate } from "./coaMetadata";
+
+export const DUPLICATE_KINDS = {
+  ALREADY_IMPORTED: "already_imported",
+  RETEST: "retest",
+  DIFFERENT_BATCH: "different_batch",
+};
+
+// COAs a merged product remembers in coa.history
+const HISTORY_LIMIT = 10;
+
+/** Hex SHA-256 of a File/Blob, or null where WebCrypto isn't available. */
+export async function hashCoaFile(file) {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle || typeof file?.arrayBuffer !== "function") return null;
+  const digest = await subtle.digest("SHA-256", await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// "Blue Dream (3.5g)" and "blue-dream 3.5 g" compare equal
+const cultivarKey = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "");
+
+const batchKey = (coa) => {
+  const b = coa?.batch || {};
+  return String(b.batchId || b.lotId || "").toLowerCase().replace(/[^a-z0-9]/g, "") || null;
+};
+
+const sampleIndex = (coa) => coa?.sample?.index ?? 0;
+
+const testDate = (coa) => parseCoaDate(coa?.batch?.testDate) || null;
+
+// When the match and the incoming COA were tested; newer is null unless both print a date
+function testDates(match, coa) {
+  const before = testDate(match.coa);
+  const after = testDate(coa);
+  return { testedBefore: before, testedAfter: after, newer: before && after ? after >= before : null };
+}
+
+function duplicateAmong(product, others) {
+  const coa = product.coa || {};
+  const hash = coa.contentHash || null;
+  const name = cultivarKey(product.name);
+  const batch = batchKey(coa);
+
+  const sameFile = hash && others.find((p) => p.coa?.contentHash === hash && sampleIndex(p.coa) === sampleIndex(coa));
+  if (sameFile) return { kind: DUPLICATE_KINDS.ALREADY_IMPORTED, match: sameFile };
+
+  const sameName = name ? others.filter((p) => cultivarKey(p.name) === name) : [];
+  if (!sameName.length) return null;
+
+  const retest = batch && sameName.find((p) => batchKey(p.coa) === batch);
+  if (retest) {
+    return {
+      kind: DUPLICATE_KINDS.RETEST,
+      match: retest,
+      batchId: coa.batch?.batchId || coa.batch?.lotId || null,
+      ...testDates(retest, coa),
+    };
+  }
+
+  return { kind: DUPLICATE_KINDS.DIFFERENT_BATCH, match: sameName[0], ...testDates(sameName[0], coa) };
+}
+
+/**
+* The saved product that `product` duplicates, else one waiting in `pending` (products of the
+* other queued reviews, flagged pending: true), else null.
+* Returns { kind, match, batchId, testedBefore, testedAfter, newer, pending } where newer is
+* true/false when both COAs print a test date, null otherwise.
+*/
+export function findDuplicate(product, candidates = [], { pending = [] } = {}) {
+  if (!product) return null;
+  const others = (list) => (list || []).filter((p) => p && p.id !== product.id);
+
+  const saved = duplicateAmong(product, others(candidates));
+  if (saved) return { ...saved, pending: false };
+  const queued = duplicateAmong(product, others(pending));
+  return queued ? { ...queued, pending: true } : null;
+}
+
+const historyEntry = (product) => ({
+  sourceFileName: product.coa?.sourceFileName || null,
+  sourceUrl: product.coa?.sourceUrl || null,
+  contentHash: product.coa?.contentHash || null,
+  batchId: product.coa?.batch?.batchId || product.coa?.batch?.lotId || null,
+  testDate: product.coa?.batch?.testDate || null,
+  totalTHC: product.metrics?.totalTHC ?? null,
+  totalTerpenes: product.metrics?.totalTerpenes ?? null,
+  parsedAt: product.coa?.parsedAt || product.createdAt || null,
+});
+
+/**
+* `incoming`'s COA data on `existing`'s identity: same id and createdAt, so sessions logged
+* against the saved product stay attached. The user's name, dose and label photo carry over
+* when the new COA doesn't bring its own.
+*/
+export function mergeCoaIntoProduct(existing, incoming) {
+  const history = [historyEntry(existing), ...(existing.coa?.history || [])].slice(0, HISTORY_LIMIT);
+  const doseMg = incoming.dosing?.doseMg ?? existing.dosing?.doseMg ?? null;
+
+  return {
+    ...incoming,
+    id: existing.id,
+    createdAt: existing.createdAt,
+    name: existing.name || incoming.name,
+    dosing: incoming.dosing ? { ...incoming.dosing, doseMg } : doseMg != null ? { doseMg } : null,
+    labelPhoto: incoming.labelPhoto || existing.labelPhoto || null,
+    coa: { ...incoming.coa, history },
+  };
+}
+
+/**
+* Saved product `drop` folded into `keep`, on keep's id. The COA tested later supplies the
+* numbers (keep's own when a date is missing, drop's when only drop has a COA); the other
+* one and both trails go into coa.history. Moving drop's sessions is the caller's job.
+*/
+export function mergeSavedProducts(keep, drop) {
+  const kept = testDate(keep.coa);
+  const dropped = testDate(drop.coa);
+  const dropWins = kept && dropped ? dropped > kept : !keep.coa && !!drop.coa;
+  if (!keep.coa && !drop.coa) return keep;
+
+  const [winner, loser] = dropWins ? [drop, keep] : [keep, drop];
+  const history = [
+    ...(loser.coa ? [historyEntry(loser)] : []),
+    ...(winner.coa?.history || []),
+    ...(loser.coa?.history || []),
+  ].slice(0, HISTORY_LIMIT);
+
+  const merged = dropWins ? mergeCoaIntoProduct(keep, drop) : keep;
+  return { ...merged, coa: { ...merged.coa, history } };
+}
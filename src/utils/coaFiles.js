@@ -0,0 +1,39 @@
+// src/utils/coaFiles.js
+// Reading dropped COA files. Runs inside the parser worker (src/workers/coaParser.worker.js)
+// and on the main thread when workers aren't available.
+
+import { parseCoaPdf, parseCoaImage } from "./coaPdfParser";
+import { parseCoaText } from "./coaTextParser";
+import { isSpreadsheetFile } from "./csvImport";
+
+/**
+ * File -> CoaRecord[] (see coaRecord.js): one record per sample, so usually just one.
+ * PDFs report `onProgress({ page, pages })` and stop between pages once `signal` is aborted.
+ */
+export async function readCoaFile(file, { onProgress, signal } = {}) {
+  const name = (file?.name || "").toLowerCase();
+
+  // Spreadsheets hold many products; they go through the CSV import dialog instead
+  if (isSpreadsheetFile(file)) throw new Error(`Use CSV import for spreadsheets: ${file?.name || "unknown"}`);
+
+  if (name.endsWith(".txt") || name.endsWith(".md") || file?.type?.startsWith("text/")) {
+    const record = parseCoaText(await file.text());
+    if (!record) throw new Error(`Empty file: ${file?.name || "unknown"}`);
+    return [record];
+  }
+
+  const isPdf = name.endsWith(".pdf") || file?.type === "application/pdf";
+  const isImage = /\.(png|jpe?g)$/.test(name) || /^image\/(png|jpeg)$/.test(file?.type || "");
+
+  if (isPdf || isImage) {
+    try {
+      return isPdf ? await parseCoaPdf(file, { onProgress, signal }) : [await parseCoaImage(file)];
+    } catch (err) {
+      if (err?.name === "AbortError") throw err;
+      console.error("PDF parsing error:", err);
+      throw new Error(`${isPdf ? "PDF" : "Image"} parsing failed: ${err?.message || err}`);
+    }
+  }
+
+  throw new Error(`Unsupported file type: ${file?.name || "unknown"}`);
+}
@@ -0,0 +1,221 @@
+// src/utils/coaLocale.js
+
+/**
+* Number locale and language of international COAs (Canada, EU, Latin America)
+* - detectCoaLocale(): text -> { decimal: "." | ",", language: "en" | "es" | "de" | "fr" }
+* - parseLocaleNumber(): "0,52" / "1.234,5" / "1,234.5" / "1 234,5" -> number
+* - normalizeNumbers(): rewrite a text's numbers to plain dot decimals without grouping
+* - translateAnalyteLabels(): Spanish / German / French labels -> the English ones the extractors read
+* - localizeText() / localizeLayout(): all of the above, before any extractor runs
+*
+* The extractors only read "0.52 %" and English labels, so documents are rewritten into that
+* form up front. Labels are only translated when the document isn't English: several rules
+* ("Charge", "CBD total") also match English text that must stay as printed. Replacements never add or remove lines, so page/line provenance still points
+* at the right row. The result's `locale` ({ decimal, language, converted }) goes on the
+* CoaRecord and from there on product.coa.locale.
+*/
+
+export const DEFAULT_LOCALE = { decimal: ".", language: "en", converted: false };
+
+// Letters that count as part of a word, accents included (\b doesn't know about "é")
+const LETTER = "A-Za-zÀ-ÖØ-öø-ÿ";
+const word = (source) => new RegExp(`(?<![${LETTER}])(?:${source})(?![${LETTER}])`, "gi");
+
+const LANGUAGE_HINTS = {
+  en: word("the|result|results|sample|batch|analyte|tested|total|date"),
+  es: word("cannabinoides|terpenos|resultado|resultados|muestra|lote|fecha|análisis|analito|no detectado|límite"),
+  de: word("cannabinoide|gesamt|ergebnis|ergebnisse|probe|charge|datum|prüfbericht|nicht nachweisbar|bestimmungsgrenze"),
+  fr: word("cannabinoïdes|terpènes|résultat|résultats|échantillon|date d'analyse|non détecté|limite de quantification"),
+};
+
+// Longer phrases first: totals before the bare words they contain.
+const LABEL_TRANSLATIONS = [
+  // Totals. "CBD total" but not the "CBD Total" in "Total CBD Total THC", where the
+  // "Total" belongs to the next analyte
+  [
+    word("(?<!total[\\s-]+)(THCA?|CBDA?|CBG|CBN)[\\s-]+(?:gesamt|total(?:es|e)?(?![\\s-]+(?:THC|CBD|CBG|CBN|Cannabino|Terpen)))"),
+    "Total $1",
+  ],
+  [word("Gesamt[\\s-]?(THCA?|CBDA?|CBG|CBN)|Total\\s+de\\s+(THCA?|CBDA?|CBG|CBN)"), (m, a, b) => `Total ${a || b}`],
+  [
+    word("Cannabinoides\\s+totales|Total\\s+de\\s+cannabinoides|Gesamt[\\s-]?cannabinoide|Cannabinoide\\s+gesamt|Cannabinoïdes\\s+totaux|Total\\s+des\\s+cannabinoïdes"),
+    "Total Cannabinoids",
+  ],
+  [word("Terpenos\\s+totales|Total\\s+de\\s+terpenos|Gesamt[\\s-]?terpene|Terpene\\s+gesamt|Terpènes\\s+totaux|Total\\s+des\\s+terpènes"), "Total Terpenes"],
+  [word("Cannabinoides|Cannabinoïdes|Cannabinoide"), "Cannabinoids"],
+  [word("Terpenos|Terpènes"), "Terpenes"],
+  // German section heading "Terpene" (the English singular elsewhere is left alone)
+  [/^([^\S\n]*)Terpene([^\S\n]*)$/gm, "$1Terpenes$2"],
+
+  // Result states
+  [word("no\\s+detectado|non\\s+détecté|nicht\\s+nachweisbar|n\\.\\s?n\\."), "ND"],
+  [/<\s?(?:LC|LdC|LQ|LdQ|BG)(?![A-Za-z])/g, "<LOQ"],
+  [/<\s?(?:LD|LdD|NG|NWG)(?![A-Za-z])/g, "<LOD"],
+
+  // Cannabinoids spelled out
+  [word("Ácido\\s+tetrahidrocannabinólico|Acido\\s+tetrahidrocannabinolico|Tetrahydrocannabinols(?:ä|ae)ure|Acide\\s+tétrahydrocannabinolique"), "THCA"],
+  [word("Ácido\\s+cannabidiólico|Acido\\s+cannabidiolico|Cannabidiols(?:ä|ae)ure|Acide\\s+cannabidiolique"), "CBDA"],
+  [word("Ácido\\s+cannabigerólico|Acido\\s+cannabigerolico|Cannabigerols(?:ä|ae)ure|Acide\\s+cannabigérolique"), "CBGA"],
+  [word("Tetrahidrocannabinol|Tétrahydrocannabinol"), "Tetrahydrocannabinol"],
+  [word("Cannabicromeno|Cannabichromen|Cannabichromène"), "Cannabichromene"],
+
+  // Terpenes (oxide before the plain name)
+  [word("(?:Óxido|Oxido)\\s+de\\s+cariofileno|Caryophyllen[\\s-]?oxid|Oxyde\\s+de\\s+caryophyllène"), "Caryophyllene Oxide"],
+  [word("mirceno|myrcen|myrcène"), "Myrcene"],
+  [word("limoneno|limonen|limonène"), "Limonene"],
+  [word("linalol"), "Linalool"],
+  [word("cariofileno|caryophyllen|caryophyllène"), "Caryophyllene"],
+  [word("pineno|pinen|pinène"), "Pinene"],
+  [word("humuleno|humulen|humulène"), "Humulene"],
+  [word("terpinoleno|terpinolen|terpinolène"), "Terpinolene"],
+  [word("ocimeno|ocimen|ocimène"), "Ocimene"],
+  [word("farneseno|farnesen|farnésène"), "Farnesene"],
+  [word("canfeno|camphen|camphène"), "Camphene"],
+  [word("felandreno|phellandren|phellandrène"), "Phellandrene"],
+  [word("careno|caren|carène"), "Carene"],
+  [word("valenceno|valencen|valencène"), "Valencene"],
+  [word("sabineno|sabinen|sabinène"), "Sabinene"],
+  [word("eucaliptol|eukalyptol"), "Eucalyptol"],
+  [word("mentol"), "Menthol"],
+
+  // Metadata labels (coaMetadata.js, coaSamples.js)
+  [word("Nombre\\s+del\\s+producto|Produktname|Produktbezeichnung|Nom\\s+du\\s+produit"), "Product Name"],
+  [word("Matriz\\s+de\\s+la\\s+muestra|Probenmatrix|Matrice\\s+de\\s+l'échantillon"), "Sample Matrix"],
+  [word("ID\\s+de\\s+(?:la\\s+)?muestra|Proben[-\\s]?(?:nummer|ID|nr\\.?)|Identifiant\\s+de\\s+l'échantillon|N°\\s+d'échantillon"), "Sample ID"],
+  [word("Número\\s+de\\s+lote|Lote"), "Lot"],
+  [word("Chargen[-\\s]?(?:nummer|nr\\.?)|Charge"), "Batch"],
+  [word("Fecha\\s+de\\s+(?:análisis|analisis|ensayo)|Prüfdatum|Analysedatum|Date\\s+d'analyse"), "Date Tested"],
+  [word("Fecha\\s+de\\s+(?:caducidad|vencimiento)|Verfallsdatum|Ablaufdatum|Date\\s+d'expiration|Date\\s+de\\s+péremption"), "Expiration Date"],
+  [word("Fecha\\s+de\\s+cosecha|Erntedatum|Date\\s+de\\s+récolte"), "Harvest Date"],
+
+  // French spacing before a colon ("Nom du produit : Gelato") -> "Product Name: Gelato"
+  [new RegExp(`([${LETTER})])[^\\S\\n]+:(?=[^\\S\\n]|$)`, "gm"), "$1:"],
+];
+
+// Digits glued by "." / "," with optional space-style grouping (no-break and narrow spaces)
+const NUMBER_TOKEN = /(?<![\d.,])\d{1,3}(?:[\u00a0\u202f]\d{3})+(?:[.,]\d+)?(?![\d]|[.,]\d)|(?<![\d.,])\d+(?:[.,]\d+)+(?![\d]|[.,]\d)/g;
+
+const GROUP_SPACES = /[\s\u00a0\u202f']/g;
+
+// Vote per number token on which mark is the decimal one
+function decimalVote(token) {
+  const t = token.replace(GROUP_SPACES, "");
+  const dots = (t.match(/\./g) || []).length;
+  const commas = (t.match(/,/g) || []).length;
+
+  if (dots && commas) return t.lastIndexOf(",") > t.lastIndexOf(".") ? "," : ".";
+  const sep = dots ? "." : commas ? "," : null;
+  if (!sep) return null;
+
+  const parts = t.split(sep);
+  if (parts.length > 2) {
+    // 1.234.567 groups thousands (so the other mark is the decimal); 14.03.2025 is a date
+    return parts.slice(1).every((p) => p.length === 3) ? (sep === "." ? "," : ".") : null;
+  }
+  // "0,52" / "0.52" or anything but three digits after the mark: that mark is the decimal
+  if (parts[0] === "0" || parts[1].length !== 3) return sep;
+  return null;
+}
+
+/**
+* Decimal mark and language of a document.
+* The decimal mark is whichever one the unambiguous numbers vote for ("." on a tie).
+*/
+export function detectCoaLocale(text) {
+  const t = String(text || "");
+  const votes = { ".": 0, ",": 0 };
+  for (const token of t.match(NUMBER_TOKEN) || []) {
+    const v = decimalVote(token);
+    if (v) votes[v]++;
+  }
+
+  let language = "en";
+  let best = 0;
+  for (const [lang, re] of Object.entries(LANGUAGE_HINTS)) {
+    const hits = (t.match(re) || []).length;
+    if (hits > best) {
+      best = hits;
+      language = lang;
+    }
+  }
+
+  return { decimal: votes[","] > votes["."] ? "," : ".", language };
+}
+
+/**
+* Parse one number written in a locale. Without a locale the token decides: the last of
+* "." / "," is the decimal when both appear, a lone mark followed by exactly three digits
+* groups thousands (unless the number starts "0").
+* A group mark that doesn't sit before three digits is read as the decimal, so "0,52" is
+* 0.52 even in a document detected as dot-decimal.
+*/
+export function parseLocaleNumber(raw, locale = null) {
+  const s = String(raw ?? "").trim().replace(GROUP_SPACES, "");
+  const m = s.match(/^([+-]?)(\d[\d.,]*|[.,]\d+)$/);
+  if (!m) return null;
+
+  let digits = m[2];
+  const decimal = locale?.decimal || decimalVote(digits) || ".";
+  const group = decimal === "," ? "." : ",";
+
+  const grouped = new RegExp(`^\\d{1,3}(?:\\${group}\\d{3})+(?:\\${decimal}\\d*)?$`);
+  if (grouped.test(digits)) digits = digits.split(group).join("");
+  else if (digits.includes(group) && !digits.includes(decimal) && digits.split(group).length === 2) {
+    digits = digits.replace(group, decimal);
+  }
+
+  const n = Number(`${m[1]}${decimal === "," ? digits.replace(",", ".") : digits}`);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Rewrite every number to dot-decimal without grouping; returns the text unchanged when there's nothing to do. */
+export function normalizeNumbers(text, locale = DEFAULT_LOCALE) {
+  return String(text ?? "").replace(NUMBER_TOKEN, (token) => {
+    // Dates, versions and IDs (several marks, groups that aren't thousands) stay as printed
+    const t = token.replace(GROUP_SPACES, "");
+    const marks = t.match(/[.,]/g) || [];
+    if (marks.length > 1 && !decimalVote(t)) return token;
+    if (locale.decimal === "." && !/[,\u00a0\u202f]/.test(token)) return token;
+
+    const n = parseLocaleNumber(t, locale);
+    return n == null ? token : String(n);
+  });
+}
+
+/** Spanish / German / French analyte, total and metadata labels -> English. */
+export function translateAnalyteLabels(text) {
+  let out = String(text ?? "");
+  for (const [re, replacement] of LABEL_TRANSLATIONS) out = out.replace(re, replacement);
+  return out;
+}
+
+/** Detect, then rewrite numbers and labels. Returns { text, locale }. */
+export function localizeText(text, locale = null) {
+  const raw = String(text ?? "");
+  const detected = locale || detectCoaLocale(raw);
+  const numbers = normalizeNumbers(raw, detected);
+  const out = detected.language === "en" ? numbers : translateAnalyteLabels(numbers);
+  return { text: out, locale: { decimal: detected.decimal, language: detected.language, converted: numbers !== raw } };
+}
+
+/** localizeText() over a pdfLayout / OCR layout: the text and every row's analyte, cells and text. */
+export function localizeLayout(layout) {
+  const { text, locale } = localizeText(layout?.text);
+  const fix = (s) => (s == null ? s : localizeText(s, locale).text);
+
+  const rows = (layout?.rows || []).map((row) => ({
+    ...row,
+    analyte: fix(row.analyte),
+    text: fix(row.text),
+    cells: Object.fromEntries(Object.entries(row.cells || {}).map(([k, v]) => [k, fix(v)])),
+  }));
+
+  return { ...layout, text, rows, locale };
+}
+
+/** "German · decimal comma" for display; null for English dot-decimal documents. */
+export function localeLabel(locale) {
+  if (!locale || (locale.language === "en" && locale.decimal === ".")) return null;
+  const language = { en: "English", es: "Spanish", de: "German", fr: "French" }[locale.language] || locale.language;
+  return `${language} · decimal ${locale.decimal === "," ? "comma" : "point"}`;
+}
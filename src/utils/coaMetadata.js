@@ -0,0 +1,141 @@
+// src/utils/coaMetadata.js
+
+/**
+* Lab and batch metadata for COAs
+* - extractCoaMetadata(): text -> { lab, batch }
+* - parseCoaDate(): "03/14/2025", "2025-03-14", "Mar 14, 2025", "14-Mar-2025" -> "2025-03-14"
+* - coaFreshness(): how old the numbers are, against a max age and the printed expiration
+*
+* product.coa.lab   = { name, license }
+* product.coa.batch = { batchId, lotId, sampleId, harvestDate, testDate, packageDate, expirationDate }
+* Dates are ISO "YYYY-MM-DD" strings; anything not printed on the COA is null.
+*/
+
+export const DEFAULT_COA_MAX_AGE_DAYS = 365;
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_SOURCE =
+  "\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}[\\/.-]\\d{1,2}[\\/.-]\\d{2,4}|[A-Za-z]{3,9}\\.?\\s+\\d{1,2},?\\s+\\d{4}|\\d{1,2}[\\s-][A-Za-z]{3,9}[\\s-]\\d{2,4}";
+
+const iso = (y, m, d) => {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return dt.toISOString().slice(0, 10);
+};
+
+const fullYear = (y) => (y < 100 ? 2000 + y : y);
+
+const monthIndex = (name) => {
+  const i = MONTHS.indexOf(String(name || "").slice(0, 3).toLowerCase());
+  return i >= 0 ? i + 1 : null;
+};
+
+/**
+* Parse a printed date into "YYYY-MM-DD", or null.
+* Numeric dates are read month-first (US labs) unless the first part can't be a month;
+* dotted dates ("03.04.2025") are European and always day-first.
+*/
+export function parseCoaDate(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return iso(Number(m[1]), Number(m[2]), Number(m[3]));
+
+  m = s.match(/^(\d{1,2})([/.-])(\d{1,2})[/.-](\d{2,4})/);
+  if (m) {
+    const a = Number(m[1]);
+    const b = Number(m[3]);
+    const y = fullYear(Number(m[4]));
+    return a > 12 || m[2] === "." ? iso(y, b, a) : iso(y, a, b);
+  }
+
+  m = s.match(/^([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})/);
+  if (m && monthIndex(m[1])) return iso(Number(m[3]), monthIndex(m[1]), Number(m[2]));
+
+  m = s.match(/^(\d{1,2})[\s-]([A-Za-z]{3,9})[\s-](\d{2,4})/);
+  if (m && monthIndex(m[2])) return iso(fullYear(Number(m[3])), monthIndex(m[2]), Number(m[1]));
+
+  return null;
+}
+
+// "<label>: <value>" on one line; the label must start a word. Dates are distinctive
+// enough to go without the colon ("Date Tested 03/14/2025" table cells).
+function labeled(text, labelSource, valueSource, { colon = true } = {}) {
+  const sep = colon ? "\\s*[:#]+\\s*" : "\\s*[:#]*\\s*";
+  const re = new RegExp(`(?:^|[^A-Za-z])(?:${labelSource})${sep}(${valueSource})`, "im");
+  const m = String(text || "").match(re);
+  return m ? m[1].trim() : null;
+}
+
+function labeledDate(text, labelSource) {
+  return parseCoaDate(labeled(text, labelSource, DATE_SOURCE, { colon: false }));
+}
+
+const ID_SOURCE = "[A-Za-z0-9][A-Za-z0-9\\-_./]{2,40}";
+
+// A lab name printed as a line of its own near the top ("Kaycha Labs", "SC Laboratories Inc.")
+function labNameFromHeader(text) {
+  const lines = String(text || "")
+    .split("\n")
+    .map((l) => l.trim())
+    .filter((l) => l && !/^--- page/.test(l))
+    .slice(0, 25);
+  const hit = lines.find((l) => l.length <= 60 && /\b(?:Lab|Labs|Laboratory|Laboratories|Analytical|Testing)\b/i.test(l) && !/:/.test(l));
+  return hit || null;
+}
+
+/**
+* Pull lab and batch identifiers and dates out of COA text.
+* `labLabel` (the matched lab adapter's label) names the lab when the text doesn't.
+*/
+export function extractCoaMetadata(text, { labLabel = null } = {}) {
+  const t = String(text || "");
+
+  const lab = {
+    name:
+      labeled(t, "Testing\\s+Lab(?:oratory)?|Lab(?:oratory)?\\s+Name|Tested\\s+By|Laboratory", "[^\\n]{3,60}") ||
+      labNameFromHeader(t) ||
+      labLabel ||
+      null,
+    license: labeled(t, "Lab(?:oratory)?\\s+License(?:\\s*(?:No\\.?|Number))?|Lab\\s+Lic\\.?", ID_SOURCE),
+  };
+
+  const batch = {
+    batchId: labeled(t, "Batch\\s*(?:ID|No\\.?|Number)?", ID_SOURCE),
+    lotId: labeled(t, "Lot\\s*(?:ID|No\\.?|Number)?", ID_SOURCE),
+    sampleId: labeled(t, "Sample\\s*(?:ID|No\\.?|Number|Code)|Sample(?=\\s*#)", ID_SOURCE),
+    harvestDate: labeledDate(t, "Harvest(?:ed)?(?:\\s+Date)?|Date\\s+Harvested"),
+    testDate: labeledDate(
+      t,
+      "Date\\s+Tested|Test(?:ed)?\\s+Date|Tested\\s+On|Date\\s+Completed|Completed|Report(?:ed)?\\s+Date|Date\\s+Reported|Analy[sz]ed"
+    ),
+    packageDate: labeledDate(t, "Packag(?:ed|e|ing)\\s+Date|Date\\s+Packaged|Packaged(?:\\s+On)?"),
+    expirationDate: labeledDate(t, "Expiration(?:\\s+Date)?|Expiry(?:\\s+Date)?|Expires(?:\\s+On)?|Exp\\.?\\s+Date|Best\\s+By"),
+  };
+
+  return { lab, batch };
+}
+
+/**
+* Freshness of a COA's numbers.
+* Age runs from the test date (falling back to package, then harvest date).
+* Returns { status: "ok" | "stale" | "expired" | "unknown", ageDays, since, expirationDate }.
+*/
+export function coaFreshness(coa, { maxAgeDays = DEFAULT_COA_MAX_AGE_DAYS, now = new Date() } = {}) {
+  const batch = coa?.batch || {};
+  const since = batch.testDate || batch.packageDate || batch.harvestDate || null;
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+
+  const ageDays = since ? Math.floor((today - Date.parse(since)) / DAY_MS) : null;
+  const expired = batch.expirationDate ? Date.parse(batch.expirationDate) < today : false;
+
+  let status = "unknown";
+  if (expired) status = "expired";
+  else if (ageDays != null) status = Number(maxAgeDays) > 0 && ageDays > Number(maxAgeDays) ? "stale" : "ok";
+
+  return { status, ageDays, since, expirationDate: batch.expirationDate || null };
+}
@@ -0,0 +1,108 @@
+// src/utils/coaParsePool.js
+// Small pool of COA parser workers (src/workers/coaParser.worker.js).
+//
+// Each worker runs its own pdf.js and OCR workers, so the pool stays small. Files queue
+// up and are handed to the next idle worker; cancelling a running file terminates its
+// worker and starts a fresh one in its place. Without Worker support (SSR, old browsers)
+// files are parsed inline on the main thread, where cancelling stops at the next PDF page.
+
+const POOL_SIZE = Math.max(1, Math.min(3, ((typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 2) - 1));
+
+const slots = [];
+const queue = [];
+let nextJobId = 1;
+
+const abortError = () => new DOMException("Parsing cancelled", "AbortError");
+
+function spawnSlot() {
+  const slot = {
+    worker: new Worker(new URL("../workers/coaParser.worker.js", import.meta.url), { type: "module" }),
+    job: null,
+  };
+  slot.worker.onmessage = (e) => handleMessage(slot, e.data || {});
+  slot.worker.onerror = (e) => {
+    e.preventDefault?.();
+    const job = slot.job;
+    replaceSlot(slot);
+    job?.reject(new Error(e?.message || "Parser worker crashed"));
+  };
+  return slot;
+}
+
+function replaceSlot(slot) {
+  slot.worker.terminate();
+  const i = slots.indexOf(slot);
+  if (i >= 0) slots.splice(i, 1, spawnSlot());
+  pump();
+}
+
+function handleMessage(slot, msg) {
+  const job = slot.job;
+  if (!job || msg.id !== job.id) return;
+
+  if (msg.type === "progress") {
+    job.onProgress?.({ page: msg.page, pages: msg.pages });
+    return;
+  }
+
+  slot.job = null;
+  if (msg.type === "done") job.resolve(msg.result);
+  else job.reject(new Error(msg.error || "Parsing failed"));
+  pump();
+}
+
+function pump() {
+  while (queue.length) {
+    let slot = slots.find((s) => !s.job);
+    if (!slot && slots.length < POOL_SIZE) {
+      slot = spawnSlot();
+      slots.push(slot);
+    }
+    if (!slot) return;
+
+    const job = queue.shift();
+    slot.job = job;
+    job.slot = slot;
+    job.onStart?.();
+    slot.worker.postMessage({ id: job.id, file: job.file });
+  }
+}
+
+function cancelJob(job) {
+  const queued = queue.indexOf(job);
+  if (queued >= 0) queue.splice(queued, 1);
+  else if (job.slot?.job === job) replaceSlot(job.slot);
+  job.reject(abortError());
+}
+
+/**
+ * Parse a COA file in the worker pool. Resolves to readCoaFile()'s CoaRecord[].
+ * onStart() fires when a worker picks the file up; onProgress({ page, pages }) per PDF page.
+ * Aborting `signal` rejects with an AbortError.
+ */
+export function parseCoaFileInWorker(file, { onStart, onProgress, signal } = {}) {
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  if (typeof Worker === "undefined") {
+    onStart?.();
+    return import("./coaFiles").then(({ readCoaFile }) => readCoaFile(file, { onProgress, signal }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const job = { id: nextJobId++, file, onStart, onProgress, slot: null };
+    const onAbort = () => cancelJob(job);
+
+    job.resolve = (v) => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve(v);
+    };
+    job.reject = (e) => {
+      signal?.removeEventListener("abort", onAbort);
+      reject(e);
+    };
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+    queue.push(job);
+    pump();
+  });
+}
@@ -1,78 +1,153 @@
 // src/utils/coaPdfParser.js
 import * as pdfjsLib from "pdfjs-dist";
 import pdfWorker from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+import { applyLabAdapter } from "./labAdapters";
+import { layoutPage, rowMeasurement } from "./pdfLayout";
+import { fieldSource, sourced, applyOcrConfidence } from "./provenance";
+import { extractSafetyPanels } from "./safetyPanels";
+import { coaRecord } from "./coaRecord";
+import { canonicalTerpName } from "./terpeneDictionary";
+import { extractDosing } from "./dosing";
+import { splitCoaSamples } from "./coaSamples";
+import { localizeLayout, parseLocaleNumber } from "./coaLocale";
+import {
+  extractCannabinoidMeasurements,
+  extractCannabinoidMeasurementsFromRows,
+  extractCannabinoidPanel,
+  panelFromMeasurements,
+  computeCannabinoidTotals,
+  isCannabinoidLabel,
+} from "./cannabinoids";
+import {
+  findLabeledMeasurement,
+  bareTotalTerpenes,
+  parseAnalyteValue,
+  parseUnit,
+  unitHintBefore,
+  analyteRow,
+  isDetected,
+  VALUE_STATES,
+} from "./units";
 
 pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorker;
 
+// Inside a Web Worker there's no `document`: pdf.js needs OffscreenCanvas for the OCR
+// page renders, and the SVG filter factory becomes a no-op.
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext("2d", { willReadFrequently: true }) };
+  }
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+class NoopFilterFactory {
+  addFilter() {
+    return "none";
+  }
+  addHCMFilter() {
+    return "none";
+  }
+  addAlphaFilter() {
+    return "none";
+  }
+  addLuminosityFilter() {
+    return "none";
+  }
+  addHighlightHCMFilter() {
+    return "none";
+  }
+  destroy() {}
+}
+
+const documentOptions = () =>
+  typeof document === "undefined"
+    ? { CanvasFactory: OffscreenCanvasFactory, FilterFactory: NoopFilterFactory, disableFontFace: true }
+    : {};
+
 /**
- * PDF -> text with simple line reconstruction (x/y bucketing).
- * Many COA PDFs come out scrambled if you just join items in order.
+ * PDF -> layout: column-aware text plus table rows with named cells (see pdfLayout.js).
+ * Two-column COAs otherwise interleave the terpene and cannabinoid tables line by line.
+ * Pages without a text layer (scans) are rendered and OCR'd; `ocr.pages` lists them.
+ * `signal` is checked before each page (the main-thread fallback has no worker to terminate).
  */
-export async function extractPdfText(file) {
+export async function extractPdfLayout(file, { onProgress, signal } = {}) {
   const ab = await file.arrayBuffer();
-  const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(ab) }).promise;
+  const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(ab), ...documentOptions() }).promise;
 
   let fullText = "";
-
-  for (let p = 1; p <= pdf.numPages; p++) {
-    const page = await pdf.getPage(p);
-    const tc = await page.getTextContent();
-
-    // Group glyph runs into lines by rounded Y, then sort by X within each line
-    const lines = new Map(); // yKey -> [{x,str}]
-    for (const it of tc.items || []) {
-      const str = (it && typeof it.str === "string" ? it.str : "").trim();
-      if (!str) continue;
-
-      const t = it.transform || [];
-      const x = Number(t[4] ?? 0);
-      const y = Number(t[5] ?? 0);
-      const yKey = Math.round(y); // bucket
-
-      if (!lines.has(yKey)) lines.set(yKey, []);
-      lines.get(yKey).push({ x, str });
+  const rows = [];
+  const ocr = { pages: [], confidence: null };
+  const pages = pdf.numPages;
+
+  try {
+    for (let p = 1; p <= pages; p++) {
+      if (signal?.aborted) throw new DOMException("Parsing cancelled", "AbortError");
+      onProgress?.({ page: p, pages });
+      const page = await pdf.getPage(p);
+      const tc = await page.getTextContent();
+      const { width } = page.getViewport({ scale: 1 });
+
+      let items = tc.items || [];
+      if (!items.some((it) => typeof it?.str === "string" && it.str.trim())) {
+        const { ocrPdfPage } = await import("./ocr");
+        const res = await ocrPdfPage(page);
+        items = res.items;
+        ocr.pages.push(p);
+        ocr.confidence = ocr.confidence == null ? res.confidence : Math.min(ocr.confidence, res.confidence);
+      }
+
+      const layout = layoutPage(items, { pageWidth: width, pageNumber: p });
+      rows.push(...layout.rows);
+
+      fullText += `\n--- page ${p} ---\n${layout.lines.join("\n")}\n`;
     }
+  } finally {
+    // Long-lived parser workers would otherwise keep every document in memory
+    pdf.destroy();
+  }
 
-    // PDF Y usually increases upward; sort descending to read top->bottom
-    const ordered = [...lines.entries()].sort((a, b) => b[0] - a[0]);
+  return {
+    text: fullText.trim(),
+    rows,
+    textSource: ocr.pages.length === 0 ? "text" : ocr.pages.length === pages ? "ocr" : "mixed",
+    ocr,
+  };
+}
 
-    let pageText = "";
-    for (const [, parts] of ordered) {
-      parts.sort((a, b) => a.x - b.x);
-      const row = parts.map((p2) => p2.str).join(" ").replace(/\s+/g, " ").trim();
-      if (row) pageText += row + "\n";
-    }
+/** Photo/scan of a COA (PNG/JPG) -> same layout shape as extractPdfLayout. */
+export async function extractImageLayout(file) {
+  const { ocrImageFile } = await import("./ocr");
+  const res = await ocrImageFile(file);
+  const layout = layoutPage(res.items, { pageWidth: res.width, pageNumber: 1 });
 
-    fullText += `\n--- page ${p} ---\n${pageText}`;
-  }
+  return {
+    text: `--- page 1 ---\n${layout.lines.join("\n")}`,
+    rows: layout.rows,
+    textSource: "ocr",
+    ocr: { pages: [1], confidence: res.confidence },
+  };
+}
 
-  return fullText.trim();
+/** PDF -> plain text in reading order. */
+export async function extractPdfText(file) {
+  return (await extractPdfLayout(file)).text;
 }
 
 /** ---------- helpers ---------- */
 
-function toNum(x) {
-  if (x == null) return null;
-  const n = Number(String(x).replace(/[^\d.]/g, ""));
-  return Number.isFinite(n) ? n : null;
-}
-
 function normName(raw) {
   if (!raw) return null;
-  let s = String(raw)
-    .toLowerCase()
-    .replace(/[\u2013\u2014]/g, "-")
-    .replace(/\s+/g, " ")
-    .replace(/[(),]/g, "")
-    .trim();
-
-  // normalize greek letter prefixes
-  s = s.replace(/^β[\s-]?/g, "beta-").replace(/^α[\s-]?/g, "alpha-");
-
-  // normalize common variants
-  if (s === "d limonene" || s === "d-limonene") s = "limonene";
-  if (s === "e-caryophyllene") s = "beta-caryophyllene";
-  return s;
+  return canonicalTerpName(raw) || null;
 }
 
 function findFirst(reList, text) {
@@ -83,26 +158,26 @@ function findFirst(reList, text) {
   return null;
 }
 
-// For the PDF type we “already know”: Modern Canna / Trulieve style blocks
-function isModernCannaStyle(text) {
-  const t = text.toLowerCase();
-  return (
-    t.includes("terpenes summary") ||
-    t.includes("moderncanna.com") ||
-    t.includes("modern canna") ||
-    t.includes("cultivar:") ||
-    t.includes("sample matrix:")
-  );
+// Like findFirst, but returns the match too so its location can be recorded
+function findFirstMatch(reList, text) {
+  for (const re of reList) {
+    const m = text.match(re);
+    if (m?.[1]) return { value: m[1].trim(), match: m };
+  }
+  return null;
 }
 
-function findTotalTHC(fullText) {
+// Each finder returns { value, source } (see provenance.js) so the product can say
+// which heuristic produced the number.
+function findTotalTHC(fullText, panel = null) {
   const t = String(fullText || "");
+  const src = (strategy, match) => fieldSource(strategy, { fullText: t, match });
 
   // 1) Same-line: Total THC ... 77.1%
-  let m = t.match(/Total\s+THC[^\n%]{0,120}?([0-9]+(?:\.[0-9]+)?)\s*%/i);
+  let m = t.match(/Total\s+THC(?![-\s]?[PV]\b)[^\n%]{0,120}?([0-9]+(?:\.[0-9]+)?)\s*%/i);
   if (m) {
-    const v = toNum(m[1]);
-    if (v != null && v >= 5) return v;
+    const v = parseLocaleNumber(m[1]);
+    if (v != null && v >= 5) return sourced(v, src("same_line", m));
   }
 
   // 2) Label then value on next line(s)
@@ -111,78 +186,58 @@ function findTotalTHC(fullText) {
     const after = t.slice(idx, idx + 300);
     const m2 = after.match(/([0-9]+(?:\.[0-9]+)?)\s*%/);
     if (m2) {
-      const v2 = toNum(m2[1]);
-      if (v2 != null && v2 >= 5) return v2;
+      const v2 = parseLocaleNumber(m2[1]);
+      if (v2 != null && v2 >= 5) return sourced(v2, src("next_line", { index: idx + m2.index }));
     }
   }
 
-  // 3) Compute from THCa + Delta-9 when Total THC not explicit
-  const thcaMatch =
-    t.match(/\bTHC[-\s]*A\b[^\n%]*?([0-9]+(?:\.[0-9]+)?)\s*%/i) ||
-    t.match(/\bTHCa\b[^\n%]*?([0-9]+(?:\.[0-9]+)?)\s*%/i);
-
-  const d9Match =
-    t.match(/\b(Delta[-\s]*9\s*THC|Δ9\s*THC|D9\s*THC)\b[^\n%]*?([0-9]+(?:\.[0-9]+)?)\s*%/i);
-
-  const thca = thcaMatch ? toNum(thcaMatch[1]) : null;
-  const d9 = d9Match ? toNum(d9Match[d9Match.length - 1]) : null;
-
-  if (thca != null || d9 != null) {
-    const total = (d9 || 0) + ((thca || 0) * 0.877);
-    if (total > 0) return Number(total.toFixed(1));
+  // 3) Compute from the cannabinoid rows (Δ9 + THCa × 0.877) when Total THC not explicit
+  const computed = computeCannabinoidTotals(panel || extractCannabinoidPanel(t)).totalTHC;
+  if (computed != null && computed > 0) {
+    const thcaAt = t.search(/^\s*(?:THC[-\s]?A|THCa)\b/im);
+    return sourced(computed, src("computed_from_components", thcaAt >= 0 ? { index: thcaAt } : null));
   }
 
   // 4) Potency Summary block: take max plausible %
-  const pot = (t.match(/POTENCY SUMMARY[\s\S]{0,1600}/i) || [""])[0];
+  const potIdx = t.search(/POTENCY SUMMARY/i);
+  const pot = potIdx >= 0 ? t.slice(potIdx, potIdx + 1600) : "";
   const pcts = [...pot.matchAll(/([0-9]+(?:\.[0-9]+)?)\s*%/g)]
-    .map(mm => Number(mm[1]))
-    .filter(x => x >= 5 && x <= 99);
-  if (pcts.length) return Number(Math.max(...pcts).toFixed(1));
+    .map((mm) => ({ v: Number(mm[1]), index: potIdx + mm.index }))
+    .filter((x) => x.v >= 5 && x.v <= 99);
+  if (pcts.length) {
+    const best = pcts.reduce((a, b) => (b.v > a.v ? b : a));
+    return sourced(best.v, src("potency_summary_max", { index: best.index }));
+  }
 
-  return null;
+  return sourced(null, null);
 }
 
 function findTotalTerpenes(text) {
   const t = String(text || "");
-
-  // Explicit percent
-  let m = t.match(/Total\s+Terpenes[^\n%]*?([0-9]+(?:\.[0-9]+)?)\s*%/i);
-  if (m) {
-    const v = toNum(m[1]);
-    if (v != null && v > 0 && v < 50) return Number(v.toFixed(2));
-  }
-
-  // mg/g -> % (divide by 10)
-  m = t.match(/Total\s+Terpenes[^\n]*?([0-9]+(?:\.[0-9]+)?)\s*(mg\/g|mg\s*\/\s*g)/i);
-  if (m) {
-    const v = toNum(m[1]);
-    if (v != null && v > 0) return Number((v / 10).toFixed(2));
-  }
-
-  // Sometimes “Total Terpenes” is followed by a bare number (units missing)
-  m = t.match(/Total\s+Terpenes[:\s]+([0-9]+(?:\.[0-9]+)?)(?:\s|$)/i);
-  if (m) {
-    const v = toNum(m[1]);
-    if (v == null) return null;
-
-    // normalize insane values (e.g., 809.00 should not be 809%)
-    if (v > 300) return Number((v / 100).toFixed(2)); // 809 -> 8.09
-    if (v > 30) return Number((v / 10).toFixed(2));   // 80.9 -> 8.09
-    if (v > 0 && v < 50) return Number(v.toFixed(2));
-  }
-
-  return null;
+  const hit = findLabeledMeasurement(t, /Total\s+Terpenes/i, {
+    reread: bareTotalTerpenes,
+    accept: (m) => m.state === VALUE_STATES.DETECTED && m.pct > 0 && m.pct < 50,
+  });
+  if (!hit) return sourced(null, null);
+
+  const { measurement, match, strategy } = hit;
+  return sourced(measurement.pct, {
+    ...fieldSource(strategy, { fullText: t, match }),
+    conversion: measurement.conversion,
+  });
 }
 
-function extractTerps_ModernCanna(text) {
-  const section =
-    findFirst(
-      [
-        /TERPENES SUMMARY\s*\(Top Ten\)([\s\S]*?)(?:Total\s+CBD|Total\s+THC|POTENCY SUMMARY|Page\s+\d+|$)/i,
-        /TERPENES SUMMARY([\s\S]*?)(?:Total\s+CBD|Total\s+THC|POTENCY SUMMARY|Page\s+\d+|$)/i,
-      ],
-      text
-    ) || "";
+// Generic "TERPENES SUMMARY" block (name + value rows), used for every lab
+function extractTerpsSummaryBlock(text) {
+  const found = findFirstMatch(
+    [
+      /TERPENES SUMMARY\s*\(Top Ten\)([\s\S]*?)(?:Total\s+CBD|Total\s+THC|POTENCY SUMMARY|Page\s+\d+|$)/i,
+      /TERPENES SUMMARY([\s\S]*?)(?:Total\s+CBD|Total\s+THC|POTENCY SUMMARY|Page\s+\d+|$)/i,
+    ],
+    text
+  );
+  const section = found?.value || "";
+  let unit = found ? unitHintBefore(text, found.match.index) : null;
 
   const lines = section.split("\n").map((s) => s.trim()).filter(Boolean);
 
@@ -190,61 +245,158 @@ function extractTerps_ModernCanna(text) {
   const seen = new Set();
 
   for (const line of lines) {
+    // "Analyte  Result (mg/g)" inside the block sets the unit for the rows below it
+    const headerUnit = /\d/.test(line) ? null : line.split(/\s+/).map(parseUnit).find(Boolean);
+    if (headerUnit) {
+      unit = headerUnit;
+      continue;
+    }
+
     // Examples:
     // "beta-Caryophyllene 1.77"
     // "Linalool 0.695"
     // "D-Limonene 0.507"
-    // Sometimes: "Caryophyllene Oxide 0.123%"
-    let m = line.match(/^([A-Za-zαβ0-9\-\s]+?)\s+([0-9]+(?:\.[0-9]+)?)\s*%?$/);
+    // Sometimes: "Caryophyllene Oxide 0.123%", "Ocimene 1.2 mg/g", "Terpinolene ND"
+    let m = line.match(/^([A-Za-zαβγΔ0-9(),+\-\s]+?)\s+((?:[0-9]+(?:\.[0-9]+)?\s*(?:%|mg\s?\/\s?g|ppm)?)|ND|<\s?LOQ)$/i);
     if (!m) continue;
 
-    const name = normName(m[1]);
-    const pct = toNum(m[2]);
+    if (/^total\b/i.test(m[1].trim())) continue;
 
-    if (!name || pct == null) continue;
-    if (pct <= 0 || pct > 50) continue;
+    const name = normName(m[1]);
+    const value = parseAnalyteValue(m[2], { unit });
+    if (!name || !value || (isDetected(value) && !(value.pct > 0 && value.pct <= 50))) continue;
 
-    const key = name.replace(/[^a-z0-9]/g, "");
-    if (seen.has(key)) continue;
-    seen.add(key);
+    if (seen.has(name)) continue;
+    seen.add(name);
 
-    out.push({ name, pct });
+    out.push(analyteRow(name, value));
   }
 
   out.sort((a, b) => (b.pct ?? 0) - (a.pct ?? 0));
-  return out;
+  return sourced(out, out.length ? fieldSource("summary_block", { fullText: text, match: found.match }) : null);
 }
 
-export async function parseCoaPdf(file) {
-  const fullText = await extractPdfText(file);
+/** ---------- table-row extractors (preferred over regexing flat lines) ---------- */
 
-  // For now: ONLY support the style we know (Modern Canna-like).
-  // If it isn’t detected, we still attempt terp extraction from any text, but we don’t do lab-specific tables yet.
-  const modern = isModernCannaStyle(fullText);
+function findRowPercent(rows, re) {
+  for (const row of rows) {
+    if (!re.test(row.analyte)) continue;
+    const m = rowMeasurement(row);
+    if (m?.state === VALUE_STATES.DETECTED && m.pct != null) {
+      return sourced(m.pct, { ...fieldSource("table_row", { row }), conversion: m.conversion });
+    }
+  }
+  return sourced(null, null);
+}
 
-  const productName =
-    findFirst([/Product Name:\s*([^\n]+)/i], fullText) ||
-    findFirst([/Cultivar:\s*([^\n]+)/i], fullText) ||
-    null;
+function extractTerpsFromRows(rows) {
+  const out = [];
+  const seen = new Set();
+  let first = null;
 
-  const sampleMatrix = findFirst([/Sample Matrix:\s*([^\n]+)/i], fullText) || null;
-  const sizeG = toNum(findFirst([/Batch Unit Size:\s*([0-9.]+)\s*g/i], fullText)) ?? 1;
+  for (const row of rows) {
+    const inTerpTable = /terp/i.test(row.section || "") || /terp/i.test(row.table || "");
+    if (!inTerpTable) continue;
+    if (/^total\b/i.test(row.analyte) || isCannabinoidLabel(row.analyte)) continue;
 
-  const totalTHC = findTotalTHC(fullText);
-  const totalTerpenes = findTotalTerpenes(fullText);
+    const name = normName(row.analyte);
+    const value = rowMeasurement(row);
+    if (!name || !value || (isDetected(value) && !(value.pct > 0 && value.pct <= 50))) continue;
 
-  const terpenes = modern ? extractTerps_ModernCanna(fullText) : extractTerps_ModernCanna(fullText);
+    if (seen.has(name)) continue;
+    seen.add(name);
+    out.push(analyteRow(name, value));
+    first = first || row;
+  }
 
-  const formGuess = (sampleMatrix || "").trim() || "Concentrate";
-  const displayName = productName || file?.name || `COA Product ${sizeG}g`;
+  out.sort((a, b) => b.pct - a.pct);
+  return sourced(out, first ? fieldSource("table_row", { row: first }) : null);
+}
 
-  return {
-    displayName,
-    form: formGuess,
+/** PDF -> CoaRecord[] (coaRecord.js), one per sample the document bundles (coaSamples.js). */
+export async function parseCoaPdf(file, { onProgress, signal } = {}) {
+  // Decimal commas and es/de/fr labels are rewritten before samples are told apart
+  const layout = localizeLayout(await extractPdfLayout(file, { onProgress, signal }));
+  return splitCoaSamples(layout).map((sampleLayout) => parseCoaLayout(sampleLayout, file));
+}
+
+/** Photo/scan -> CoaRecord, read by OCR. */
+export async function parseCoaImage(file) {
+  return parseCoaLayout(localizeLayout(await extractImageLayout(file)), file);
+}
+
+// "report.pdf", or "report.pdf (sample 2)" when the PDF bundles several samples
+function fallbackName(file, sizeG, sample) {
+  const base = file?.name || `COA Product ${sizeG ?? 1}g`;
+  return sample?.count > 1 ? `${base} (sample ${sample.index + 1})` : base;
+}
+
+function parseCoaLayout({ text: fullText, rows, textSource, ocr, sample = null, locale = null }, file) {
+  const nameHit = findFirstMatch([/Product Name:\s*([^\n]+)/i], fullText);
+  const cultivarHit = nameHit ? null : findFirstMatch([/Cultivar:\s*([^\n]+)/i], fullText);
+  const matrixHit = findFirstMatch([/Sample Matrix:\s*([^\n]+)/i], fullText);
+  const sizeG = parseLocaleNumber(findFirst([/Batch Unit Size:\s*([0-9.]+)\s*g/i], fullText));
+
+  const src = (strategy, match) => fieldSource(strategy, { fullText, match });
+
+  const name = nameHit
+    ? sourced(nameHit.value, src("labeled_field", nameHit.match))
+    : cultivarHit
+      ? sourced(cultivarHit.value, src("cultivar_field", cultivarHit.match))
+      : sourced(fallbackName(file, sizeG, sample), fieldSource("filename"));
+
+  const form = matrixHit
+    ? sourced(matrixHit.value, src("labeled_field", matrixHit.match))
+    : sourced("Concentrate", fieldSource("default_value"));
+
+  const rowMeasurements = extractCannabinoidMeasurementsFromRows(rows);
+  const hasRowPanel = Object.keys(rowMeasurements).length > 0;
+  const cannabinoidDetails = hasRowPanel ? rowMeasurements : extractCannabinoidMeasurements(fullText);
+  const cannabinoids = panelFromMeasurements(cannabinoidDetails);
+  const cannabinoidTotals = computeCannabinoidTotals(cannabinoids);
+
+  const rowTHC = findRowPercent(rows, /^total\s+thc$/i);
+  const totalTHC = rowTHC.value != null ? rowTHC : findTotalTHC(fullText, cannabinoids);
+
+  const rowTotalTerps = findRowPercent(rows, /^total\s+terpenes$/i);
+  const totalTerpenes = rowTotalTerps.value > 0 ? rowTotalTerps : findTotalTerpenes(fullText);
+
+  const rowTerps = extractTerpsFromRows(rows);
+  const terpenes = rowTerps.value.some(isDetected) ? rowTerps : extractTerpsSummaryBlock(fullText);
+
+  // Table rows first, generic text heuristics second, then the best-matching lab adapter
+  const generic = coaRecord({
+    name: name.value,
+    form: form.value,
     sizeG,
-    totalTHC,
-    totalTerpenes,
-    terpenes,
+    totalTHC: totalTHC.value,
+    totalCBD: cannabinoidTotals.totalCBD,
+    totalCBG: cannabinoidTotals.totalCBG,
+    totalCannabinoids: cannabinoidTotals.totalCannabinoids,
+    cannabinoidDetails,
+    dosing: extractDosing(fullText),
+    totalTerpenes: totalTerpenes.value,
+    terpenes: terpenes.value,
+    safety: extractSafetyPanels(fullText, rows),
     rawText: fullText,
-  };
+    textSource,
+    ocr,
+    sample,
+    locale,
+    provenance: {
+      name: name.source,
+      form: form.source,
+      totalTHC: totalTHC.source,
+      totalTerpenes: totalTerpenes.source,
+      cannabinoids: Object.keys(cannabinoids).length
+        ? hasRowPanel
+          ? fieldSource("table_row", { row: rows.find((r) => isCannabinoidLabel(r.analyte)) })
+          : fieldSource("same_line")
+        : null,
+      terpenes: terpenes.source,
+    },
+  });
+
+  const parsed = applyLabAdapter(generic, fullText);
+  return coaRecord({ ...parsed, provenance: applyOcrConfidence(parsed.provenance, ocr) });
 }
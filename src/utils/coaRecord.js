@@ -0,0 +1,65 @@
+// src/utils/coaRecord.js
+
+/**
+* CoaRecord: what every COA extractor hands to product creation
+* - coaPdfParser.parseCoaPdf() / parseCoaImage(): layout-aware PDF and photo extraction
+*   (parseCoaPdf returns one record per sample in the document)
+* - coaTextParser.parseCoaText(): pasted text and .txt/.md files
+* - store.productFromCoaRecord(): CoaRecord -> product
+*
+* Numbers are kept exactly as extracted (no rounding); percent values are % w/w.
+*
+* @typedef {Object} CoaRecord
+* @property {string|null} name
+* @property {string|null} form
+* @property {number|null} sizeG              unit size printed on the COA ("Batch Unit Size: 1 g")
+* @property {number|null} totalTHC
+* @property {number|null} totalCBD
+* @property {number|null} totalCBG
+* @property {number|null} totalCannabinoids
+* @property {number|null} totalTerpenes
+* @property {Object|null} dosing             mg/unit, units/package, serving, mL (dosing.js)
+* @property {Object<string, Object>} cannabinoidDetails  { [key]: Measurement } (units.js)
+* @property {Array<Object>} terpenes         units.analyteRow() entries, ND / <LOQ included
+* @property {Object} safety                  safetyPanels.extractSafetyPanels()
+* @property {string} rawText                 extracted text ("--- page N ---" markers for PDFs)
+* @property {"text"|"ocr"|"mixed"} textSource
+* @property {{ pages: number[], confidence: number }|null} ocr
+* @property {string|null} labAdapter         labAdapters id that refined the record
+* @property {{ index: number, count: number, id: string|null, pages: { from: number, to: number }|null }|null} sample
+*                                            which sample of a multi-sample PDF (coaSamples.js)
+* @property {{ decimal: "."|",", language: string, converted: boolean }|null} locale
+*                                            number locale / language the text was written in (coaLocale.js)
+* @property {Object<string, Object|null>} provenance  per-field FieldSource (provenance.js)
+*/
+
+const EMPTY_RECORD = {
+  name: null,
+  form: null,
+  sizeG: null,
+  totalTHC: null,
+  totalCBD: null,
+  totalCBG: null,
+  totalCannabinoids: null,
+  totalTerpenes: null,
+  dosing: null,
+  cannabinoidDetails: {},
+  terpenes: [],
+  safety: {},
+  rawText: "",
+  textSource: "text",
+  ocr: null,
+  labAdapter: null,
+  sample: null,
+  locale: null,
+  provenance: {},
+};
+
+/** A CoaRecord with every field present; unknown keys are dropped. */
+export function coaRecord(fields = {}) {
+  const out = {};
+  for (const [key, empty] of Object.entries(EMPTY_RECORD)) {
+    out[key] = fields[key] === undefined ? empty : fields[key];
+  }
+  return out;
+}
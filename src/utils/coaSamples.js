@@ -0,0 +1,205 @@
+// src/utils/coaSamples.js
+
+/**
+* Multi-sample COA documents (several samples / SKUs bundled in one PDF)
+* - pagesFromText(): extracted text -> [{ page, lines }] (split on "--- page N ---" markers)
+* - splitCoaSamples(): layout (extractPdfLayout) -> one layout per sample, each carrying
+*   sample: { index, count, id, pages: { from, to } }
+* - sampleLabel(): "Sample 2 of 3 · pages 3–4" for display
+*
+* A sample starts where a sample ID differs from the one the current sample already printed,
+* or where a page opens with the same head as the sample's first page (title, then the same
+* labels in the same order) but names another batch or product. A batch ID or product name
+* changing on its own doesn't split: one COA can print "Batch #" next to a harvest or source
+* batch. Page headers that repeat the same ID don't split, and a differing ID that is the
+* first on its page takes the whole page (titles, lab header) along. Stretches without potency
+* data (cover sheets, trailing signature pages) stay with their neighbour instead of becoming
+* a sample of their own.
+*/
+
+import { isCannabinoidLabel } from "./cannabinoids";
+
+const ID_SOURCE = "([A-Za-z0-9][A-Za-z0-9\\-_./]{2,40})";
+
+const SAMPLE_ANCHORS = [
+  { kind: "sampleId", re: new RegExp(`(?:^|[^A-Za-z])(?:Lab\\s+)?Sample\\s*(?:ID|No\\.?|Number|Code|#)\\s*[:#]*\\s*${ID_SOURCE}`, "i") },
+  // Only a label that starts the line (or a column): "Harvest Batch #", "METRC Batch" are other batches
+  { kind: "batchId", re: new RegExp(`(?:^|\\s{2,})Batch\\s*(?:ID|No\\.?|Number|#)?\\s*[:#]+\\s*${ID_SOURCE}`, "i") },
+  { kind: "name", re: /(?:^|[^A-Za-z])Product\s+Name\s*:\s*(.+?)(?:\s{2,}|$)/i },
+];
+
+const idKey = (value) => String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+function anchorsOf(text) {
+  const out = [];
+  for (const { kind, re } of SAMPLE_ANCHORS) {
+    const m = String(text || "").match(re);
+    if (m && idKey(m[1])) out.push({ kind, value: m[1].trim(), key: idKey(m[1]) });
+  }
+  return out;
+}
+
+const hasPotency = (lines) => lines.some((l) => isCannabinoidLabel(l.text) || /\btotal\s+thc\b/i.test(l.text));
+
+/** Split extracted text on the "--- page N ---" markers into numbered lines per page. */
+export function pagesFromText(text) {
+  const pages = [];
+  let cur = { page: 1, lines: [] };
+  for (const line of String(text || "").split("\n")) {
+    const m = line.match(/^--- page (\d+) ---$/);
+    if (m) {
+      if (cur.lines.length) pages.push(cur);
+      cur = { page: Number(m[1]), lines: [] };
+      continue;
+    }
+    cur.lines.push(line);
+  }
+  if (cur.lines.length) pages.push(cur);
+  return pages;
+}
+
+const HEAD_LINES = 4;
+
+// The first lines of a page from `at` on with the values taken out:
+// "certificate of analysis|product name|batch id"
+function headFrom(lines, at) {
+  const head = [];
+  for (let i = at; i < lines.length && lines[i].page === lines[at].page && head.length < HEAD_LINES; i++) {
+    const label = lines[i].text.split(":")[0].replace(/[^A-Za-z]+/g, " ").trim().toLowerCase();
+    if (label) head.push(label);
+  }
+  return head.join("|");
+}
+
+// Does a page name another batch or product than the current sample, and no same sample ID?
+function namesOtherSample(pageLines, ids) {
+  const anchors = pageLines.flatMap((l) => anchorsOf(l.text));
+  if (anchors.some((a) => a.kind === "sampleId" && ids.sampleId?.key === a.key)) return false;
+  return anchors.some((a) => a.kind !== "sampleId" && ids[a.kind] && ids[a.kind].key !== a.key);
+}
+
+// Indexes into `lines` where a new sample starts
+function sampleStarts(lines) {
+  const starts = [0];
+  let ids = {};
+  let head = headFrom(lines, 0);
+
+  lines.forEach((l, i) => {
+    if (i > 0 && l.page !== lines[i - 1].page) {
+      // A page laid out like the sample's first one, for another batch or product
+      const pageLines = lines.filter((x) => x.page === l.page);
+      if (headFrom(lines, i) === head && namesOtherSample(pageLines, ids)) {
+        starts.push(i);
+        ids = {};
+      }
+    }
+    for (const a of anchorsOf(l.text)) {
+      const prev = ids[a.kind];
+      if (a.kind === "sampleId" && prev && prev.key !== a.key) {
+        const start = starts[starts.length - 1];
+        const pageStart = lines.findIndex((x) => x.page === l.page);
+        // The product name / batch lines printed just above the new ID come along
+        let back = i;
+        while (
+          back - 1 > start &&
+          lines[back - 1].page === l.page &&
+          anchorsOf(lines[back - 1].text).some((b) => b.kind !== "sampleId" && ids[b.kind]?.key !== b.key)
+        ) {
+          back--;
+        }
+        const firstOnPage = !lines.slice(pageStart, back).some((x) => anchorsOf(x.text).length);
+        const at = firstOnPage && pageStart > start ? pageStart : back;
+        if (at > start) {
+          starts.push(at);
+          head = headFrom(lines, at);
+        }
+
+        // IDs already seen between the new start and this line belong to the new sample
+        ids = {};
+        for (let j = at; j < i; j++) for (const b of anchorsOf(lines[j].text)) ids[b.kind] = ids[b.kind] || b;
+      }
+      ids[a.kind] = ids[a.kind] || a;
+    }
+  });
+
+  return starts;
+}
+
+// Potency-free stretches join the previous sample (or the next one when they come first)
+function mergeWithoutPotency(segments) {
+  const out = [];
+  let lead = [];
+  for (const seg of segments) {
+    if (hasPotency(seg)) {
+      out.push([...lead, ...seg]);
+      lead = [];
+    } else if (out.length) out[out.length - 1].push(...seg);
+    else lead.push(...seg);
+  }
+  if (lead.length) out.push(lead);
+  return out;
+}
+
+function sampleId(lines) {
+  const anchors = lines.flatMap((l) => anchorsOf(l.text));
+  return (anchors.find((a) => a.kind === "sampleId") || anchors.find((a) => a.kind === "batchId"))?.value || null;
+}
+
+/**
+* Layout -> one layout per sample. Each keeps only its own lines and table rows; row
+* line numbers are re-based so they still index into the sample's text.
+*/
+export function splitCoaSamples(layout) {
+  const pages = pagesFromText(layout?.text);
+  const lines = pages.flatMap((p) => p.lines.map((text, line) => ({ page: p.page, line, text })));
+  if (!lines.length) return [{ ...layout, sample: { index: 0, count: 1, id: null, pages: null } }];
+
+  const starts = sampleStarts(lines);
+  const segments = mergeWithoutPotency(starts.map((s, k) => lines.slice(s, starts[k + 1] ?? lines.length)));
+
+  if (segments.length === 1) {
+    return [
+      { ...layout, sample: { index: 0, count: 1, id: sampleId(lines), pages: { from: lines[0].page, to: lines[lines.length - 1].page } } },
+    ];
+  }
+
+  return segments.map((seg, index) => {
+    const firstLine = new Map();
+    for (const l of seg) if (!firstLine.has(l.page)) firstLine.set(l.page, l.line);
+    const inSample = new Set(seg.map((l) => `${l.page}:${l.line}`));
+
+    let text = "";
+    for (const page of firstLine.keys()) {
+      text += `\n--- page ${page} ---\n${seg
+        .filter((l) => l.page === page)
+        .map((l) => l.text)
+        .join("\n")}\n`;
+    }
+
+    const rows = (layout.rows || [])
+      .filter((r) => inSample.has(`${r.page}:${r.line}`))
+      .map((r) => ({ ...r, line: r.line - firstLine.get(r.page) }));
+
+    const from = seg[0].page;
+    const to = seg[seg.length - 1].page;
+    const ocrPages = (layout.ocr?.pages || []).filter((p) => firstLine.has(p));
+    const pageCount = firstLine.size;
+
+    return {
+      ...layout,
+      text: text.trim(),
+      rows,
+      textSource: ocrPages.length === 0 ? "text" : ocrPages.length === pageCount ? "ocr" : "mixed",
+      ocr: { pages: ocrPages, confidence: ocrPages.length ? layout.ocr?.confidence ?? null : null },
+      sample: { index, count: segments.length, id: sampleId(seg), pages: { from, to } },
+    };
+  });
+}
+
+/** "Sample 2 of 3 · pages 3–4" for products from multi-sample PDFs, else null. */
+export function sampleLabel(sample) {
+  if (!(sample?.count > 1)) return null;
+  const { from, to } = sample.pages || {};
+  const pages = from == null ? "" : from === to ? ` · page ${from}` : ` · pages ${from}–${to}`;
+  return `Sample ${sample.index + 1} of ${sample.count}${pages}`;
+}
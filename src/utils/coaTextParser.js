@@ -0,0 +1,235 @@
+// src/utils/coaTextParser.js
+
+/**
+* Plain-text COA extraction (pasted text, .txt/.md files)
+* - parseCoaText(): text -> CoaRecord (coaRecord.js), refined by the matching lab adapter
+*
+* The extractors return { value, source } (see provenance.js).
+*/
+
+import { coaRecord } from "./coaRecord";
+import { applyLabAdapter } from "./labAdapters";
+import { fieldSource, sourced } from "./provenance";
+import { extractSafetyPanels } from "./safetyPanels";
+import { lookupTerpene, canonicalTerpName } from "./terpeneDictionary";
+import { extractDosing } from "./dosing";
+import { localizeText, parseLocaleNumber } from "./coaLocale";
+import { rowMeasurement, textTableColumns, textTableRow } from "./pdfLayout";
+import {
+  extractCannabinoidMeasurements,
+  panelFromMeasurements,
+  computeCannabinoidTotals,
+  isCannabinoidLabel,
+} from "./cannabinoids";
+import {
+  findLabeledMeasurement,
+  bareTotalTerpenes,
+  readMeasurement,
+  parseUnit,
+  unitHintBefore,
+  analyteRow,
+  isDetected,
+  VALUE_STATES,
+} from "./units";
+
+function firstNonEmptyLine(text) {
+  return (
+    String(text || "")
+      .split(/\r?\n/)
+      .map((l) => l.trim())
+      .find((l) => l.length > 0) || "Unknown Product"
+  );
+}
+
+function extractProductName(text) {
+  const t = String(text || "");
+  const src = (strategy, match) => fieldSource(strategy, { fullText: t, match });
+
+  // Try Trulieve format: "Product Name: Roll One - Sativa Crmbl"
+  let m = t.match(/Product\s*Name:\s*([^\n]+)/i);
+  if (m) return sourced(m[1].trim(), src("labeled_field", m));
+
+  // Try cultivar: "Cultivar: Dream Queen"
+  m = t.match(/Cultivar:\s*([^\n]+)/i);
+  if (m) {
+    const cultivar = m[1].trim();
+    const formMatch = t.match(/Sample\s*Matrix:\s*([^\n]+)/i);
+    if (formMatch) return sourced(`${cultivar} ${formMatch[1].trim()}`, src("cultivar_field", m));
+    return sourced(cultivar, src("cultivar_field", m));
+  }
+
+  // Try HAZE format
+  m = t.match(/(HAZE[\sA-Z0-9#-]+\([IHS]\)[^\n]{0,80}\b\d+(?:\.\d+)?\s*g\b)/i);
+  if (m) return sourced(m[1].trim(), src("keyword_guess", m));
+
+  const first = firstNonEmptyLine(t);
+  return sourced(first, src("keyword_guess", { index: Math.max(0, t.indexOf(first)) }));
+}
+
+function extractForm(text) {
+  const t = String(text || "");
+  const src = (strategy, match) => fieldSource(strategy, { fullText: t, match });
+
+  // Try "Sample Matrix: Crumble"
+  let m = t.match(/Sample\s*Matrix:\s*([^\n]+)/i);
+  if (m) return sourced(m[1].trim(), src("labeled_field", m));
+
+  // Try "Form: Live Badder"
+  m = t.match(/Form:\s*([^\n]+)/i);
+  if (m) return sourced(m[1].trim(), src("labeled_field", m));
+
+  const formTypes = [
+    "Live Badder",
+    "Live Rosin",
+    "Live Sugar",
+    "Live Resin",
+    "Live Sauce",
+    "Diamonds",
+    "Flower",
+    "Cart",
+    "Vape",
+    "Wax",
+    "Jam",
+    "Extract",
+    "Crumble",
+  ];
+  for (const ft of formTypes) {
+    m = t.match(new RegExp(ft, "i"));
+    if (m) return sourced(ft, src("keyword_guess", m));
+  }
+  return sourced(null, null);
+}
+
+function extractTotalTHC(text) {
+  const t = String(text || "");
+  const src = (strategy, match) => fieldSource(strategy, { fullText: t, match });
+
+  // Preferred: explicit Total THC %
+  let m = t.match(/Total\s+THC[:\s]+([0-9.]+)\s*%/i);
+  if (m) return sourced(parseLocaleNumber(m[1]), src("same_line", m));
+
+  // Alternate: "Total THC\n82.1% (821 mg)"
+  m = t.match(/Total\s+THC[\s\n]+([0-9.]+)\s*%/i);
+  if (m) return sourced(parseLocaleNumber(m[1]), src("next_line", m));
+
+  // Fallback: compute Total THC from the cannabinoid rows (Δ9 + THCa × 0.877)
+  const computed = computeCannabinoidTotals(panelFromMeasurements(extractCannabinoidMeasurements(t))).totalTHC;
+  return sourced(computed, src("computed_from_components", null));
+}
+
+function extractExplicitTotal(text, label) {
+  const m = String(text || "").match(new RegExp(`Total\\s+${label}[:\\s]+([0-9.]+)\\s*%`, "i"));
+  return m ? parseLocaleNumber(m[1]) : null;
+}
+
+function extractTotalTerpenes(text) {
+  const t = String(text || "");
+  const src = (strategy, match) => fieldSource(strategy, { fullText: t, match });
+
+  // "Total Terpenes: 3.78%", "Total Terpenes 80.9 mg/g", "Total Terpenes (mg/g) 80.9"
+  const hit = findLabeledMeasurement(t, /Total\s+Terpenes/i, {
+    reread: bareTotalTerpenes,
+    accept: (m) => m.state === VALUE_STATES.DETECTED && m.pct > 0 && m.pct < 50,
+  });
+  if (hit) return sourced(hit.measurement.pct, { ...src(hit.strategy, hit.match), conversion: hit.measurement.conversion });
+
+  // "3.78%\nTotal Terpenes"
+  const m = t.match(/([0-9.]+)%[\s\n]+Total\s+Terpenes/i);
+  if (m) return sourced(parseLocaleNumber(m[1]), src("next_line", m));
+
+  return sourced(null, null);
+}
+
+function extractTerpenePairs(text) {
+  const t = String(text || "");
+  const pairs = [];
+  const seen = new Set();
+
+  // Find TERPENES section
+  const terpMatch = t.match(
+    /TERPENES[\s\S]+?(?=POTENCY|ANALYSIS|PESTICIDE|HEAVY METALS|MICROBIAL|MYCOTOXIN|SOLVENT|Copyright|Page|$)/i
+  );
+  const terpSection = terpMatch ? terpMatch[0] : t;
+  let unit = unitHintBefore(t, terpMatch?.index ?? 0);
+
+  const lines = terpSection.split(/\r?\n/);
+  let columns = null;
+
+  for (const line of lines) {
+    if (line.match(/Analyte|Result|Top Ten|Total Terpenes|SUMMARY/i)) {
+      // "Analyte  Result (mg/g)" names the unit for the rows below it
+      const headerUnit = /\d/.test(line) ? null : line.split(/\s+/).map(parseUnit).find(Boolean);
+      if (headerUnit) unit = headerUnit;
+      // "Analyte LOD LOQ Result % mg/g": rows below are read by column, not by their first number
+      columns = textTableColumns(line) || columns;
+      continue;
+    }
+    if (isCannabinoidLabel(line)) continue;
+
+    // "BETA-MYRCENE 0.005 0.01 TESTED 0.812 8.12" under that header: its % / mg/g / Result cell
+    const row = textTableRow(line, columns);
+    // "beta-Caryophyllene 1.77", "- Caryophyllene 2.26%", "Ocimene 4.1 mg/g", "Terpinolene ND"
+    const hit = row ? null : readMeasurement(line, { unit });
+    const measurement = row ? rowMeasurement(row) : hit?.measurement;
+    if (!measurement) continue;
+
+    const name = row ? row.analyte : line.slice(0, hit.index).replace(/^[\s\-•*]+/, "").trim();
+    if (/^total\b|^terpenes?$/i.test(name)) continue;
+    // Greek letters, (E)/(Z) and the like are fine when the dictionary knows the name
+    if (!lookupTerpene(name) && !/^[A-Za-z][A-Za-z0-9\-\s]*$/.test(name)) continue;
+
+    if (isDetected(measurement) && !(measurement.pct > 0 && measurement.pct < 50)) continue;
+
+    const key = canonicalTerpName(name);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    pairs.push(analyteRow(name, measurement));
+  }
+
+  return pairs;
+}
+
+/** COA text -> CoaRecord, or null for empty text. */
+export function parseCoaText(coaText) {
+  const raw = String(coaText || "").trim();
+  if (!raw) return null;
+  // Decimal commas and Spanish / German / French labels -> what the extractors below read
+  const { text, locale } = localizeText(raw);
+
+  const name = extractProductName(text);
+  const form = extractForm(text);
+  const totalTHC = extractTotalTHC(text);
+  const totalTerpenes = extractTotalTerpenes(text);
+
+  const cannabinoidDetails = extractCannabinoidMeasurements(text);
+  const cannabinoids = panelFromMeasurements(cannabinoidDetails);
+  const computed = computeCannabinoidTotals(cannabinoids);
+  const terpenes = extractTerpenePairs(text);
+
+  const generic = coaRecord({
+    name: name.value,
+    form: form.value,
+    totalTHC: totalTHC.value,
+    totalCBD: extractExplicitTotal(text, "CBD") ?? computed.totalCBD,
+    totalCBG: computed.totalCBG,
+    totalCannabinoids: extractExplicitTotal(text, "Cannabinoids") ?? computed.totalCannabinoids,
+    totalTerpenes: totalTerpenes.value,
+    dosing: extractDosing(text),
+    cannabinoidDetails,
+    terpenes,
+    safety: extractSafetyPanels(text),
+    rawText: text,
+    textSource: "text",
+    locale,
+    provenance: {
+      name: name.source,
+      form: form.source,
+      totalTHC: totalTHC.source,
+      totalTerpenes: totalTerpenes.source,
+      cannabinoids: Object.keys(cannabinoids).length ? fieldSource("same_line") : null,
+      terpenes: terpenes.length ? fieldSource("summary_block") : null,
+    },
+  });
+
+  return coaRecord(applyLabAdapter(generic, text));
+}
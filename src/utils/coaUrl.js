@@ -0,0 +1,66 @@
+// src/utils/coaUrl.js
+// COA links ("Paste COA link"): fetched through the server-side proxy (server/coaProxy.js)
+// and handed back as a File so they go through the same parse pipeline as uploads.
+
+const PROXY_PATH = "/api/proxy-coa";
+
+function base64ToBytes(base64) {
+  const bin = atob(base64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+/** Trimmed https URL from pasted text, or null. Bare hosts get https:// added. */
+export function normalizeCoaUrl(input) {
+  const s = String(input || "").trim();
+  if (!s) return null;
+  try {
+    const u = new URL(/^[a-z][a-z0-9+.-]*:/i.test(s) ? s : `https://${s}`);
+    return u.protocol === "https:" || u.protocol === "http:" ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Host of a saved COA link for display ("lab.example.com"), or null when it doesn't parse. */
+export function coaUrlHost(url) {
+  try {
+    return new URL(String(url || "")).host || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch a COA link through the proxy. Resolves to a File named after the upstream file.
+ * Throws with the proxy's error message (host not allowed, too large, rate limited, ...).
+ */
+export async function fetchCoaFromUrl(url, { signal } = {}) {
+  const target = normalizeCoaUrl(url);
+  if (!target) throw new Error("Invalid URL");
+
+  let resp;
+  try {
+    resp = await fetch(`${PROXY_PATH}?url=${encodeURIComponent(target)}`, { signal });
+  } catch (e) {
+    if (e?.name === "AbortError") throw e;
+    throw new Error("COA proxy unreachable");
+  }
+
+  let body = null;
+  try {
+    body = await resp.json();
+  } catch {
+    // Non-JSON means no proxy answered (static hosting without server/index.js)
+  }
+  if (!body) throw new Error(`COA proxy unavailable (${resp.status})`);
+  if (!resp.ok || !body.ok) {
+    const retry = resp.headers.get("retry-after");
+    throw new Error(body.error + (resp.status === 429 && retry ? ` — try again in ${retry}s` : ""));
+  }
+
+  return new File([base64ToBytes(body.base64)], body.filename || "coa.pdf", {
+    type: body.contentType || "application/pdf",
+  });
+}
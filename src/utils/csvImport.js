@@ -0,0 +1,240 @@
+// src/utils/csvImport.js
+
+/**
+* Spreadsheet (CSV/TSV) product import
+* - isSpreadsheetFile(): .csv / .tsv uploads
+* - parseDelimited(): text -> { delimiter, headers, rows } (quoted cells, sniffed delimiter)
+* - CSV_FIELDS / fieldOptions(): what a column can be mapped to
+* - guessMapping(): header names -> mapping
+* - presetFromMapping() / mappingForHeaders(): save a mapping as a preset, apply one to a file
+* - rowsToRecords(): rows + mapping -> { records, failures } (one record per valid row)
+*
+* A mapping is [fieldKey], one per column index, so files that repeat a header ("Result",
+* "Result") map each column on its own. fieldKey is one of CSV_FIELDS' keys, "terpene" (the
+* header names the terpene), "cannabinoid:<key>" (see cannabinoids.js) or "" (ignored).
+* A preset is [{ header, field }] in column order and carries over to any file with the same
+* column names; the nth "Result" column takes the preset's nth "Result" entry.
+*
+* Record: { row, name, form, totalTHC, totalTerpenes, totalCBD, terpenes: [analyteRow],
+*           cannabinoidDetails: { [key]: Measurement }, locale }
+* Percent columns accept "21.4", "21.4%", "214 mg/g", "ND" and "<LOQ" (units.js). Files written
+* with decimal commas ("0,52") and Spanish / German / French headers work too (coaLocale.js).
+*/
+
+import { CANNABINOIDS, matchCannabinoidLabel } from "./cannabinoids";
+import { parseAnalyteValue, analyteRow, VALUE_STATES } from "./units";
+import { lookupTerpene } from "./terpeneDictionary";
+import { detectCoaLocale, localizeText, translateAnalyteLabels } from "./coaLocale";
+
+export const CSV_FIELDS = [
+  { key: "name", label: "Product name", required: true },
+  { key: "form", label: "Form" },
+  { key: "totalTHC", label: "Total THC (%)", required: true, percent: true },
+  { key: "totalTerpenes", label: "Total terpenes (%)", percent: true },
+  { key: "totalCBD", label: "Total CBD (%)", percent: true },
+];
+
+export const TERPENE_FIELD = "terpene";
+export const CANNABINOID_FIELD_PREFIX = "cannabinoid:";
+
+/** Every mapping target, for the column dropdowns. */
+export function fieldOptions() {
+  return [
+    ...CSV_FIELDS.map((f) => ({ value: f.key, label: f.label })),
+    { value: TERPENE_FIELD, label: "Terpene (named by header)" },
+    ...CANNABINOIDS.map((c) => ({ value: `${CANNABINOID_FIELD_PREFIX}${c.key}`, label: `${c.label} (%)` })),
+  ];
+}
+
+export function isSpreadsheetFile(file) {
+  const name = String(file?.name || "").toLowerCase();
+  return /\.(?:csv|tsv)$/.test(name) || /^text\/(?:csv|tab-separated-values)$/.test(file?.type || "");
+}
+
+function sniffDelimiter(text) {
+  const head = String(text || "").split(/\r?\n/).slice(0, 5).join("\n");
+  const counts = ["\t", ",", ";"].map((d) => ({ d, n: head.split(d).length - 1 }));
+  counts.sort((a, b) => b.n - a.n);
+  return counts[0].n > 0 ? counts[0].d : ",";
+}
+
+/**
+* Parse CSV/TSV text. Handles quoted cells with embedded delimiters, quotes ("") and newlines.
+* Blank lines are skipped; every row is padded to the header's length.
+*/
+export function parseDelimited(text, { delimiter = null } = {}) {
+  const s = String(text || "").replace(/^\uFEFF/, "");
+  const d = delimiter || sniffDelimiter(s);
+
+  const records = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") quoted = true;
+    else if (ch === d) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(cell);
+      records.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    records.push(row);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((c) => c.trim() !== ""));
+  const headers = (nonEmpty[0] || []).map((h, i) => h.trim() || `Column ${i + 1}`);
+  const rows = nonEmpty.slice(1).map((r) => headers.map((_, i) => (r[i] ?? "").trim()));
+  return { delimiter: d, headers, rows };
+}
+
+// Header "β-Myrcene (%)" / "Mirceno (%)" -> "β-Myrcene" / "Myrcene"
+const terpNameFromHeader = (header) => translateAnalyteLabels(header).replace(/\s*[([][^()[\]]*[)\]]\s*$/, "").replace(/\s*%$/, "").trim();
+
+/** Best guess at what each column holds, from its header. */
+export function guessMapping(headers) {
+  const taken = new Set();
+  const claim = (key) => {
+    if (key !== TERPENE_FIELD && taken.has(key)) return "";
+    taken.add(key);
+    return key;
+  };
+
+  return (headers || []).map((header) => {
+    const h = String(header).trim();
+    // "THC total (%)", "Gesamt-THC" ... read as their English headers
+    const en = translateAnalyteLabels(h);
+    let key = "";
+
+    if (/^(?:product(?:\s+name)?|name|strain|cultivar|item|nombre|produkt|produit|sorte|variedad|variété)$/i.test(en)) key = "name";
+    else if (/^(?:form|type|category|product\s+type|forma|typ|kategorie|catégorie)$/i.test(en)) key = "form";
+    else if (/^(?:(?:total\s+)?thc|potency)\s*(?:%|\(%\))?$/i.test(en)) key = "totalTHC";
+    else if (/^total\s+terp/i.test(en) || /^terpenes?\s*(?:%|\(%\))?$/i.test(en)) key = "totalTerpenes";
+    else if (/^total\s+cbd\b/i.test(en)) key = "totalCBD";
+    else if (!/^total\b/i.test(en) && matchCannabinoidLabel(en)) key = `${CANNABINOID_FIELD_PREFIX}${matchCannabinoidLabel(en).key}`;
+    else if (lookupTerpene(terpNameFromHeader(h))) key = TERPENE_FIELD;
+
+    return key ? claim(key) : "";
+  });
+}
+
+/** A mapping as a preset: [{ header, field }] in column order. */
+export function presetFromMapping(headers, mapping) {
+  return (headers || []).map((header, col) => ({ header: String(header).trim(), field: mapping?.[col] || "" }));
+}
+
+// Preset -> [{ header, field }]; presets saved as { [header]: field } read as one entry per header
+const presetColumns = (preset) =>
+  Array.isArray(preset) ? preset : Object.entries(preset || {}).map(([header, field]) => ({ header, field }));
+
+/**
+* Apply a saved preset to a file's headers. Columns the preset doesn't know keep the
+* guessed mapping. Returns { mapping, matched } where matched counts preset columns found.
+*/
+export function mappingForHeaders(headers, preset = []) {
+  const guessed = guessMapping(headers);
+  const columns = presetColumns(preset);
+  const seen = new Map();
+  let matched = 0;
+
+  const mapping = (headers || []).map((header, col) => {
+    const h = String(header).trim();
+    const nth = seen.get(h) || 0;
+    seen.set(h, nth + 1);
+    const entry = columns.filter((c) => c.header === h)[nth];
+    if (!entry) return guessed[col] ?? "";
+    matched++;
+    return entry.field || "";
+  });
+  return { mapping, matched };
+}
+
+function percentCell(raw, locale) {
+  // Mapped columns are percent unless the cell prints its own unit
+  const m = parseAnalyteValue(localizeText(raw, locale).text, { unit: "%" });
+  if (!m) return { error: `"${raw}" isn't a value` };
+  if (m.state === VALUE_STATES.DETECTED && (m.pct == null || m.pct < 0 || m.pct > 100)) {
+    return { error: `${raw} is outside 0–100%` };
+  }
+  return { measurement: m };
+}
+
+/**
+* Turn mapped rows into product records. Rows with errors become failures
+* ({ row, name, errors }) instead of records; row numbers count the header as row 1.
+*/
+export function rowsToRecords(headers, rows, mapping) {
+  const records = [];
+  const failures = [];
+
+  const missing = CSV_FIELDS.filter((f) => f.required && !(mapping || []).includes(f.key));
+  if (missing.length) {
+    return {
+      records,
+      failures: [{ row: null, name: null, errors: missing.map((f) => `No column mapped to ${f.label}`) }],
+    };
+  }
+
+  // One number locale for the whole file, voted on by every cell
+  const locale = detectCoaLocale((rows || []).map((cells) => cells.join("\n")).join("\n"));
+
+  (rows || []).forEach((cells, i) => {
+    const rowNo = i + 2;
+    const record = {
+      row: rowNo,
+      name: "",
+      form: "",
+      totalTHC: null,
+      totalTerpenes: null,
+      totalCBD: null,
+      terpenes: [],
+      cannabinoidDetails: {},
+      locale,
+    };
+    const errors = [];
+
+    headers.forEach((header, col) => {
+      const key = mapping[col];
+      const raw = String(cells[col] ?? "").trim();
+      if (!key || raw === "") return;
+
+      if (key === "name" || key === "form") {
+        record[key] = raw;
+        return;
+      }
+
+      const { measurement, error } = percentCell(raw, locale);
+      if (error) {
+        errors.push(`${header}: ${error}`);
+        return;
+      }
+      const pct = measurement.state === VALUE_STATES.DETECTED ? measurement.pct : 0;
+
+      if (key === TERPENE_FIELD) record.terpenes.push(analyteRow(terpNameFromHeader(header), measurement));
+      else if (key.startsWith(CANNABINOID_FIELD_PREFIX)) record.cannabinoidDetails[key.slice(CANNABINOID_FIELD_PREFIX.length)] = measurement;
+      else record[key] = pct;
+    });
+
+    if (!record.name) errors.push("Product name is empty");
+    if (!(record.totalTHC > 0)) errors.push("Total THC is missing or zero");
+
+    if (errors.length) failures.push({ row: rowNo, name: record.name || null, errors });
+    else records.push(record);
+  });
+
+  return { records, failures };
+}
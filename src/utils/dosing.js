@@ -0,0 +1,178 @@
+// src/utils/dosing.js
+
+/**
+* Per-unit dosing for edibles, capsules, tinctures and carts
+* - extractDosing(): COA / label text -> Dosing (or null when nothing is printed)
+* - dosingFromFields(): typed numbers (manual entry, review edits) -> Dosing
+* - doseMgFor(): mg THC the prediction is for (one serving unless the user set a dose)
+* - formatDosing(): "10 mg/unit · 10 units · 100 mg/pkg"
+*
+* Dosing shape (null = not printed / not entered):
+* {
+*   mgPerUnit: number|null,         // THC per gummy / capsule / piece
+*   unitsPerPackage: number|null,
+*   servingSize: { amount: number, unit: "unit"|"mL"|"g" }|null,
+*   volumeMl: number|null,          // tincture / beverage volume per package
+*   mgPerMl: number|null,           // tincture concentration
+*   doseMg: number|null,            // user-chosen dose; overrides the serving
+* }
+* product.metrics.thcPerUnitMg mirrors mgPerUnit for products saved before dosing existed.
+*/
+
+import { findLabeledMeasurement, MG_PER_UNIT } from "./units";
+import { parseLocaleNumber } from "./coaLocale";
+
+const ML_PER_FL_OZ = 29.5735;
+
+// A tincture serving when the label names a concentration but no serving size
+const DEFAULT_SERVING_ML = 1;
+
+const EMPTY_DOSING = {
+  mgPerUnit: null,
+  unitsPerPackage: null,
+  servingSize: null,
+  volumeMl: null,
+  mgPerMl: null,
+  doseMg: null,
+};
+
+const positive = (v) => {
+  const n = typeof v === "number" ? v : parseLocaleNumber(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+const round = (x) => (x == null ? null : Math.round(x * 1000) / 1000);
+
+function servingUnit(raw) {
+  const s = String(raw || "").toLowerCase();
+  if (/^ml|^milliliter/.test(s)) return "mL";
+  if (/^(?:dropper|dropperful)/.test(s)) return "mL";
+  if (/^g$|^gram/.test(s)) return "g";
+  return "unit";
+}
+
+function extractMgPerUnit(text) {
+  const hit = findLabeledMeasurement(text, /(?:Total\s+THC|THC\s+per\s+(?:unit|serving|piece)|Δ9[-\s]?THC)/i, {
+    accept: (m) => m.unit === MG_PER_UNIT,
+  });
+  if (hit) return hit.measurement.value;
+
+  // "10 mg THC per gummy", "5mg THC / serving"
+  const m = text.match(/(\d+(?:\.\d+)?)\s*mg\s+(?:of\s+)?THC\s*(?:\/|per|each)\s*(?:unit|serving|piece|pc|gummy|chew|cap(?:sule)?|tablet|dose)\b/i);
+  return m ? Number(m[1]) : null;
+}
+
+function extractMgPerMl(text) {
+  const m =
+    text.match(/\bTHC\b[^\n]{0,40}?(\d[\d,]*(?:\.\d+)?)\s*mg\s*(?:\/|per)\s*ml\b/i) ||
+    text.match(/(\d[\d,]*(?:\.\d+)?)\s*mg\s*(?:\/|per)\s*ml\s+(?:of\s+)?THC\b/i);
+  return m ? positive(m[1]) : null;
+}
+
+function extractUnitsPerPackage(text) {
+  const m =
+    text.match(
+      /\b(?:Units?|Pieces|Servings|Count|Gummies|Capsules|Tablets)(?:\s+per\s+(?:package|pkg|container|pack|unit))?\s*[:#]\s*(\d+)\b/i
+    ) || text.match(/\b(\d+)\s*(?:units?|pieces|pcs|servings|gummies|capsules|tablets|ct)\s*(?:per|\/)\s*(?:package|pkg|container|pack)\b/i);
+  return m ? positive(m[1]) : null;
+}
+
+function extractServingSize(text) {
+  const m = text.match(
+    /\bServing\s+Size\s*[:#]?\s*(\d+(?:\.\d+)?)\s*(mL|ml|milliliters?|droppers?(?:ful)?|g\b|grams?|gumm(?:y|ies)|pieces?|capsules?|tablets?|units?|chews?)?/i
+  );
+  if (!m) return null;
+  const amount = positive(m[1]);
+  return amount ? { amount, unit: servingUnit(m[2]) } : null;
+}
+
+function extractVolumeMl(text) {
+  const m = text.match(
+    /\b(?:Net\s+)?(?:Volume|Vol\.?|Net\s+Contents?|Fill\s+Volume|Bottle\s+Size|Package\s+Volume)\s*[:#]?\s*(\d+(?:\.\d+)?)\s*(mL|ml|fl\.?\s*oz)\b/i
+  );
+  if (!m) return null;
+  const v = positive(m[1]);
+  return v == null ? null : /oz/i.test(m[2]) ? round(v * ML_PER_FL_OZ) : v;
+}
+
+/** Fill the fields that follow from the others (mg/mL from a per-serving dose in mL). */
+function completeDosing(d) {
+  const out = { ...EMPTY_DOSING, ...d };
+  if (out.mgPerMl == null && out.mgPerUnit && out.servingSize?.unit === "mL") {
+    out.mgPerMl = round(out.mgPerUnit / out.servingSize.amount);
+  }
+  return Object.values(out).some((v) => v != null) ? out : null;
+}
+
+/** Dosing printed on a COA or label, or null when there is none. */
+export function extractDosing(rawText) {
+  const text = String(rawText || "");
+  if (!text) return null;
+
+  return completeDosing({
+    mgPerUnit: extractMgPerUnit(text),
+    unitsPerPackage: extractUnitsPerPackage(text),
+    servingSize: extractServingSize(text),
+    volumeMl: extractVolumeMl(text),
+    mgPerMl: extractMgPerMl(text),
+  });
+}
+
+/**
+* Dosing from typed values (strings or numbers; blanks are null).
+* servingUnit is "unit" (default), "mL" or "g".
+*/
+export function dosingFromFields({ mgPerUnit, unitsPerPackage, servingAmount, servingUnit: unit, volumeMl, mgPerMl, doseMg } = {}) {
+  const amount = positive(servingAmount);
+  return completeDosing({
+    mgPerUnit: positive(mgPerUnit),
+    unitsPerPackage: positive(unitsPerPackage),
+    servingSize: amount ? { amount, unit: unit === "mL" || unit === "g" ? unit : "unit" } : null,
+    volumeMl: positive(volumeMl),
+    mgPerMl: positive(mgPerMl),
+    doseMg: positive(doseMg),
+  });
+}
+
+/**
+* mg THC in the dose being predicted, or null when the product has no per-unit numbers.
+* Order: the user's dose, a mL serving of a tincture, a serving of units, one unit.
+*/
+export function doseMgFor(product) {
+  const d = product?.dosing || {};
+  if (positive(d.doseMg)) return Number(d.doseMg);
+
+  const serving = d.servingSize;
+  if (d.mgPerMl) {
+    const ml = serving?.unit === "mL" ? serving.amount : DEFAULT_SERVING_ML;
+    return round(d.mgPerMl * ml);
+  }
+
+  const mgPerUnit = positive(d.mgPerUnit) ?? positive(product?.metrics?.thcPerUnitMg);
+  if (!mgPerUnit) return null;
+  return round(mgPerUnit * (serving?.unit === "unit" ? serving.amount : 1));
+}
+
+/** mg THC in a whole package, when it can be worked out. */
+export function mgPerPackage(dosing) {
+  if (!dosing) return null;
+  if (dosing.mgPerUnit && dosing.unitsPerPackage) return round(dosing.mgPerUnit * dosing.unitsPerPackage);
+  if (dosing.mgPerMl && dosing.volumeMl) return round(dosing.mgPerMl * dosing.volumeMl);
+  return null;
+}
+
+/** Short summary for cards: "10 mg/unit · 10 units · 100 mg/pkg". */
+export function formatDosing(dosing) {
+  if (!dosing) return "";
+  const pkg = mgPerPackage(dosing);
+  return [
+    dosing.mgPerUnit && `${dosing.mgPerUnit} mg/unit`,
+    dosing.mgPerMl && `${dosing.mgPerMl} mg/mL`,
+    dosing.unitsPerPackage && `${dosing.unitsPerPackage} units`,
+    dosing.volumeMl && `${dosing.volumeMl} mL`,
+    dosing.servingSize && `serving ${dosing.servingSize.amount} ${dosing.servingSize.unit === "unit" ? "unit(s)" : dosing.servingSize.unit}`,
+    pkg && `${pkg} mg/pkg`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
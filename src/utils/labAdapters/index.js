@@ -0,0 +1,126 @@
+// src/utils/labAdapters/index.js
+// Registry of lab-specific COA adapters.
+//
+// Each adapter is a plain object:
+// {
+//   id: string,                 // stored on product.coa.labAdapter
+//   label: string,              // human-readable lab name
+//   detect(text) => number,     // 0..1 confidence that the text is this lab's format
+//   parse(text) => {           // only the fields the adapter is sure about
+//     totalTHC?, totalCBD?, totalCannabinoids?, totalTerpenes?, terpenes?: [{ name, pct }]
+//   },
+//   precedence?: {              // per field: "replace", "fill" (only when the generic parse has
+//     [field]: "replace" | "fill" | (current) => boolean   // nothing) or a test on its value
+//   }
+// }
+//
+// Without a precedence entry, totals replace the generic guesses and terpene rows fill.
+//
+// New labs are added as their own module and listed in LAB_ADAPTERS below.
+
+import { kaychaAdapter } from "./kaycha";
+import { modernCannaAdapter } from "./modernCanna";
+import { fieldSource } from "../provenance";
+
+export const GENERIC_ADAPTER_ID = "generic";
+
+// Below this score the generic heuristics are used on their own.
+export const MIN_DETECT_SCORE = 0.5;
+
+// From this score the adapter's label also names the lab (weaker matches only refine the numbers).
+export const NAMES_LAB_SCORE = 0.6;
+
+const TOTAL_FIELDS = ["totalTHC", "totalCBD", "totalCannabinoids", "totalTerpenes"];
+
+const isEmpty = (value) => (Array.isArray(value) ? value.length === 0 : typeof value !== "number");
+
+// Whether the adapter's value for `key` goes over the generic one (`current`)
+function adapterWins(adapter, key, current) {
+  const rule = adapter.precedence?.[key] ?? (key === "terpenes" ? "fill" : "replace");
+  if (typeof rule === "function") return !!rule(current);
+  return rule === "replace" || isEmpty(current);
+}
+
+export const LAB_ADAPTERS = [kaychaAdapter, modernCannaAdapter];
+
+export function registerLabAdapter(adapter) {
+  if (!adapter?.id || typeof adapter.detect !== "function" || typeof adapter.parse !== "function") {
+    throw new Error("Lab adapter needs id, detect() and parse()");
+  }
+  const idx = LAB_ADAPTERS.findIndex((a) => a.id === adapter.id);
+  if (idx >= 0) LAB_ADAPTERS.splice(idx, 1, adapter);
+  else LAB_ADAPTERS.push(adapter);
+  return adapter;
+}
+
+/** Adapter by id (as stored on product.coa.labAdapter), or null. */
+export function getLabAdapter(id) {
+  return LAB_ADAPTERS.find((a) => a.id === id) || null;
+}
+
+/** The adapter's lab name when it recognises `text` surely enough to name the lab, else null. */
+export function labLabelFor(id, text) {
+  const adapter = getLabAdapter(id);
+  if (!adapter) return null;
+  try {
+    return Number(adapter.detect(text)) >= NAMES_LAB_SCORE ? adapter.label : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pick the highest-scoring adapter for a COA text, or null when none clears MIN_DETECT_SCORE.
+ */
+export function pickLabAdapter(text) {
+  let best = null;
+  let bestScore = 0;
+
+  for (const adapter of LAB_ADAPTERS) {
+    let score = 0;
+    try {
+      score = Number(adapter.detect(text)) || 0;
+    } catch (e) {
+      console.warn(`[MMET PDF] ${adapter.id} detect failed:`, e?.message || e);
+    }
+    if (score > bestScore) {
+      best = adapter;
+      bestScore = score;
+    }
+  }
+
+  return best && bestScore >= MIN_DETECT_SCORE ? { adapter: best, score: bestScore } : null;
+}
+
+/**
+ * Run the best adapter over the text and merge its fields onto the generic result,
+ * each field as the adapter's precedence says (by default totals replace the generic
+ * guesses and terpene rows only fill in when the generic extraction found none).
+ */
+export function applyLabAdapter(base, text) {
+  const picked = pickLabAdapter(text);
+  if (!picked) return { ...base, labAdapter: GENERIC_ADAPTER_ID };
+
+  let fields = {};
+  try {
+    fields = picked.adapter.parse(text) || {};
+  } catch (e) {
+    console.warn(`[MMET PDF] ${picked.adapter.id} parse failed:`, e?.message || e);
+    return { ...base, labAdapter: GENERIC_ADAPTER_ID };
+  }
+
+  const merged = { ...base, labAdapter: picked.adapter.id, provenance: { ...(base?.provenance || {}) } };
+  const adapterSource = () => ({ ...fieldSource("lab_adapter"), adapter: picked.adapter.id });
+
+  for (const key of TOTAL_FIELDS) {
+    if (typeof fields[key] !== "number" || !adapterWins(picked.adapter, key, base?.[key])) continue;
+    merged[key] = fields[key];
+    merged.provenance[key] = adapterSource();
+  }
+  if (Array.isArray(fields.terpenes) && fields.terpenes.length && adapterWins(picked.adapter, "terpenes", base?.terpenes)) {
+    merged.terpenes = fields.terpenes;
+    merged.provenance.terpenes = adapterSource();
+  }
+
+  return merged;
+}
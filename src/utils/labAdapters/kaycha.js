@@ -0,0 +1,62 @@
+// src/utils/labAdapters/kaycha.js
+// Kaycha Labs COAs: analyte tables laid out as
+//   "<NAME> <LOD> <LOQ> TESTED <PCT> <MG/G>"
+// with the terpene total printed on its own "TOTAL TERPENES ... TESTED" row.
+
+function splitLines(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+}
+
+function isTestedTotalLine(line) {
+  return /\bTESTED\b/i.test(line) && /TOTAL\s+TERPENES/i.test(line);
+}
+
+export const kaychaAdapter = {
+  id: "kaycha",
+  label: "Kaycha Labs",
+
+  precedence: {
+    // The printed total only stands in for a missing or implausibly small generic one
+    totalTerpenes: (current) => !current || current < 0.2,
+  },
+
+  detect(text) {
+    const raw = String(text || "");
+    if (/Kaycha\s+Labs/i.test(raw)) return 0.9;
+    if (splitLines(raw).some(isTestedTotalLine)) return 0.6;
+    return 0;
+  },
+
+  parse(text) {
+    const lines = splitLines(text);
+    const out = {};
+
+    const totalLine = lines.find(isTestedTotalLine);
+    if (totalLine) {
+      const nums = totalLine.match(/[0-9]+(?:\.[0-9]+)?/g) || [];
+      const candidate = nums.length >= 2 ? Number(nums[nums.length - 2]) : null;
+      if (candidate != null && isFinite(candidate) && candidate > 0.1 && candidate < 40) {
+        out.totalTerpenes = candidate;
+      }
+    }
+
+    const terpRows = [];
+    for (const l of lines) {
+      const m = l.match(
+        /^([A-Z0-9\-\/ ]{3,})\s+[0-9.]+\s+[0-9.]+\s+TESTED\s+([0-9]+(?:\.[0-9]+)?)\s+[0-9]+(?:\.[0-9]+)?$/i
+      );
+      if (!m) continue;
+      const nm = m[1].trim();
+      if (/^TOTAL\s+TERPENES$/i.test(nm)) continue;
+      const pct = Number(m[2]);
+      if (!isFinite(pct) || pct <= 0 || pct > 40) continue;
+      terpRows.push({ name: nm, pct });
+    }
+    if (terpRows.length) out.terpenes = terpRows;
+
+    return out;
+  },
+};
@@ -0,0 +1,68 @@
+// src/utils/labAdapters/modernCanna.js
+// Modern Canna (Trulieve) COAs: a one-line summary header
+//   "Total CBD Total THC Total Cannabinoids Total Terpenes"
+// followed by the four percentages, and bare "<name> <pct>" rows under a "TERPENES SUMMARY" title.
+
+import { isCannabinoidLabel } from "../cannabinoids";
+
+const SUMMARY_HEADER = "total cbd total thc total cannabinoids total terpenes";
+
+// Section titles and labels this lab's COAs print; other labs use them too, so they only tip
+// the choice when no adapter recognises the text more surely
+const WEAK_CUES = ["terpenes summary", "cultivar:", "sample matrix:"];
+
+export const modernCannaAdapter = {
+  id: "modern_canna",
+  label: "Modern Canna / Trulieve",
+
+  detect(text) {
+    const raw = String(text || "");
+    if (/Modern\s+Canna|moderncanna\.com/i.test(raw)) return 0.9;
+    const t = raw.toLowerCase();
+    if (t.includes(SUMMARY_HEADER)) return 0.7;
+    if (WEAK_CUES.some((cue) => t.includes(cue))) return 0.5;
+    return 0;
+  },
+
+  parse(text) {
+    const raw = String(text || "");
+    const out = {};
+
+    const idx = raw.toLowerCase().indexOf(SUMMARY_HEADER);
+    if (idx >= 0) {
+      const slice = raw.slice(idx, idx + 900);
+      const perc = slice.match(/[0-9]+(?:\.[0-9]+)?%/g) || [];
+      if (perc.length >= 4) {
+        const [cbd, thc, cannabinoids, terps] = perc.slice(0, 4).map((p) => Number(p.replace("%", "")));
+        if (isFinite(cbd) && cbd >= 0 && cbd < 110) out.totalCBD = cbd;
+        if (isFinite(thc) && thc > 1 && thc < 110) out.totalTHC = thc;
+        if (isFinite(cannabinoids) && cannabinoids > 1 && cannabinoids < 110) out.totalCannabinoids = cannabinoids;
+        if (isFinite(terps) && terps > 0.05 && terps < 40) out.totalTerpenes = terps;
+      }
+    }
+
+    // Terpene rows only between the terpene section's title ("TERPENES SUMMARY (Top Ten)") and
+    // the first line after its rows that isn't one; "<word> <number>" lines elsewhere are other panels
+    const terpRows = [];
+    let inSection = false;
+    for (const l of raw.split(/\r?\n/).map((s) => s.trim()).filter(Boolean)) {
+      if (!inSection) {
+        inSection = /^terpenes?\b/i.test(l);
+        continue;
+      }
+      const m = l.match(/^([A-Za-z][A-Za-z0-9\- ]{2,})\s+([0-9]+(?:\.[0-9]+)?)$/);
+      if (!m) {
+        if (terpRows.length) break;
+        continue;
+      }
+      const nm = m[1].trim();
+      const pct = Number(m[2]);
+      if (/^delta$/i.test(nm) || isCannabinoidLabel(nm)) continue;
+      if (!isFinite(pct) || pct <= 0 || pct > 40) continue;
+      terpRows.push({ name: nm, pct });
+    }
+    if (terpRows.length) out.terpenes = terpRows;
+
+    return out;
+  },
+};
@@ -3,12 +3,14 @@
 //
 // Design goals:
 // - Never touch PDF parsing. This module consumes already-parsed product fields.
-// - THC is primary driver (65%), Terpenes (25%), Form (10% direct + multipliers).
+// - THC is the primary driver: terpenes take weights.terp (25%) of the THC/terpene blend, then the
+//   form's direct vector takes weights.form (10%) of that, leaving THC ~67%; form intensity multiplies.
 // - Special rules preserved:
 //   * Myrcene > 0.5% => couch-lock boost
 //   * Limonene > 0.3% => reduces anxiety risk
 //   * Terpinolene > 0.3% => increases anxiety risk
 //   * Low terpene retention (<50%) => increases anxiety risk
+//   * CBD (by CBD:THC ratio) dampens intensity and anxiety risk; CBN, THCV, CBG nudge effects
 //
 // Inputs expected:
 // {
@@ -16,28 +18,126 @@
 //   totalTerpenes: number (percent, e.g. 5.86),
 //   form: string (raw or normalized),
 //   terpenes: [{ name: string, pct: number }]  // pct in percent units (e.g. 2.14)
+//   doseMg?: number  // mg THC per dose for edibles/capsules/tinctures (dosing.doseMgFor)
+//   cannabinoids?: { [key]: pct }  // product.metrics.cannabinoids (Δ8, Δ10, THC-P, HHC, CBD, CBN ...)
+//   totalCBD?: number, totalCBG?: number  // printed totals, used when the panel has no rows for them
 // }
+//
+// Every weight, potency curve, form modifier, terpene coefficient and anxiety rule lives in a model
+// config (DEFAULT_MODEL_CONFIG below; edited/versioned copies via modelConfig.js), passed as
+// calculateBaseline(input, config). The exported constants are the default config's values.
+//
+// The result's `trace` lists, per dimension, every step that moved the value (potency, each
+// terpene, form blend, intensity, rules) so the UI can explain a score.
+
+import { rollUpTerpenes } from "./terpeneDictionary";
+import { neutralEquivalentPct } from "./cannabinoids";
 
 const clamp01 = (x) => Math.max(0, Math.min(1, x));
 const num = (v, d = 0) => {
   const n = Number(v);
   return Number.isFinite(n) ? n : d;
 };
+const pctLabel = (v) => `${Math.round(num(v, 0) * 100) / 100}%`;
 
-export const THC_WEIGHT = 0.65;
 export const TERP_WEIGHT = 0.25;
 export const FORM_WEIGHT = 0.10;
 
-// Anxiety risk by THC potency band (per your spec)
+// THC % bands: display labels only ("High", "Extreme"); potency comes from POTENCY_CURVES
 export const THC_BANDS = [
-  { key: "micro", min: 0, max: 10, label: "Micro", anxietyRisk: 0.15, potency: 0.20 },
-  { key: "low", min: 10, max: 15, label: "Low", anxietyRisk: 0.25, potency: 0.35 },
-  { key: "medium", min: 15, max: 20, label: "Medium", anxietyRisk: 0.40, potency: 0.50 },
-  { key: "high", min: 20, max: 25, label: "High", anxietyRisk: 0.55, potency: 0.65 },
-  { key: "very_high", min: 25, max: 35, label: "Very High", anxietyRisk: 0.70, potency: 0.80 },
-  { key: "extreme", min: 35, max: Infinity, label: "Extreme", anxietyRisk: 0.85, potency: 0.95 },
+  { key: "micro", min: 0, max: 10, label: "Micro" },
+  { key: "low", min: 10, max: 15, label: "Low" },
+  { key: "medium", min: 15, max: 20, label: "Medium" },
+  { key: "high", min: 20, max: 25, label: "High" },
+  { key: "very_high", min: 25, max: 35, label: "Very High" },
+  { key: "extreme", min: 35, max: Infinity, label: "Extreme" },
+];
+
+// Dose-response curves, THC % -> potency and anxiety risk (0..1), by form (`default` for the
+// rest). Each is a Hill curve: floor + (ceiling - floor) * x^hill / (x^hill + ec50^hill).
+// `default` runs through the middle of the old flower bands' steps (20% -> 0.57 potency,
+// 25% -> 0.70, 30% -> 0.79, where the bands jumped 0.50 -> 0.65 -> 0.80); concentrates
+// sit on their own, higher-ec50 curve so a 65% crumble (0.89) and a 90% distillate (0.96)
+// no longer both read "Extreme". Their anxiety curve is lower because the form's
+// anxietyRiskAdd (and the low-retention rule) come on top of it.
+const EXTRACT_CURVE = {
+  potency: { floor: 0.2, ceiling: 1.0, ec50: 35, hill: 3 },
+  anxietyRisk: { floor: 0.1, ceiling: 0.7, ec50: 55, hill: 3 },
+};
+
+export const POTENCY_CURVES = {
+  default: {
+    potency: { floor: 0.2, ceiling: 1.0, ec50: 21, hill: 2.8 },
+    anxietyRisk: { floor: 0.15, ceiling: 0.9, ec50: 22, hill: 3 },
+  },
+  concentrate: EXTRACT_CURVE,
+  live_resin: EXTRACT_CURVE,
+  rosin: EXTRACT_CURVE,
+  vape_cart: EXTRACT_CURVE,
+  disposable: EXTRACT_CURVE,
+  // RSO without a mg dose
+  rso: EXTRACT_CURVE,
+  // 30-60%: 45% hash reads like ~27% flower
+  hash: {
+    potency: { floor: 0.2, ceiling: 1.0, ec50: 30, hill: 3 },
+    anxietyRisk: { floor: 0.12, ceiling: 0.8, ec50: 40, hill: 3 },
+  },
+};
+
+// Potency of hemp-derived / minor THC isomers relative to Δ9-THC (= 1). Their percent times
+// the factor is added to Total THC before the potency curve; THCa is already inside Total THC.
+// Rough consensus figures; model configs can override them (config.isomerPotency).
+export const ISOMER_POTENCY = {
+  d8thc: 0.6,
+  d10thc: 0.4,
+  thcp: 5.0,
+  hhc: 0.7,
+};
+
+// Edibles / capsules / tinctures with a known dose: mg THC per dose replaces THC %.
+// DOSE_CURVE already describes the felt effect and risk of an ingested dose, so the edible
+// form's intensityMod and anxietyRiskAdd are not applied on top. Least-squares fit to where
+// the old dose bands started: 5 mg -> 0.45 potency / 0.33 anxiety, 10 mg -> 0.64 / 0.49,
+// 25 mg -> 0.84 / 0.72 (the bands: 0.45 / 0.35, 0.65 / 0.50, 0.80 / 0.70).
+export const DOSE_CURVE = {
+  potency: { floor: 0.15, ceiling: 1.0, ec50: 8, hill: 1.3 },
+  anxietyRisk: { floor: 0.1, ceiling: 0.96, ec50: 11.5, hill: 1.2 },
+};
+
+// mg dose bands: display labels only
+export const DOSE_BANDS = [
+  { key: "micro", min: 0, max: 2.5, label: "Microdose" },
+  { key: "low", min: 2.5, max: 5, label: "Low dose" },
+  { key: "standard", min: 5, max: 10, label: "Standard dose" },
+  { key: "strong", min: 10, max: 25, label: "Strong dose" },
+  { key: "very_strong", min: 25, max: 50, label: "Very strong dose" },
+  { key: "extreme", min: 50, max: Infinity, label: "Extreme dose" },
 ];
 
+// Forms whose potency is read from doseMg when one is given (swallowed or held under the tongue)
+export const DOSED_FORMS = new Set(["edible", "capsule", "beverage", "tincture", "rso"]);
+
+// Form pickers, in display order (keys are FORM_MODIFIERS keys)
+export const FORM_OPTIONS = [
+  { key: "flower", label: "Flower" },
+  { key: "pre_roll", label: "Pre-roll" },
+  { key: "hash", label: "Hash / kief" },
+  { key: "concentrate", label: "Concentrate (wax, shatter, distillate)" },
+  { key: "live_resin", label: "Live resin" },
+  { key: "rosin", label: "Rosin" },
+  { key: "vape_cart", label: "Vape cart" },
+  { key: "disposable", label: "Disposable vape" },
+  { key: "edible", label: "Edible" },
+  { key: "capsule", label: "Capsule" },
+  { key: "beverage", label: "Beverage" },
+  { key: "tincture", label: "Sublingual tincture" },
+  { key: "rso", label: "RSO" },
+  { key: "topical", label: "Topical" },
+  { key: "transdermal", label: "Transdermal patch" },
+];
+
+export const FORM_LABELS = Object.fromEntries(FORM_OPTIONS.map((o) => [o.key, o.label]));
+
 export const FORM_MODIFIERS = {
   edible: {
     key: "edible",
@@ -84,52 +184,262 @@ export const FORM_MODIFIERS = {
     onsetMinutes: 0,
     baseDurationHours: 0,
   },
+  // Smoked: like flower, a little more terpene loss from the paper and the burn
+  pre_roll: {
+    key: "pre_roll",
+    intensityMod: 1.0,
+    durationMod: 1.0,
+    anxietyRiskAdd: 0.0,
+    terpeneRetention: 0.85,
+    onsetMinutes: 8,
+    baseDurationHours: 2,
+  },
+  // Hash / kief: 30-60% THC, between flower and concentrates
+  hash: {
+    key: "hash",
+    intensityMod: 1.4,
+    durationMod: 1.15,
+    anxietyRiskAdd: 0.10,
+    terpeneRetention: 0.70,
+    onsetMinutes: 6,
+    baseDurationHours: 2,
+  },
+  // Solventless: keeps more of the terpene profile than BHO concentrates
+  rosin: {
+    key: "rosin",
+    intensityMod: 1.8,
+    durationMod: 1.35,
+    anxietyRiskAdd: 0.15,
+    terpeneRetention: 0.80,
+    onsetMinutes: 5,
+    baseDurationHours: 2,
+  },
+  // Carts are mostly distillate: fast, short, little native terpene character
+  vape_cart: {
+    key: "vape_cart",
+    intensityMod: 1.5,
+    durationMod: 0.9,
+    anxietyRiskAdd: 0.15,
+    terpeneRetention: 0.40,
+    onsetMinutes: 2,
+    baseDurationHours: 1.5,
+  },
+  disposable: {
+    key: "disposable",
+    intensityMod: 1.5,
+    durationMod: 0.9,
+    anxietyRiskAdd: 0.15,
+    terpeneRetention: 0.35,
+    onsetMinutes: 2,
+    baseDurationHours: 1.5,
+  },
+  // Swallowed like an edible, slower to kick in
+  capsule: {
+    key: "capsule",
+    intensityMod: 2.5,
+    durationMod: 3.0,
+    anxietyRiskAdd: 0.30,
+    terpeneRetention: 0.10,
+    onsetMinutes: 75,
+    baseDurationHours: 6,
+  },
+  // Water-soluble (emulsified) THC: faster and shorter than an edible
+  beverage: {
+    key: "beverage",
+    intensityMod: 2.0,
+    durationMod: 2.0,
+    anxietyRiskAdd: 0.25,
+    terpeneRetention: 0.15,
+    onsetMinutes: 20,
+    baseDurationHours: 3,
+  },
+  // Held under the tongue: part absorbed sublingually, the rest swallowed
+  tincture: {
+    key: "tincture",
+    intensityMod: 1.6,
+    durationMod: 2.0,
+    anxietyRiskAdd: 0.15,
+    terpeneRetention: 0.30,
+    onsetMinutes: 20,
+    baseDurationHours: 3,
+  },
+  // Rick Simpson oil / FECO, usually swallowed: strongest and longest of the oral forms
+  rso: {
+    key: "rso",
+    intensityMod: 2.8,
+    durationMod: 3.0,
+    anxietyRiskAdd: 0.35,
+    terpeneRetention: 0.25,
+    onsetMinutes: 60,
+    baseDurationHours: 6,
+  },
+  // Patches reach the bloodstream slowly and steadily: mild, long
+  transdermal: {
+    key: "transdermal",
+    intensityMod: 0.6,
+    durationMod: 1.5,
+    anxietyRiskAdd: 0.0,
+    terpeneRetention: 1.0,
+    onsetMinutes: 45,
+    baseDurationHours: 8,
+  },
+};
+
+// Terpene modifiers by parent group, applied in this order. Each effect adds
+//   strength * terpStrength + amount * clamp01(pct / saturationPct)
+// to that dimension, where terpStrength = clamp01(totalTerpenes / TERP_STRENGTH_FULL_PCT).
+export const TERP_STRENGTH_FULL_PCT = 10;
+
+export const TERP_MODIFIERS = {
+  // beta-caryophyllene: pain relief + body calm
+  caryophyllene: {
+    saturationPct: 3,
+    effects: { pain: { strength: 0.10, amount: 0.06 }, sedation: { strength: 0.04 }, couch: { strength: 0.03 } },
+  },
+  // linalool: sedation + sleep support
+  linalool: {
+    saturationPct: 1.5,
+    effects: { sedation: { strength: 0.10, amount: 0.06 }, clarity: { strength: -0.03 }, couch: { strength: 0.04 } },
+  },
+  // limonene: uplift + clarity
+  limonene: {
+    saturationPct: 1.2,
+    effects: { head: { strength: 0.08, amount: 0.05 }, clarity: { strength: 0.07 }, sedation: { strength: -0.03 } },
+  },
+  // myrcene: body heaviness / sedation; couch-lock rule handled separately
+  myrcene: {
+    saturationPct: 1.5,
+    effects: {
+      sedation: { strength: 0.08, amount: 0.04 },
+      couch: { strength: 0.10, amount: 0.05 },
+      clarity: { strength: -0.05 },
+    },
+  },
+  // humulene: supporting body relief
+  humulene: { effects: { pain: { strength: 0.05 }, sedation: { strength: 0.02 } } },
+  // bisabolol: calm + body relief
+  bisabolol: { effects: { pain: { strength: 0.04 }, sedation: { strength: 0.03 } } },
+  // terpinolene: often more “heady”
+  terpinolene: { effects: { head: { strength: 0.07 }, clarity: { strength: -0.03 } } },
+  // pinene: clarity/focus leaning
+  pinene: { effects: { clarity: { strength: 0.07 }, sedation: { strength: -0.03 } } },
+  // ocimene: lightly uplifting
+  ocimene: { effects: { head: { strength: 0.03 } } },
+};
+
+// Minor cannabinoids as effect modifiers. Strength (0..1) is the amount over fullAt: CBD by its
+// ratio to (Δ9-equivalent) THC, full effect at 1:1; the others by % w/w (neutral + acid × decarb).
+// Effects are added to the felt dimensions after the form intensity; `intensity` instead scales
+// the form's intensity multiplier (-0.25 at full strength = 25% less intense).
+export const MINOR_CANNABINOID_MODIFIERS = {
+  // CBD: takes the edge off THC
+  cbd: { label: "CBD", basis: "ratio", fullAt: 1, effects: { intensity: -0.25, anxietyRisk: -0.20 } },
+  // CBN: sleepy
+  cbn: { label: "CBN", basis: "pct", fullAt: 1, effects: { sedation: 0.10, couch: 0.04 } },
+  // THCV: lighter body, appetite suppressant
+  thcv: { label: "THCV", basis: "pct", fullAt: 1, effects: { couch: -0.06, appetite: -0.15 } },
+  // CBG: clear-headed
+  cbg: { label: "CBG", basis: "pct", fullAt: 1, effects: { clarity: 0.06 } },
+};
+
+// Anxiety risk adjustments on top of the curve + form risk
+export const ANXIETY_RULES = {
+  terpenes: [
+    { terpene: "limonene", abovePct: 0.3, add: -0.08 },
+    { terpene: "terpinolene", abovePct: 0.3, add: 0.08 },
+  ],
+  // Forms that lose most of their terpenes read as harsher
+  lowRetention: { below: 0.5, multiplier: 1.15 },
+};
+
+// Myrcene > 0.5% couch-lock boost (effect, not risk)
+export const COUCH_LOCK_RULE = { terpene: "myrcene", abovePct: 0.5, add: 0.12 };
+
+// The engine's built-in configuration. Saved configs (modelConfig.js) are edited copies of
+// this; id + version are recorded with every prediction.
+// Bumped whenever the engine's math or its default numbers change. The built-in config carries
+// it as its version, so "Default v3" always names one set of numbers, and saved configs record
+// the engine they were made for (modelConfig.isOutdatedConfig).
+//   1  THC / dose bands set potency and anxiety risk
+//   2  CBD, CBN, THCV and CBG modifiers; appetite
+//   3  Hill potency curves replace the band values
+//   4  Vape, pre-roll, hash, rosin, RSO, tincture, beverage, capsule and transdermal forms;
+//      dose curve refitted to the old dose bands
+export const ENGINE_VERSION = 4;
+
+export const DEFAULT_MODEL_CONFIG = {
+  id: "default",
+  name: "Default",
+  version: ENGINE_VERSION,
+  engineVersion: ENGINE_VERSION,
+  // THC's share is what's left: (1 - terp) of the blend, then (1 - form) of that
+  weights: { terp: TERP_WEIGHT, form: FORM_WEIGHT },
+  potencyCurves: POTENCY_CURVES,
+  doseCurve: DOSE_CURVE,
+  thcBands: THC_BANDS,
+  doseBands: DOSE_BANDS,
+  formModifiers: FORM_MODIFIERS,
+  isomerPotency: ISOMER_POTENCY,
+  terpStrengthFullPct: TERP_STRENGTH_FULL_PCT,
+  terpModifiers: TERP_MODIFIERS,
+  minorCannabinoids: MINOR_CANNABINOID_MODIFIERS,
+  anxietyRules: ANXIETY_RULES,
+  couchLockRule: COUCH_LOCK_RULE,
 };
 
 export function normalizeFormType(raw) {
-  const s = String(raw || "").toLowerCase();
+  const s = String(raw || "").toLowerCase().trim();
 
   if (!s) return "flower";
 
+  // Already a form key ("vape_cart") or a FORM_OPTIONS label
+  if (FORM_MODIFIERS[s]) return s;
+  const byLabel = FORM_OPTIONS.find((o) => o.label.toLowerCase() === s);
+  if (byLabel) return byLabel.key;
+
+  // Whole words (plural too), so strain names don't read as forms: "Hashplant", "Bubble Gum"
+  const has = (...words) => new RegExp(`(?<![a-z])(?:${words.join("|")})(?:e?s)?(?![a-z])`).test(s);
+
+  // Forms made from flower that say so: "Flower pre-roll", "Flower rosin"
+  if (has("pre-roll", "preroll", "pre roll", "joint", "blunt")) return "pre_roll";
+  if (has("rosin")) return "rosin";
+
+  // Flower, whatever the strain name sounds like ("Bubble Gum Flower", "Flower - Hashplant")
+  if (has("flower")) return "flower";
+
+  // Transdermal (before topical: "transdermal gel")
+  if (has("transdermal", "patch")) return "transdermal";
+
   // Topical
-  if (s.includes("topical") || s.includes("salve") || s.includes("cream") || s.includes("lotion")) {
-    return "topical";
-  }
+  if (has("topical", "salve", "cream", "lotion", "balm")) return "topical";
+
+  // Sublingual
+  if (has("tincture", "sublingual", "oral spray")) return "tincture";
+
+  // Drinks
+  if (has("drink", "beverage", "soda", "seltzer", "elixir")) return "beverage";
+
+  // Capsules / tablets
+  if (has("capsule", "softgel", "tablet", "pill")) return "capsule";
+
+  // RSO / FECO
+  if (has("rso", "rick simpson", "feco", "full extract cannabis oil", "full spectrum extract")) return "rso";
 
   // Edible
-  if (
-    s.includes("edible") ||
-    s.includes("gummy") ||
-    s.includes("cookie") ||
-    s.includes("brownie") ||
-    s.includes("chocolate") ||
-    s.includes("capsule") ||
-    s.includes("tincture") ||
-    s.includes("drink") ||
-    s.includes("beverage")
-  ) {
-    return "edible";
-  }
+  if (has("edible", "gummy", "gummies", "cookie", "brownie", "chocolate", "chew", "candy", "candies")) return "edible";
+
+  // Vapes (before concentrates: "live resin cart", "distillate cartridge")
+  if (has("disposable", "all-in-one", "all in one", "aio")) return "disposable";
+  if (has("cart", "cartridge", "vape", "pod", "510")) return "vape_cart";
 
   // Live Resin / Live product forms
-  if (s.includes("live") && (s.includes("resin") || s.includes("badder") || s.includes("sugar") || s.includes("sauce") || s.includes("diamonds"))) {
-    return "live_resin";
-  }
-  if (s.includes("live resin")) return "live_resin";
-
-  // Concentrates (wax, shatter, rosin, crumble, badder, etc.)
-  if (
-    s.includes("concentrate") ||
-    s.includes("wax") ||
-    s.includes("shatter") ||
-    s.includes("rosin") ||
-    s.includes("crumble") ||
-    s.includes("badder") ||
-    s.includes("sugar") ||
-    s.includes("sauce") ||
-    s.includes("diamonds") ||
-    s.includes("distillate")
-  ) {
+  if (has("live") && has("resin", "badder", "batter", "sugar", "sauce", "diamonds")) return "live_resin";
+
+  // Hash / kief
+  if (has("hash", "hashish", "kief", "keef", "dry sift", "temple ball", "bubble hash")) return "hash";
+
+  // Concentrates (wax, shatter, crumble, badder, etc.)
+  if (has("concentrate", "wax", "shatter", "crumble", "badder", "batter", "sugar", "sauce", "diamonds", "distillate")) {
     return "concentrate";
   }
 
@@ -137,32 +447,70 @@ export function normalizeFormType(raw) {
   return "flower";
 }
 
-export function getTHCBand(thcPct) {
-  const t = num(thcPct, 0);
-  for (const b of THC_BANDS) {
-    if (t >= b.min && t < b.max) return b;
+/** The form key a product is modelled as: its picked formType, else its form text. */
+export function productFormType(product) {
+  return normalizeFormType(product?.formType || product?.form);
+}
+
+export const isDosedForm = (formKey) => DOSED_FORMS.has(formKey);
+
+// Bands saved as JSON lose Infinity; a missing max is open-ended
+const inBand = (v, b) => v >= num(b.min, 0) && (b.max == null || v < b.max);
+
+// Display label for an mg dose
+export function getDoseBand(doseMg, bands = DOSE_BANDS) {
+  const mg = num(doseMg, 0);
+  for (const b of bands) {
+    if (inBand(mg, b)) return b;
+  }
+  return bands[0];
+}
+
+/**
+* Δ9-equivalent THC %: Total THC plus each isomer weighted by its relative potency.
+* Returns { pct, isomers: [{ key, pct, factor, d9EquivalentPct }] }.
+*/
+export function effectiveTHC(totalTHC, cannabinoids = {}, isomerPotency = {}) {
+  const factors = { ...ISOMER_POTENCY, ...isomerPotency };
+  const isomers = [];
+  let pct = num(totalTHC, 0);
+
+  for (const key of Object.keys(ISOMER_POTENCY)) {
+    const amount = num(cannabinoids?.[key], 0);
+    if (amount <= 0) continue;
+    const factor = Math.max(0, num(factors[key], ISOMER_POTENCY[key]));
+    isomers.push({ key, pct: amount, factor, d9EquivalentPct: amount * factor });
+    pct += amount * factor;
   }
-  return THC_BANDS[0];
+  return { pct, isomers };
 }
 
-function normalizeTerpName(name) {
-  return String(name || "")
-    .toLowerCase()
-    .replace(/β/g, "beta")
-    .replace(/α/g, "alpha")
-    .replace(/\s+/g, " ")
-    .trim();
+/** Hill dose-response: floor at 0, half way to ceiling at ec50, steeper with a higher hill. */
+export function hillCurve(x, { floor = 0, ceiling = 1, ec50 = 1, hill = 1 } = {}) {
+  const r = Math.pow(Math.max(0, num(x, 0)) / Math.max(1e-9, num(ec50, 1)), num(hill, 1));
+  return clamp01(num(floor, 0) + (num(ceiling, 1) - num(floor, 0)) * (r / (1 + r)));
 }
 
-function buildTerpMap(terpenes) {
-  const map = new Map();
-  (terpenes || []).forEach((t) => {
-    const n = normalizeTerpName(t?.name);
-    const pct = num(t?.pct, 0);
-    if (!n) return;
-    map.set(n, (map.get(n) || 0) + pct);
-  });
-  return map;
+/**
+* { potency, anxietyRisk } (0..1) for a THC % on the form's curve, or for an mg dose on
+* DOSE_CURVE when `doseMg` is given.
+*/
+export function potencyResponse({ thcPct = 0, formKey = "flower", doseMg = null } = {}, config = DEFAULT_MODEL_CONFIG) {
+  const curve =
+    doseMg != null
+      ? config.doseCurve || DOSE_CURVE
+      : (config.potencyCurves || POTENCY_CURVES)[formKey] || (config.potencyCurves || POTENCY_CURVES).default;
+  const x = doseMg != null ? doseMg : thcPct;
+  return { potency: hillCurve(x, curve.potency), anxietyRisk: hillCurve(x, curve.anxietyRisk) };
+}
+
+// Display label for a THC % (potency is read from POTENCY_CURVES, not the band)
+export function getTHCBand(thcPct, bands = THC_BANDS) {
+  const t = num(thcPct, 0);
+  for (const b of bands) {
+    if (inBand(t, b)) return b;
+  }
+  return bands[0];
 }
 
 // Baseline effect dimensions (0..1):
@@ -171,6 +519,7 @@ function buildTerpMap(terpenes) {
 // - sedation: calming/sedating
 // - couch: body heaviness/couch-lock tendency
 // - pain: analgesic / body relief
+// - appetite: munchies
 //
 // anxietyRisk is separate (0..1, higher = worse).
 function thcBaseVector(potency) {
@@ -182,101 +531,39 @@ function thcBaseVector(potency) {
     sedation: clamp01(0.10 + 0.70 * p),
     couch: clamp01(0.05 + 0.55 * p),
     pain: clamp01(0.20 + 0.45 * p),
+    appetite: clamp01(0.15 + 0.55 * p),
   };
 }
 
-function applyTerpModifiers(vec, terpMap, totalTerpenesPct) {
+// `onEffect(parent, dim, delta)` sees each change actually applied (after clamping)
+function applyTerpModifiers(vec, terpMap, totalTerpenesPct, config, onEffect = () => {}) {
   const out = { ...vec };
 
-  const get = (...keys) => {
-    for (const k of keys) {
-      if (terpMap.has(k)) return terpMap.get(k);
-    }
-    return 0;
-  };
-
-  // Common terps
-  const caryo = get("beta-caryophyllene", "beta caryophyllene", "caryophyllene");
-  const linalool = get("linalool");
-  const limonene = get("d-limonene", "limonene");
-  const myrcene = get("myrcene", "beta-myrcene", "β-myrcene");
-  const humulene = get("alpha-humulene", "humulene");
-  const bisabolol = get("alpha-bisabolol", "bisabolol");
-  const terpinolene = get("terpinolene");
-  const pinene = get("alpha-pinene", "beta-pinene", "pinene");
-  const ocimene = get("ocimene", "ocimenes");
-
   // Scale terp effect strength by total terpenes (softly)
-  const terpStrength = clamp01(num(totalTerpenesPct, 0) / 10); // 0..1-ish, 10% terps -> 1
-
-  // beta-caryophyllene: pain relief + body calm
-  if (caryo > 0) {
-    out.pain = clamp01(out.pain + 0.10 * terpStrength + 0.06 * clamp01(caryo / 3));
-    out.sedation = clamp01(out.sedation + 0.04 * terpStrength);
-    out.couch = clamp01(out.couch + 0.03 * terpStrength);
-  }
-
-  // linalool: sedation + sleep support
-  if (linalool > 0) {
-    out.sedation = clamp01(out.sedation + 0.10 * terpStrength + 0.06 * clamp01(linalool / 1.5));
-    out.clarity = clamp01(out.clarity - 0.03 * terpStrength);
-    out.couch = clamp01(out.couch + 0.04 * terpStrength);
-  }
-
-  // limonene: uplift + clarity
-  if (limonene > 0) {
-    out.head = clamp01(out.head + 0.08 * terpStrength + 0.05 * clamp01(limonene / 1.2));
-    out.clarity = clamp01(out.clarity + 0.07 * terpStrength);
-    out.sedation = clamp01(out.sedation - 0.03 * terpStrength);
-  }
-
-  // myrcene: body heaviness / sedation; special couch-lock rule handled outside
-  if (myrcene > 0) {
-    out.sedation = clamp01(out.sedation + 0.08 * terpStrength + 0.04 * clamp01(myrcene / 1.5));
-    out.couch = clamp01(out.couch + 0.10 * terpStrength + 0.05 * clamp01(myrcene / 1.5));
-    out.clarity = clamp01(out.clarity - 0.05 * terpStrength);
-  }
-
-  // humulene: supporting body relief
-  if (humulene > 0) {
-    out.pain = clamp01(out.pain + 0.05 * terpStrength);
-    out.sedation = clamp01(out.sedation + 0.02 * terpStrength);
-  }
-
-  // bisabolol: calm + body relief
-  if (bisabolol > 0) {
-    out.pain = clamp01(out.pain + 0.04 * terpStrength);
-    out.sedation = clamp01(out.sedation + 0.03 * terpStrength);
-  }
-
-  // terpinolene: often more “heady”
-  if (terpinolene > 0) {
-    out.head = clamp01(out.head + 0.07 * terpStrength);
-    out.clarity = clamp01(out.clarity - 0.03 * terpStrength);
-  }
-
-  // pinene: clarity/focus leaning
-  if (pinene > 0) {
-    out.clarity = clamp01(out.clarity + 0.07 * terpStrength);
-    out.sedation = clamp01(out.sedation - 0.03 * terpStrength);
-  }
-
-  // ocimene: lightly uplifting
-  if (ocimene > 0) {
-    out.head = clamp01(out.head + 0.03 * terpStrength);
+  const terpStrength = clamp01(num(totalTerpenesPct, 0) / num(config.terpStrengthFullPct, TERP_STRENGTH_FULL_PCT)); // 0..1-ish
+
+  for (const [parent, mod] of Object.entries(config.terpModifiers || {})) {
+    const pct = terpMap.get(parent) || 0;
+    if (!(pct > 0)) continue;
+    const saturation = clamp01(pct / num(mod.saturationPct, 1));
+    for (const [dim, e] of Object.entries(mod.effects || {})) {
+      if (!(dim in out)) continue;
+      const next = clamp01(out[dim] + num(e.strength, 0) * terpStrength + num(e.amount, 0) * saturation);
+      onEffect(parent, dim, next - out[dim]);
+      out[dim] = next;
+    }
   }
 
   return out;
 }
 
-function formDirectVector(formKey) {
+function formDirectVector(f) {
   // Direct effect contribution (the 10% "Form" weight).
   // Keeps it conservative—multipliers do the heavy lifting.
-  const f = FORM_MODIFIERS[formKey] || FORM_MODIFIERS.flower;
 
   // Topical: no high
   if (f.intensityMod === 0) {
-    return { head: 0, clarity: 0, sedation: 0, couch: 0, pain: 0 };
+    return { head: 0, clarity: 0, sedation: 0, couch: 0, pain: 0, appetite: 0 };
   }
 
   // Higher intensity tends to increase sedation/couch and reduce clarity.
@@ -287,6 +574,7 @@ function formDirectVector(formKey) {
     sedation: clamp01(0.10 + 0.25 * intensityLift),
     couch: clamp01(0.06 + 0.20 * intensityLift),
     pain: clamp01(0.08 + 0.18 * intensityLift),
+    appetite: clamp01(0.08 + 0.12 * intensityLift),
   };
 }
 
@@ -297,63 +585,184 @@ function mixWeighted(a, b, wA, wB) {
     sedation: clamp01(a.sedation * wA + b.sedation * wB),
     couch: clamp01(a.couch * wA + b.couch * wB),
     pain: clamp01(a.pain * wA + b.pain * wB),
+    appetite: clamp01(a.appetite * wA + b.appetite * wB),
   };
 }
 
-export function calculateBaseline(input) {
+// Intensity multiplier on “felt” effects (topical = 0: nothing)
+function scaleByIntensity(v, intensity) {
+  if (intensity === 0) return { head: 0, clarity: 0, sedation: 0, couch: 0, pain: 0, appetite: 0 };
+  return {
+    head: clamp01(v.head * (0.85 + 0.25 * intensity)),
+    clarity: clamp01(v.clarity * (1.0 - 0.12 * (intensity - 1))),
+    sedation: clamp01(v.sedation * (0.85 + 0.30 * intensity)),
+    couch: clamp01(v.couch * (0.85 + 0.30 * intensity)),
+    pain: clamp01(v.pain * (0.90 + 0.20 * intensity)),
+    appetite: clamp01(v.appetite * (0.85 + 0.25 * intensity)),
+  };
+}
+
+/**
+* The minor-cannabinoid modifiers a product triggers:
+* [{ key, label, pct, ratio, strength, effects, text }], ratio only for ratio-based ones.
+*/
+export function minorCannabinoidModifiers(input, thcPct, modifiers = MINOR_CANNABINOID_MODIFIERS) {
+  const printedTotals = { cbd: input?.totalCBD, cbg: input?.totalCBG };
+  const out = [];
+  for (const [key, mod] of Object.entries(modifiers || {})) {
+    let pct = neutralEquivalentPct(input?.cannabinoids, key);
+    if (!(pct > 0)) pct = num(printedTotals[key], 0);
+    if (!(pct > 0)) continue;
+
+    const label = mod.label || key.toUpperCase();
+    const byRatio = mod.basis === "ratio";
+    const ratio = byRatio ? (thcPct > 0 ? pct / thcPct : Infinity) : null;
+    const strength = clamp01((byRatio ? ratio : pct) / num(mod.fullAt, 1));
+    if (!(strength > 0)) continue;
+
+    const text = byRatio
+      ? `${label} ${pctLabel(pct)} (${Number.isFinite(ratio) ? `${Math.round(ratio * 100) / 100}:1` : "no"} THC)`
+      : `${label} ${pctLabel(pct)}`;
+    out.push({ key, label, pct, ratio, strength, effects: mod.effects || {}, text });
+  }
+  return out;
+}
+
+const EFFECT_DIMS = ["head", "clarity", "sedation", "couch", "pain", "appetite"];
+const TRACE_DIMS = [...EFFECT_DIMS, "anxietyRisk"];
+
+/**
+* Step-by-step record of how each dimension got its value.
+* steps[dim] = [{ kind: "potency"|"terpene"|"form"|"intensity"|"rule", label, delta, value }]
+* where value is the running total after the step. Moves smaller than 1e-9 are dropped, except
+* rules: a rule that fired but was capped at 0/1 still shows, with a zero delta.
+*/
+function createTrace() {
+  const steps = Object.fromEntries(TRACE_DIMS.map((d) => [d, []]));
+  const at = Object.fromEntries(TRACE_DIMS.map((d) => [d, 0]));
+  const to = (dim, kind, label, value) => {
+    const delta = value - at[dim];
+    if (Math.abs(delta) < 1e-9 && kind !== "rule") return;
+    steps[dim].push({ kind, label, delta, value });
+    at[dim] = value;
+  };
+  return { steps, to, add: (dim, kind, label, delta) => to(dim, kind, label, at[dim] + delta) };
+}
+
+export function calculateBaseline(input, config = DEFAULT_MODEL_CONFIG) {
   const totalTHC = num(input?.totalTHC, 0);
   const totalTerpenes = num(input?.totalTerpenes, 0);
   const formKey = normalizeFormType(input?.form);
   const terps = Array.isArray(input?.terpenes) ? input.terpenes : [];
-
-  const thcBand = getTHCBand(totalTHC);
-  const form = FORM_MODIFIERS[formKey] || FORM_MODIFIERS.flower;
+  const doseMg = num(input?.doseMg, 0);
+  const thc = effectiveTHC(totalTHC, input?.cannabinoids, config.isomerPotency);
+  const forms = config.formModifiers || FORM_MODIFIERS;
+
+  // A 10 mg gummy is ~0.3% THC: for dosed forms the mg dose sets potency, not the percent
+  const dosed = doseMg > 0 && DOSED_FORMS.has(formKey);
+  const thcBand = dosed ? getDoseBand(doseMg, config.doseBands) : getTHCBand(thc.pct, config.thcBands);
+  const response = potencyResponse({ thcPct: thc.pct, formKey, doseMg: dosed ? doseMg : null }, config);
+  const form = forms[formKey] || forms.flower || FORM_MODIFIERS.flower;
+  const terpWeight = num(config.weights?.terp, TERP_WEIGHT);
+  const formWeight = num(config.weights?.form, FORM_WEIGHT);
+
+  const trace = createTrace();
+  const bandLabel = dosed
+    ? `${doseMg} mg dose (${thcBand.label.toLowerCase()})`
+    : `THC ${pctLabel(thc.pct)}${thc.isomers.length ? " Δ9-eq" : ""} (${thcBand.label.toLowerCase()})`;
 
   // THC base vector + terp modifiers
-  const thcVec = thcBaseVector(thcBand.potency);
-  const terpMap = buildTerpMap(terps);
-  const terpVec = applyTerpModifiers(thcVec, terpMap, totalTerpenes);
+  const thcVec = thcBaseVector(response.potency);
+  for (const dim of EFFECT_DIMS) trace.to(dim, "potency", bandLabel, thcVec[dim]);
+  // Terpene % by parent group (terpeneDictionary.js): the model treats α-/β-pinene, the
+  // ocimene isomers etc. as one family, so isomers are summed here, not on the product
+  const terpMap = rollUpTerpenes(terps);
+  const terpEffects = [];
+  const terpVec = applyTerpModifiers(thcVec, terpMap, totalTerpenes, config, (parent, dim, delta) =>
+    terpEffects.push({ parent, dim, delta })
+  );
 
   // Blend THC + terps (THC primary; terps are modifiers)
-  const thcTerpBlend = mixWeighted(thcVec, terpVec, 1 - TERP_WEIGHT, TERP_WEIGHT);
+  const thcTerpBlend = mixWeighted(thcVec, terpVec, 1 - terpWeight, terpWeight);
+  // The blend is linear, so each terpene moves a dimension by terpWeight × its own change
+  for (const { parent, dim, delta } of terpEffects) {
+    trace.add(dim, "terpene", `${parent} ${pctLabel(terpMap.get(parent))}`, terpWeight * delta);
+  }
 
   // Form direct vector (10% weight)
-  const formVec = formDirectVector(formKey);
-  const baselineVec = mixWeighted(thcTerpBlend, formVec, 1 - FORM_WEIGHT, FORM_WEIGHT);
+  const formVec = formDirectVector(form);
+  const baselineVec = mixWeighted(thcTerpBlend, formVec, 1 - formWeight, formWeight);
+  for (const dim of EFFECT_DIMS) {
+    trace.to(dim, "form", `${form.key.replace(/_/g, " ")} form (${Math.round(formWeight * 100)}% weight)`, baselineVec[dim]);
+  }
 
   // Apply intensity multiplier to “felt” effects (but keep topical at 0)
-  const intensity = num(form.intensityMod, 1);
-  const scaled =
-    intensity === 0
-      ? { head: 0, clarity: 0, sedation: 0, couch: 0, pain: 0 }
-      : {
-          head: clamp01(baselineVec.head * (0.85 + 0.25 * intensity)),
-          clarity: clamp01(baselineVec.clarity * (1.0 - 0.12 * (intensity - 1))),
-          sedation: clamp01(baselineVec.sedation * (0.85 + 0.30 * intensity)),
-          couch: clamp01(baselineVec.couch * (0.85 + 0.30 * intensity)),
-          pain: clamp01(baselineVec.pain * (0.90 + 0.20 * intensity)),
-        };
-
-  // Anxiety risk: THC band baseline + form add + terp rules + retention rule
-  let anxietyRisk = clamp01(thcBand.anxietyRisk + num(form.anxietyRiskAdd, 0));
-
-  const limonenePct = num(terpMap.get("limonene") || terpMap.get("d-limonene") || 0, 0);
-  const terpinolenePct = num(terpMap.get("terpinolene") || 0, 0);
-  const myrcenePct = num(terpMap.get("myrcene") || terpMap.get("beta-myrcene") || 0, 0);
-
-  // Limonene > 0.3% reduces anxiety risk
-  if (limonenePct > 0.3) anxietyRisk = clamp01(anxietyRisk - 0.08);
-
-  // Terpinolene > 0.3% increases anxiety risk
-  if (terpinolenePct > 0.3) anxietyRisk = clamp01(anxietyRisk + 0.08);
+  const intensity = dosed ? 1 : num(form.intensityMod, 1);
+  let scaled = scaleByIntensity(baselineVec, intensity);
+  const intensityLabel = intensity === 0 ? "No psychoactive effect (topical)" : `Form intensity ×${intensity}`;
+  for (const dim of EFFECT_DIMS) trace.to(dim, "intensity", intensityLabel, scaled[dim]);
+
+  // Minor cannabinoids: CBD dampens intensity, then each one nudges its dimensions
+  const cannabinoidMods = intensity === 0 ? [] : minorCannabinoidModifiers(input, thc.pct, config.minorCannabinoids);
+  let feltIntensity = intensity;
+  for (const m of cannabinoidMods) {
+    const change = num(m.effects.intensity, 0) * m.strength;
+    if (!change) continue;
+    feltIntensity = Math.max(0, feltIntensity * (1 + change));
+    scaled = scaleByIntensity(baselineVec, feltIntensity);
+    const label = `${m.text}: intensity ×${Math.round((1 + change) * 100) / 100}`;
+    for (const dim of EFFECT_DIMS) trace.to(dim, "cannabinoid", label, scaled[dim]);
+  }
+  for (const m of cannabinoidMods) {
+    for (const dim of EFFECT_DIMS) {
+      const add = num(m.effects[dim], 0) * m.strength;
+      if (!add) continue;
+      scaled = { ...scaled, [dim]: clamp01(scaled[dim] + add) };
+      trace.to(dim, "cannabinoid", m.text, scaled[dim]);
+    }
+  }
+
+  // Anxiety risk: THC curve baseline + form add + terp rules + retention rule
+  trace.to("anxietyRisk", "potency", bandLabel, response.anxietyRisk);
+  let anxietyRisk = clamp01(response.anxietyRisk + (dosed ? 0 : num(form.anxietyRiskAdd, 0)));
+  trace.to("anxietyRisk", "form", `${form.key.replace(/_/g, " ")} form`, anxietyRisk);
+
+  // Terpene rules: limonene > 0.3% lowers it, terpinolene > 0.3% raises it (defaults)
+  const rules = config.anxietyRules || ANXIETY_RULES;
+  for (const rule of rules.terpenes || []) {
+    if (num(terpMap.get(rule.terpene), 0) > num(rule.abovePct, Infinity)) {
+      anxietyRisk = clamp01(anxietyRisk + num(rule.add, 0));
+      trace.to("anxietyRisk", "rule", `${rule.terpene} > ${rule.abovePct}%`, anxietyRisk);
+    }
+  }
+
+  // CBD by ratio (and any other cannabinoid given an anxietyRisk effect)
+  for (const m of cannabinoidMods) {
+    const add = num(m.effects.anxietyRisk, 0) * m.strength;
+    if (!add) continue;
+    anxietyRisk = clamp01(anxietyRisk + add);
+    trace.to("anxietyRisk", "cannabinoid", m.text, anxietyRisk);
+  }
 
   // Low terpene retention (<50%) increases anxiety risk
   const retention = num(form.terpeneRetention, 0.9);
-  if (retention < 0.5) anxietyRisk = clamp01(anxietyRisk * 1.15);
+  if (rules.lowRetention && retention < num(rules.lowRetention.below, 0)) {
+    anxietyRisk = clamp01(anxietyRisk * num(rules.lowRetention.multiplier, 1));
+    trace.to(
+      "anxietyRisk",
+      "rule",
+      `Low terpene retention (${Math.round(retention * 100)}%) ×${rules.lowRetention.multiplier}`,
+      anxietyRisk
+    );
+  }
 
   // Myrcene > 0.5% couch-lock boost (effect, not risk)
   let couch = scaled.couch;
-  if (myrcenePct > 0.5) couch = clamp01(couch + 0.12);
+  const couchLock = config.couchLockRule;
+  if (couchLock && num(terpMap.get(couchLock.terpene), 0) > num(couchLock.abovePct, Infinity)) {
+    couch = clamp01(couch + num(couchLock.add, 0));
+    trace.to("couch", "rule", `${couchLock.terpene} > ${couchLock.abovePct}% couch-lock`, couch);
+  }
 
   // Duration / onset metadata
   const durationHours = num(form.baseDurationHours, 2) * num(form.durationMod, 1);
@@ -365,29 +774,61 @@ export function calculateBaseline(input) {
     sedation: scaled.sedation,
     couch,
     pain: scaled.pain,
+    appetite: scaled.appetite,
     anxietyRisk,
+    trace: trace.steps,
     _meta: {
       thcPct: totalTHC,
+      // Total THC + isomers × ISOMER_POTENCY, what the curve was read at
+      thcEffectivePct: thc.pct,
+      isomers: thc.isomers,
+      // display label only; the curve sets potency
       thcBand: thcBand.label,
+      potency: response.potency,
+      doseMg: dosed ? doseMg : null,
+      potencySource: dosed ? "dose" : "thc_pct",
       form: form.key,
       intensityMod: intensity,
+      // after minor cannabinoids (CBD dampening)
+      feltIntensity,
+      cannabinoidModifiers: cannabinoidMods.map(({ key, pct, ratio, strength }) => ({ key, pct, ratio, strength })),
       durationHours,
       onsetMinutes,
       terpeneRetention: retention,
       totalTerpenesPct: totalTerpenes,
+      modelConfig: { id: config.id ?? null, name: config.name ?? null, version: config.version ?? null, engineVersion: ENGINE_VERSION },
     },
   };
 }
 
 // Convenience default export
 const baselineEngine = {
-  THC_WEIGHT,
   TERP_WEIGHT,
   FORM_WEIGHT,
   THC_BANDS,
+  DOSE_BANDS,
+  POTENCY_CURVES,
+  DOSE_CURVE,
+  ISOMER_POTENCY,
   FORM_MODIFIERS,
+  FORM_OPTIONS,
+  FORM_LABELS,
+  DOSED_FORMS,
+  TERP_MODIFIERS,
+  MINOR_CANNABINOID_MODIFIERS,
+  ANXIETY_RULES,
+  COUCH_LOCK_RULE,
+  ENGINE_VERSION,
+  DEFAULT_MODEL_CONFIG,
   normalizeFormType,
+  productFormType,
+  isDosedForm,
   getTHCBand,
+  getDoseBand,
+  hillCurve,
+  potencyResponse,
+  effectiveTHC,
+  minorCannabinoidModifiers,
   calculateBaseline,
 };
 
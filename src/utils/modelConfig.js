@@ -0,0 +1,122 @@
+// src/utils/modelConfig.js
+
+/**
+* Saved, versioned model configurations for the baseline engine
+* - resolveModelConfig(): a saved (JSON-roundtripped, possibly older) config -> complete config
+* - saveModelConfigVersion(): an edited draft -> the next version under its name
+* - modelConfigRef() / formatModelConfigRef(): { id, name, version, engineVersion } recorded with predictions
+* - setConfigValue(): immutable path update for the settings editor
+* - isOutdatedConfig(): saved for another engine (or before configs recorded it)
+*
+* Configs are immutable once saved: editing and saving makes a new version (same name,
+* version + 1), so a prediction's recorded version always points at the numbers that made it.
+* The built-in DEFAULT_MODEL_CONFIG (id "default") is version ENGINE_VERSION of "Default" and
+* can't be deleted. Saving records the engine a config was made for (engineVersion). Once the
+* engine's math changes, a saved config keeps scoring with its numbers, and the settings
+* editor flags it until it's checked and saved again for the current engine.
+*/
+
+import { DEFAULT_MODEL_CONFIG, ENGINE_VERSION } from "./mmetBaselineFormulas";
+
+export { DEFAULT_MODEL_CONFIG, ENGINE_VERSION };
+
+export const DEFAULT_MODEL_CONFIG_ID = DEFAULT_MODEL_CONFIG.id;
+
+const isPlainObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+// Objects merge key by key; arrays (bands, rules) and scalars replace
+function mergeDeep(base, over) {
+  if (!isPlainObject(base) || !isPlainObject(over)) return over === undefined ? base : over;
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) out[k] = mergeDeep(base[k], v);
+  return out;
+}
+
+// JSON turns the open-ended top band's Infinity into null. Bands saved on older engines may
+// also carry potency / anxietyRisk, which nothing reads any more.
+const openEnded = (bands, fallback) =>
+  (Array.isArray(bands) && bands.length ? bands : fallback).map(({ key, label, min, max }, i, all) => ({
+    key,
+    label,
+    min,
+    max: i === all.length - 1 && (max == null || !Number.isFinite(Number(max))) ? Infinity : max,
+  }));
+
+/**
+* A saved config made for another engine than this one, or saved before configs recorded their
+* engine. It is still used; the settings editor warns and offers to save it for this engine.
+*/
+export function isOutdatedConfig(config) {
+  return !!config && config.id !== DEFAULT_MODEL_CONFIG.id && Number(config.engineVersion) !== ENGINE_VERSION;
+}
+
+/** A complete config: the saved fields over the defaults (new engine settings get defaults). */
+export function resolveModelConfig(config) {
+  if (!config) return DEFAULT_MODEL_CONFIG;
+  const merged = mergeDeep(DEFAULT_MODEL_CONFIG, config);
+  return {
+    ...merged,
+    thcBands: openEnded(merged.thcBands, DEFAULT_MODEL_CONFIG.thcBands),
+    doseBands: openEnded(merged.doseBands, DEFAULT_MODEL_CONFIG.doseBands),
+  };
+}
+
+/**
+* The config predictions use: the saved one by id (an outdated one with defaults for the settings
+* it predates), or the default when no saved config has that id.
+*/
+export function findModelConfig(configs, id) {
+  if (!id || id === DEFAULT_MODEL_CONFIG_ID) return DEFAULT_MODEL_CONFIG;
+  return resolveModelConfig((configs || []).find((c) => c.id === id));
+}
+
+/** What a prediction records about the config that produced it. */
+export function modelConfigRef(config) {
+  const c = config || DEFAULT_MODEL_CONFIG;
+  return { id: c.id ?? null, name: c.name ?? null, version: c.version ?? null, engineVersion: c.engineVersion ?? null };
+}
+
+/** "Clinic anxiety tweaks v3" */
+export function formatModelConfigRef(ref) {
+  if (!ref) return "";
+  return `${ref.name || "Unnamed"}${ref.version != null ? ` v${ref.version}` : ""}`;
+}
+
+const nameKey = (name) => String(name || "").trim().toLowerCase();
+
+/** Highest version saved under `name` (the built-in counts as its own version of "Default"), or 0. */
+export function latestVersion(configs, name) {
+  const key = nameKey(name);
+  const versions = [DEFAULT_MODEL_CONFIG, ...(configs || [])]
+    .filter((c) => nameKey(c.name) === key)
+    .map((c) => Number(c.version) || 0);
+  return versions.length ? Math.max(...versions) : 0;
+}
+
+/**
+* `draft` saved as the next version of its name: fresh id, version = latest + 1.
+* `id` is supplied by the caller (store uuid).
+*/
+export function saveModelConfigVersion(draft, configs, { id, savedAt = new Date().toISOString() } = {}) {
+  const name = String(draft?.name || "").trim() || "Untitled";
+  const source = draft?.id ? [DEFAULT_MODEL_CONFIG, ...(configs || [])].find((c) => c.id === draft.id) : null;
+  return {
+    ...resolveModelConfig(draft),
+    id,
+    name,
+    version: latestVersion(configs, name) + 1,
+    engineVersion: ENGINE_VERSION,
+    savedAt,
+    basedOn: source ? modelConfigRef(source) : null,
+  };
+}
+
+/** Copy of `config` with the value at `path` (["formModifiers", "edible", "intensityMod"]) replaced. */
+export function setConfigValue(config, path, value) {
+  if (!path.length) return value;
+  const [head, ...rest] = path;
+  const base = config ?? (typeof head === "number" ? [] : {});
+  const next = Array.isArray(base) ? [...base] : { ...base };
+  next[head] = setConfigValue(base[head], rest, value);
+  return next;
+}
@@ -0,0 +1,116 @@
+// src/utils/ocr.js
+// Offline OCR for scanned COA pages and photos (tesseract.js).
+//
+// Everything is served from our own origin: the tesseract worker and wasm core are
+// bundled as assets, and the English traineddata is emitted to /tessdata by the
+// "mmet-tessdata" plugin in vite.config.js. Nothing is fetched from a CDN.
+//
+// OCR output is fed back through pdfLayout as pseudo pdf.js text items, so scanned
+// tables get the same column/row reconstruction as real text layers.
+
+import { createWorker } from "tesseract.js";
+import tessWorkerUrl from "tesseract.js/dist/worker.min.js?url";
+import tessCoreUrl from "tesseract.js-core/tesseract-core-lstm.wasm.js?url";
+
+// Word confidence below this (0..100) is dropped as noise
+const MIN_WORD_CONFIDENCE = 30;
+
+// Render scale for scanned PDF pages (pdf units -> pixels); ~150 dpi
+const PDF_RENDER_SCALE = 2;
+
+let workerPromise = null;
+
+function absoluteUrl(path) {
+  return new URL(path, globalThis.location?.href || "http://localhost/").href;
+}
+
+function getOcrWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker("eng", 1, {
+      workerPath: absoluteUrl(tessWorkerUrl),
+      corePath: absoluteUrl(tessCoreUrl),
+      langPath: absoluteUrl(`${import.meta.env.BASE_URL}tessdata`),
+      workerBlobURL: false,
+      gzip: true,
+    }).catch((e) => {
+      workerPromise = null;
+      throw e;
+    });
+  }
+  return workerPromise;
+}
+
+export async function terminateOcr() {
+  if (!workerPromise) return;
+  const w = await workerPromise.catch(() => null);
+  workerPromise = null;
+  if (w) await w.terminate();
+}
+
+export function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+  const c = document.createElement("canvas");
+  c.width = width;
+  c.height = height;
+  return c;
+}
+
+function flattenWords(blocks) {
+  const words = [];
+  for (const b of blocks || []) {
+    for (const p of b.paragraphs || []) {
+      for (const l of p.lines || []) {
+        for (const w of l.words || []) words.push(w);
+      }
+    }
+  }
+  return words;
+}
+
+/**
+ * OCR an image source (canvas, ImageBitmap, Blob/File).
+ * Returns { text, confidence (0..1), items } where items are pdf.js-shaped text items in
+ * bottom-left page coordinates (`scale` converts pixels back to page units).
+ */
+export async function ocrImage(image, { scale = 1, height = 0 } = {}) {
+  const worker = await getOcrWorker();
+  const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+
+  const words = flattenWords(data?.blocks).filter((w) => Number(w.confidence) >= MIN_WORD_CONFIDENCE);
+  const pxHeight = height || Math.max(0, ...words.map((w) => w.bbox?.y1 || 0));
+
+  const items = words.map((w) => {
+    const { x0, y0, x1, y1 } = w.bbox;
+    const h = (y1 - y0) / scale;
+    return {
+      str: w.text,
+      transform: [h, 0, 0, h, x0 / scale, (pxHeight - y1) / scale],
+      width: (x1 - x0) / scale,
+      height: h,
+    };
+  });
+
+  return {
+    text: String(data?.text || ""),
+    confidence: Math.max(0, Math.min(1, Number(data?.confidence || 0) / 100)),
+    items,
+  };
+}
+
+/** Render a pdf.js page to a canvas and OCR it. */
+export async function ocrPdfPage(page) {
+  const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+  const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const ctx = canvas.getContext("2d");
+
+  await page.render({ canvasContext: ctx, viewport }).promise;
+  return ocrImage(canvas, { scale: PDF_RENDER_SCALE, height: canvas.height });
+}
+
+/** OCR a PNG/JPG photo of a COA. Page units are pixels. */
+export async function ocrImageFile(file) {
+  const bitmap = typeof createImageBitmap === "function" ? await createImageBitmap(file) : null;
+  const res = await ocrImage(file, { height: bitmap?.height || 0 });
+  bitmap?.close?.();
+  return { ...res, width: bitmap?.width || 0 };
+}
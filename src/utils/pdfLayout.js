@@ -0,0 +1,377 @@
+// src/utils/pdfLayout.js
+// Layout pass over pdf.js text items: column gutters, reading order and analyte tables.
+//
+// pdf.js gives us positioned glyph runs. Grouping them only by Y merges side-by-side
+// columns into one line ("beta-Myrcene 0.81 THCa 25.3"), so we:
+//   1. split runs into word tokens with estimated x extents
+//   2. find column boundaries (side-by-side table headers, then whitespace gutters)
+//   3. rebuild lines per column, top->bottom, left->right
+//   4. recognise table headers (Analyte / LOD / LOQ / Result / mg/g / %) and turn the
+//      lines below them into row objects with named cells
+//
+// Row shape:
+// {
+//   page: number, column: number, line: number,   // line = index into the page's emitted lines
+//   section: string | null,                       // nearest heading above the table ("terpenes", "potency", ...)
+//   table: string,                                // analyte column header ("analyte", "terpene", ...)
+//   analyte: string,
+//   cells: { lod?, loq?, result?, pct?, mgg?, limit?, status? },  // raw cell strings
+//   units: { result?: "%" | "mg/g" | ... },       // unit printed in the header, if any
+//   text: string,                                 // the whole row as flat text
+// }
+
+import { parseAnalyteValue, parseUnit, VALUE_STATES } from "./units";
+
+const Y_TOL = 2.5;
+const MIN_GUTTER = 14;
+
+// "n.n." / "<LC" / "<BG": German, Spanish and French spellings of ND / <LOQ (coaLocale.js)
+const VALUE_TOKEN = /^(?:[<>≤≥]?\s?\d[\d.,]*%?|ND|N\/D|n\.n\.|NR|NT|<\s?LOQ|<\s?LOD|<\s?(?:LC|LQ|BG|LD|NG)|BLQ|PASS|FAIL|TESTED)$/i;
+
+// English, Spanish, German and French analyte column headers
+const ANALYTE_HEADER =
+  /^(analyte|analytes|compound|compounds|cannabinoid|cannabinoids|terpene|terpenes|name|test|analito|analitos|compuesto|analyt|analyten|parameter|parámetro|paramètre|composé|cannabinoides|cannabinoide|terpenos|terpènes)$/i;
+
+const RESULT_HEADER = /^(result|results|amount|conc|concentration|resultado|resultados|ergebnis|ergebnisse|gehalt|résultat|résultats|teneur)$/i;
+
+function classifyHeaderToken(str) {
+  const s = String(str || "").trim().toLowerCase().replace(/[()[\]]/g, "");
+  if (!s) return null;
+  if (ANALYTE_HEADER.test(s)) return "analyte";
+  // LD / NG: limit of detection; LC / LQ / BG: limit of quantification (es / fr / de)
+  if (s === "lod" || s === "ld" || s === "ng") return "lod";
+  if (s === "loq" || s === "lc" || s === "lq" || s === "bg") return "loq";
+  if (RESULT_HEADER.test(s)) return "result";
+  if (s === "mg/g") return "mgg";
+  if (s === "%" || s === "percent" || s === "wt%") return "pct";
+  if (s === "limit" || s === "limits" || s === "action" || s === "level") return "limit";
+  if (s === "status" || s === "pass/fail") return "status";
+  if (s === "ppm" || s === "ppb" || s === "µg/g" || s === "ug/g" || s === "cfu/g" || s === "mg/unit" || s === "mg") return "unit";
+  return null;
+}
+
+/**
+ * pdf.js textContent items -> word tokens { str, x, x1, y, h }.
+ * Multi-word runs are split with x positions interpolated from the run width.
+ */
+export function toLayoutTokens(items) {
+  const out = [];
+  for (const it of items || []) {
+    const raw = it && typeof it.str === "string" ? it.str : "";
+    if (!raw.trim()) continue;
+
+    const t = it.transform || [];
+    const x = Number(t[4] ?? 0);
+    const y = Number(t[5] ?? 0);
+    const w = Number(it.width) > 0 ? Number(it.width) : raw.length * 5;
+    const h = Number(it.height) > 0 ? Number(it.height) : Math.abs(Number(t[3] ?? 10)) || 10;
+    const charW = w / Math.max(1, raw.length);
+
+    for (const m of raw.matchAll(/\S+/g)) {
+      const x0 = x + m.index * charW;
+      out.push({ str: m[0], x: x0, x1: x0 + m[0].length * charW, y, h });
+    }
+  }
+  return out;
+}
+
+/** Group tokens into lines by Y (top->bottom), tokens sorted by X. */
+export function groupLines(tokens, yTol = Y_TOL) {
+  const sorted = [...tokens].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+  let cur = null;
+
+  for (const tk of sorted) {
+    if (cur && Math.abs(tk.y - cur.y) <= yTol) {
+      cur.tokens.push(tk);
+    } else {
+      cur = { y: tk.y, tokens: [tk] };
+      lines.push(cur);
+    }
+  }
+
+  for (const l of lines) {
+    l.tokens.sort((a, b) => a.x - b.x);
+    l.text = l.tokens.map((t) => t.str).join(" ");
+  }
+  return lines;
+}
+
+// Header line -> groups of header cells, one group per side-by-side table.
+function headerGroups(line) {
+  // "Total Terpenes 2.34 % 23.4 mg/g" names units too, but a header carries no values
+  if (line.tokens.some((t) => VALUE_TOKEN.test(t.str))) return [];
+
+  const groups = [];
+  let cur = null;
+
+  for (let i = 0; i < line.tokens.length; i++) {
+    const tk = line.tokens[i];
+    const kind = classifyHeaderToken(tk.str);
+    if (!kind) continue;
+
+    if (kind === "analyte") {
+      cur = { x: tk.x, label: tk.str.toLowerCase(), cells: [] };
+      groups.push(cur);
+      continue;
+    }
+    if (!cur) continue;
+
+    // "Result (%)" / "Result mg/g" / "LOQ (ppm)": a unit right after a header names that column's unit
+    const prev = cur.cells[cur.cells.length - 1];
+    const isUnit = kind === "pct" || kind === "mgg" || kind === "unit";
+    if (prev && isUnit && prev.key !== "pct" && prev.key !== "mgg" && !prev.unit && tk.x - prev.x1 < 20) {
+      if (prev.key === "result" && kind !== "unit") prev.key = kind;
+      else prev.unit = tk.str.replace(/[()[\]]/g, "");
+      prev.x1 = tk.x1;
+      continue;
+    }
+
+    cur.cells.push({ key: kind === "unit" ? "result" : kind, unit: kind === "unit" ? tk.str : null, x: tk.x, x1: tk.x1 });
+  }
+
+  return groups.filter((g) => g.cells.length >= 2);
+}
+
+// Does a region of the page read like running text (most fragments start with a letter)?
+function looksLikeTextColumn(lines, x0, x1) {
+  let frags = 0;
+  let alpha = 0;
+  for (const l of lines) {
+    const first = l.tokens.find((t) => t.x >= x0 && t.x < x1);
+    if (!first) continue;
+    frags++;
+    if (/^[A-Za-zα-ωΑ-ΩΔ]/.test(first.str)) alpha++;
+  }
+  return frags >= 3 && alpha / frags >= 0.4;
+}
+
+/**
+ * Column boundaries (x positions) for a page.
+ * Side-by-side table headers are authoritative; otherwise wide vertical whitespace
+ * gutters count only when both sides look like text, so gaps between table cells
+ * (analyte | numbers) never split a row.
+ */
+export function detectColumnBreaks(tokens, pageWidth) {
+  const lines = groupLines(tokens);
+  const breaks = new Set();
+
+  for (const l of lines) {
+    const groups = headerGroups(l);
+    for (let i = 1; i < groups.length; i++) breaks.add(Math.round(groups[i].x - 2));
+  }
+  if (breaks.size) return [...breaks].sort((a, b) => a - b);
+
+  const width = Number(pageWidth) > 0 ? Number(pageWidth) : Math.max(0, ...tokens.map((t) => t.x1));
+  if (!width || lines.length < 6) return [];
+
+  const bin = 2;
+  const bins = Math.ceil(width / bin) + 1;
+  const cover = new Array(bins).fill(0);
+  for (const l of lines) {
+    const hit = new Set();
+    for (const t of l.tokens) {
+      for (let b = Math.floor(t.x / bin); b <= Math.floor(t.x1 / bin) && b < bins; b++) hit.add(b);
+    }
+    for (const b of hit) cover[b]++;
+  }
+
+  // Allow a few full-width lines (titles, footers) to cross the gutter
+  const maxCover = Math.max(1, Math.floor(lines.length * 0.08));
+  const out = [];
+  let start = null;
+  for (let b = 0; b <= bins; b++) {
+    const empty = b < bins && cover[b] <= maxCover;
+    if (empty && start == null) start = b;
+    if (!empty && start != null) {
+      const x0 = start * bin;
+      const x1 = b * bin;
+      const mid = (x0 + x1) / 2;
+      if (x1 - x0 >= MIN_GUTTER && mid > width * 0.2 && mid < width * 0.8) {
+        const leftStart = out.length ? out[out.length - 1] : 0;
+        if (looksLikeTextColumn(lines, leftStart, mid) && looksLikeTextColumn(lines, mid, width + 1)) {
+          out.push(Math.round(mid));
+        }
+      }
+      start = null;
+    }
+  }
+  return out;
+}
+
+function columnOf(x, breaks) {
+  let c = 0;
+  while (c < breaks.length && x >= breaks[c]) c++;
+  return c;
+}
+
+function isHeading(text) {
+  const t = String(text || "").trim();
+  if (!t || t.length > 60) return false;
+  if (VALUE_TOKEN.test(t.split(/\s+/).pop())) return false;
+  return /^[A-Z][A-Z0-9 &/()\-]+$/.test(t) || /summary|profile|analysis|potency|terpenes|cannabinoids|pesticides?|heavy metals|microbial|mycotoxins?|solvents?/i.test(t) ||
+    // es / de / fr section titles ("Terpene", "Cannabinoides", "Métaux lourds", ...)
+    /^(?:terp[eè]n[eo]?s?|cannabino[iï]d[eo]?s?|potencia|potenz|puissance|pestizide|plaguicidas|metales pesados|schwermetalle|m[ée]taux lourds|micotoxinas|mykotoxine|solventes residuales|l[öo]sungsmittel)\b/i.test(t);
+}
+
+function rowFromLine(line, group) {
+  const tokens = line.tokens;
+  let i = 0;
+  const analyteParts = [];
+  while (i < tokens.length && !VALUE_TOKEN.test(tokens[i].str)) {
+    analyteParts.push(tokens[i].str);
+    i++;
+  }
+  const analyte = analyteParts.join(" ").trim();
+  if (!analyte || i >= tokens.length) return null;
+
+  // One value per header cell: take them in header order, so a Result cell is never filled
+  // from a LOD or LOQ value printed nearer to its header than its own
+  const values = tokens.slice(i);
+  const cells = {};
+  if (values.length === group.cells.length) {
+    values.forEach((tk, k) => (cells[group.cells[k].key] = tk.str));
+    return { analyte, cells };
+  }
+
+  for (const tk of values) {
+    const cx = (tk.x + tk.x1) / 2;
+    let best = null;
+    let bestD = Infinity;
+    for (const c of group.cells) {
+      const d = Math.abs(cx - (c.x + c.x1) / 2);
+      if (d < bestD) {
+        best = c;
+        bestD = d;
+      }
+    }
+    if (!best) continue;
+    cells[best.key] = cells[best.key] ? `${cells[best.key]} ${tk.str}` : tk.str;
+  }
+
+  return { analyte, cells };
+}
+
+/**
+ * Flat-text table header ("Analyte LOD LOQ Result % mg/g") -> its value columns as header
+ * cells ({ key, unit }), or null. Without x positions every header word is a column, except
+ * a bracketed unit ("Result (mg/g)"), which names the unit of the column before it.
+ */
+export function textTableColumns(text) {
+  const words = String(text || "").trim().split(/\s+/);
+  if (words.some((w) => VALUE_TOKEN.test(w))) return null;
+  const start = words.findIndex((w) => classifyHeaderToken(w) === "analyte");
+  if (start < 0) return null;
+
+  const cells = [];
+  for (const w of words.slice(start + 1)) {
+    const kind = classifyHeaderToken(w);
+    if (!kind) continue;
+    const prev = cells[cells.length - 1];
+    const isUnit = kind === "pct" || kind === "mgg" || kind === "unit";
+    if (prev && isUnit && /^[([]/.test(w) && prev.key !== "pct" && prev.key !== "mgg" && !prev.unit) {
+      if (prev.key === "result" && kind !== "unit") prev.key = kind;
+      else prev.unit = w.replace(/[()[\]]/g, "");
+      continue;
+    }
+    cells.push({ key: kind === "unit" ? "result" : kind, unit: kind === "unit" ? w : null });
+  }
+  return cells.length >= 2 ? cells : null;
+}
+
+/**
+ * A flat-text line under a textTableColumns() header -> { analyte, cells, units }, or null
+ * unless it holds exactly one value per column (the row shape rowMeasurement() reads).
+ */
+export function textTableRow(text, columns) {
+  const words = String(text || "").trim().split(/\s+/);
+  const first = words.findIndex((w) => VALUE_TOKEN.test(w));
+  if (first <= 0 || !columns || words.length - first !== columns.length) return null;
+
+  const cells = {};
+  const units = {};
+  columns.forEach((c, k) => {
+    cells[c.key] = words[first + k];
+    if (c.unit) units[c.key] = c.unit;
+  });
+  return { analyte: words.slice(0, first).join(" "), cells, units };
+}
+
+/**
+ * Lay out one page: returns { lines: string[], rows: Row[], columns: number }.
+ * `lines` are in reading order (column by column) and are what the flat text is built from.
+ */
+export function layoutPage(items, { pageWidth = 0, pageNumber = 1 } = {}) {
+  const tokens = toLayoutTokens(items);
+  const breaks = detectColumnBreaks(tokens, pageWidth);
+
+  const byColumn = Array.from({ length: breaks.length + 1 }, () => []);
+  for (const tk of tokens) byColumn[columnOf((tk.x + tk.x1) / 2, breaks)].push(tk);
+
+  const lines = [];
+  const rows = [];
+
+  byColumn.forEach((colTokens, column) => {
+    let section = null;
+    let group = null;
+    let misses = 0;
+
+    for (const l of groupLines(colTokens)) {
+      const lineNo = lines.length;
+      lines.push(l.text);
+
+      const groups = headerGroups(l);
+      if (groups.length) {
+        group = groups[0];
+        misses = 0;
+        continue;
+      }
+
+      if (!group) {
+        if (isHeading(l.text)) section = l.text.toLowerCase();
+        continue;
+      }
+
+      const row = rowFromLine(l, group);
+      if (!row) {
+        if (isHeading(l.text)) {
+          section = l.text.toLowerCase();
+          group = null;
+        } else if (++misses >= 3) {
+          group = null;
+        }
+        continue;
+      }
+
+      misses = 0;
+      const units = {};
+      for (const c of group.cells) if (c.unit) units[c.key] = c.unit;
+      rows.push({ page: pageNumber, column, line: lineNo, section, table: group.label, ...row, units, text: l.text });
+    }
+  });
+
+  return { lines, rows, columns: breaks.length + 1 };
+}
+
+/**
+ * Measurement (see units.js) for a row: the % cell, then mg/g, then a Result cell in the
+ * unit its header names. ND / <LOQ cells come back as explicit states.
+ */
+export function rowMeasurement(row, { unitWeightG = null } = {}) {
+  const cells = row?.cells || {};
+  const opts = { unitWeightG };
+  const resultUnit = parseUnit(row?.units?.result);
+
+  return (
+    parseAnalyteValue(cells.pct, { ...opts, unit: "%" }) ||
+    parseAnalyteValue(cells.mgg, { ...opts, unit: "mg/g" }) ||
+    // A Result column in cfu/g or similar isn't a mass fraction
+    (row?.units?.result && !resultUnit ? null : parseAnalyteValue(cells.result, { ...opts, unit: resultUnit }))
+  );
+}
+
+/** Percent value of a row; null for ND / <LOQ / unconvertible cells. */
+export function rowPercent(row) {
+  const m = rowMeasurement(row);
+  return m?.state === VALUE_STATES.DETECTED ? m.pct : null;
+}
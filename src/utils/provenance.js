@@ -0,0 +1,118 @@
+// src/utils/provenance.js
+
+/**
+* Per-field parse provenance for COA products.
+*
+* Every extracted field records how it was found:
+*   { strategy, confidence, page, line, text, fallback? , ocr?, conversion? }
+* - strategy: short id of the heuristic ("table_row", "same_line", "potency_summary_max", ...)
+* - confidence: 0..1
+* - page / line: 1-based location in the extracted COA text (null when unknown)
+* - text: the source line, for highlighting in the UI
+* - conversion: unit conversion applied to reach percent (see units.js)
+*
+* product.coa.provenance = { name, form, totalTHC, totalTerpenes, cannabinoids, terpenes }
+*/
+
+// Strategy -> confidence. Fallbacks (guesses) sit below LOW_CONFIDENCE.
+export const STRATEGY_CONFIDENCE = {
+  table_row: 0.95,
+  lab_adapter: 0.9,
+  labeled_field: 0.9,
+  same_line: 0.9,
+  unit_converted: 0.85,
+  computed_from_components: 0.75,
+  summary_block: 0.7,
+  cultivar_field: 0.7,
+  next_line: 0.55,
+  header_unit: 0.7,
+  bare_number: 0.55,
+  keyword_guess: 0.35,
+  loose_rows: 0.45,
+  potency_summary_max: 0.25,
+  default_value: 0.15,
+  filename: 0.15,
+  manual: 1,
+};
+
+export const LOW_CONFIDENCE = 0.5;
+
+// Fields whose low confidence earns a warning badge on the product card
+export const KEY_METRICS = ["totalTHC", "totalTerpenes"];
+
+// OCR'd values never rank above this, however clean the scan looked
+const OCR_CONFIDENCE_CAP = 0.6;
+
+/**
+* Find the 1-based page/line of a character offset in extracted COA text.
+* Pages are delimited by the "--- page N ---" markers extractPdfLayout writes.
+*/
+export function locateOffset(fullText, offset) {
+  const t = String(fullText || "");
+  if (!(offset >= 0) || offset > t.length) return { page: null, line: null, text: null };
+
+  const before = t.slice(0, offset);
+  const markerRe = /--- page (\d+) ---\n?/g;
+  let page = 1;
+  let pageStart = 0;
+  for (const m of before.matchAll(markerRe)) {
+    page = Number(m[1]);
+    pageStart = m.index + m[0].length;
+  }
+
+  const line = before.slice(pageStart).split("\n").length;
+  const lineStart = t.lastIndexOf("\n", offset - 1) + 1;
+  const lineEnd = t.indexOf("\n", offset);
+  const text = t.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim();
+
+  return { page, line, text };
+}
+
+/**
+* Build a field source record.
+* Location comes from a RegExp match on fullText (uses match.index), a layout row, or an explicit location.
+*/
+export function fieldSource(strategy, { fullText = "", match = null, row = null, location = null } = {}) {
+  let loc = { page: null, line: null, text: null };
+  if (row) loc = { page: row.page ?? null, line: row.line != null ? row.line + 1 : null, text: row.text ?? null };
+  else if (match && match.index != null) loc = locateOffset(fullText, match.index);
+  else if (location) loc = { page: null, line: null, text: null, ...location };
+
+  const confidence = STRATEGY_CONFIDENCE[strategy] ?? 0.5;
+  return {
+    strategy,
+    confidence,
+    ...loc,
+    ...(confidence < LOW_CONFIDENCE ? { fallback: true } : {}),
+  };
+}
+
+/** Pair a value with its source; the shape every provenance-aware extractor returns. */
+export function sourced(value, source) {
+  return { value, source: value == null ? null : source };
+}
+
+/** Lower every field's confidence by the OCR score when the text came from a scan. */
+export function applyOcrConfidence(provenance, ocr) {
+  if (!ocr?.pages?.length) return provenance;
+  const ocrPages = new Set(ocr.pages);
+  const scale = Number.isFinite(ocr.confidence) ? ocr.confidence : 0.5;
+
+  const out = {};
+  for (const [key, src] of Object.entries(provenance || {})) {
+    if (!src || (src.page != null && !ocrPages.has(src.page))) {
+      out[key] = src;
+      continue;
+    }
+    const confidence = Math.min(src.confidence * scale, OCR_CONFIDENCE_CAP);
+    out[key] = { ...src, confidence, ocr: true, ...(confidence < LOW_CONFIDENCE ? { fallback: true } : {}) };
+  }
+  return out;
+}
+
+/** Keys of fields whose source falls below LOW_CONFIDENCE. */
+export function lowConfidenceFields(provenance, keys = null) {
+  return Object.entries(provenance || {})
+    .filter(([key, src]) => (!keys || keys.includes(key)) && src && src.confidence < LOW_CONFIDENCE)
+    .map(([key]) => key);
+}
@@ -0,0 +1,94 @@
+// src/utils/qrCode.js
+// QR codes on product labels: decoded on-device with jsQR, no upload involved.
+//
+// - decodeQrFromImage(): photo File/Blob -> { data, location } | null
+// - coaLinkFromQr(): decoded text -> COA URL | null
+// - labelPhotoThumbnail(): small JPEG data URL kept on the product (persisted, so it stays small)
+
+import jsQR from "jsqr";
+import { normalizeCoaUrl } from "./coaUrl";
+
+// Phone photos are large; the code usually survives downscaling and jsQR is much faster on it.
+// Full resolution is the last resort for small or distant codes.
+const SCAN_MAX_SIDES = [1000, 1600, Infinity];
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+  const c = document.createElement("canvas");
+  c.width = width;
+  c.height = height;
+  return c;
+}
+
+function drawScaled(bitmap, maxSide) {
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  return { canvas, ctx, width, height, scale };
+}
+
+/**
+ * Find a QR code in a photo. Tries a few resolutions, light-on-dark codes included.
+ * `location` corners are in the original photo's pixels.
+ */
+export async function decodeQrFromImage(file) {
+  const bitmap = await createImageBitmap(file);
+  try {
+    for (const maxSide of SCAN_MAX_SIDES) {
+      const { ctx, width, height, scale } = drawScaled(bitmap, maxSide);
+      const { data } = ctx.getImageData(0, 0, width, height);
+      const hit = jsQR(data, width, height, { inversionAttempts: "attemptBoth" });
+
+      if (hit?.data) {
+        const corner = (p) => ({ x: p.x / scale, y: p.y / scale });
+        const { topLeftCorner, topRightCorner, bottomLeftCorner, bottomRightCorner } = hit.location;
+        return {
+          data: hit.data,
+          location: [topLeftCorner, topRightCorner, bottomRightCorner, bottomLeftCorner].map(corner),
+        };
+      }
+      if (scale === 1) break;
+    }
+    return null;
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+/** The COA link in a QR payload, or null when the code holds something else (SKU, plain text). */
+export function coaLinkFromQr(data) {
+  const s = String(data || "").trim();
+  // Bare "lab.example.com/coa/123" payloads are common; anything with spaces isn't a link
+  if (!s || /\s/.test(s)) return null;
+  if (!/^https?:\/\//i.test(s) && !/^[a-z0-9-]+(\.[a-z0-9-]+)+(\/|$)/i.test(s)) return null;
+  return normalizeCoaUrl(s);
+}
+
+async function canvasToDataUrl(canvas, quality) {
+  if (typeof canvas.toDataURL === "function") return canvas.toDataURL("image/jpeg", quality);
+
+  const blob = await canvas.convertToBlob({ type: "image/jpeg", quality });
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Downscaled JPEG data URL of the label photo for product.labelPhoto. Products are persisted
+ * to localStorage, so it's sized for the 80px preview (2× for high-DPI screens), a few KB each.
+ */
+export async function labelPhotoThumbnail(file, { maxSide = 160, quality = 0.6 } = {}) {
+  const bitmap = await createImageBitmap(file);
+  try {
+    const { canvas } = drawScaled(bitmap, maxSide);
+    return await canvasToDataUrl(canvas, quality);
+  } finally {
+    bitmap.close?.();
+  }
+}
@@ -0,0 +1,210 @@
+// src/utils/safetyPanels.js
+
+/**
+* Safety panel extraction for COAs
+* - SAFETY_PANELS: the five contaminant panels we track
+* - extractSafetyPanels(): text (+ layout rows) -> { [panelId]: PanelResult }
+* - safetySummary(): which panels passed, failed or are missing
+*
+* PanelResult:
+* {
+*   status: "pass" | "fail" | "not_tested",
+*   failures: [{ analyte, result, limit, text }],   // raw printed values, in the panel's own units
+*   analytes: number,                               // analyte rows seen (0 when only a summary line was found)
+*   source: { page, line, text } | null,
+* }
+* Panels that don't appear on the COA are absent from the object.
+*/
+
+import { locateOffset } from "./provenance";
+import { parseLocaleNumber } from "./coaLocale";
+
+export const SAFETY_PANELS = [
+  { id: "pesticides", label: "Pesticides", re: /\bpesticides?\b/i },
+  { id: "heavy_metals", label: "Heavy metals", re: /\bheavy\s+metals?\b/i },
+  { id: "microbials", label: "Microbials", re: /\bmicrobials?\b|\bmicrobiolog|\bpathogens?\b/i },
+  { id: "mycotoxins", label: "Mycotoxins", re: /\bmycotoxins?\b/i },
+  { id: "solvents", label: "Residual solvents", re: /\b(?:residual\s+)?solvents?\b/i },
+];
+
+const STATUS_RE = /\b(PASS(?:ED)?|FAIL(?:ED)?|NOT\s+TESTED|N\/T|NT|N\/A)\b/i;
+
+// Other COA sections that end a safety panel when their heading shows up
+const OTHER_SECTION_RE = /^(?:potency|cannabinoids?|terpenes?|moisture|water\s+activity|foreign\s+matter|filth)\b/i;
+
+function statusOf(token) {
+  const s = String(token || "").toUpperCase();
+  if (s.startsWith("PASS")) return "pass";
+  if (s.startsWith("FAIL")) return "fail";
+  if (s) return "not_tested";
+  return null;
+}
+
+function panelOf(text) {
+  return SAFETY_PANELS.find((p) => p.re.test(String(text || ""))) || null;
+}
+
+// "12,000" / "<10" / "ND" -> number or null; comparators and states don't count as exceedances
+function numeric(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s || /^[<≤]/.test(s)) return null;
+  const m = s.match(/^>?\s?(\d[\d,]*(?:\.\d+)?)/);
+  return m ? parseLocaleNumber(m[1]) : null;
+}
+
+// Value columns of a flat-text table header ("Analyte LOD LOQ Action Level Result Status")
+function headerColumns(line) {
+  const cols = [];
+  for (const word of line.toLowerCase().split(/\s+/)) {
+    let key = null;
+    if (word === "lod" || word === "loq") key = word;
+    else if (/^results?$/.test(word)) key = "result";
+    else if (/^(?:limits?|action|level|allowable|max)$/.test(word)) key = "limit";
+    else if (word === "status" || word === "pass/fail") key = "status";
+    if (key && cols[cols.length - 1] !== key) cols.push(key);
+  }
+  return cols.includes("result") || cols.includes("limit") ? cols : null;
+}
+
+function emptyPanel(source = null) {
+  return { status: null, failures: [], analytes: 0, passes: 0, source };
+}
+
+/**
+* Parse every safety panel on a COA.
+* Summary lines ("Pesticides PASS") set the panel status; analyte rows add failures
+* and decide the status when no summary line was printed.
+*/
+export function extractSafetyPanels(text, rows = []) {
+  const t = String(text || "");
+  const panels = {};
+  const panelFor = (p, source) => (panels[p.id] = panels[p.id] || emptyPanel(source));
+
+  // 1) Table rows from the layout pass: status / limit / result cells
+  for (const row of rows || []) {
+    const p = panelOf(row.section) || panelOf(row.table);
+    if (!p) continue;
+    const panel = panelFor(p, { page: row.page ?? null, line: row.line != null ? row.line + 1 : null, text: row.text });
+
+    const result = row.cells?.result ?? row.cells?.pct ?? row.cells?.mgg ?? null;
+    const limit = row.cells?.limit ?? null;
+    const status = statusOf(row.cells?.status);
+    const exceeds = numeric(result) != null && numeric(limit) != null && numeric(result) > numeric(limit);
+
+    panel.analytes++;
+    if (status === "fail" || exceeds) panel.failures.push({ analyte: row.analyte, result, limit, text: row.text });
+    // No status column: under a printed action limit counts as a pass
+    else if (status === "pass" || (status == null && numeric(limit) != null)) panel.passes++;
+  }
+
+  // 2) Flat text: summary lines and, for panels the rows didn't cover, analyte lines
+  const rowPanels = new Set(Object.keys(panels));
+  let current = null;
+  let columns = null;
+  let offset = 0;
+
+  for (const line of t.split("\n")) {
+    const at = offset;
+    offset += line.length + 1;
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+
+    const p = panelOf(trimmed);
+    const status = trimmed.match(STATUS_RE);
+
+    if (p && trimmed.length <= 80) {
+      const panel = panelFor(p, locateOffset(t, at));
+      // "Pesticides PASS" / "Heavy Metals: Passed" is the lab's own verdict for the panel
+      if (status && panel.status == null) {
+        panel.status = statusOf(status[1]);
+        panel.source = locateOffset(t, at);
+      }
+      if (!/\d/.test(trimmed.replace(STATUS_RE, ""))) {
+        current = p;
+        columns = null;
+      }
+      continue;
+    }
+
+    if (OTHER_SECTION_RE.test(trimmed) && !/\d/.test(trimmed)) {
+      current = null;
+      continue;
+    }
+    if (!current || rowPanels.has(current.id)) continue;
+    if (!/\d/.test(trimmed) && headerColumns(trimmed)) {
+      columns = headerColumns(trimmed);
+      continue;
+    }
+    if (!status) continue;
+
+    // "Bifenazate 0.01 0.1 0.1 ND PASS" / "Total Yeast and Mold 12000 10000 FAIL"
+    const m = trimmed.match(/^([A-Za-z][A-Za-z0-9 .,'()\-]*?)\s+(?=[<>≤≥]?\d|ND\b|PASS|FAIL)(.*)$/i);
+    if (!m) continue;
+    const analyte = m[1];
+
+    // Values line up with the header's columns when the counts match
+    const values = m[2].trim().split(/\s+/);
+    const cell = (key) => (columns && columns.length === values.length ? values[columns.indexOf(key)] ?? null : null);
+    const result = cell("result");
+    const limit = cell("limit");
+    const exceeds = numeric(result) != null && numeric(limit) != null && numeric(result) > numeric(limit);
+
+    const panel = panelFor(current, locateOffset(t, at));
+    panel.analytes++;
+    if (statusOf(status[1]) === "fail" || exceeds) panel.failures.push({ analyte, result, limit, text: trimmed });
+    else if (statusOf(status[1]) === "pass") panel.passes++;
+  }
+
+  const out = {};
+  for (const [id, panel] of Object.entries(panels)) {
+    let status = panel.status;
+    if (panel.failures.length) status = "fail";
+    else if (status == null) status = panel.passes > 0 ? "pass" : null;
+    if (status == null) continue;
+
+    out[id] = { status, failures: panel.failures, analytes: panel.analytes, source: panel.source };
+  }
+  return out;
+}
+
+/**
+* { passed, failed, missing } panel ids for product.coa.safety.
+* A panel that was "not tested" counts as missing.
+*/
+export function safetySummary(safety) {
+  const s = safety || {};
+  const passed = [];
+  const failed = [];
+  const missing = [];
+  for (const p of SAFETY_PANELS) {
+    const status = s[p.id]?.status;
+    if (status === "pass") passed.push(p.id);
+    else if (status === "fail") failed.push(p.id);
+    else missing.push(p.id);
+  }
+  return { passed, failed, missing };
+}
+
+/** True when every panel was tested and none failed. */
+export function isSafetyClean(safety) {
+  const { failed, missing } = safetySummary(safety);
+  return failed.length === 0 && missing.length === 0;
+}
+
+export const SAFETY_STATUS = {
+  CLEAN: "clean",
+  FAILED: "failed",
+  INCOMPLETE: "incomplete",
+  NO_COA: "no_coa",
+};
+
+/**
+* Where a product stands on safety. Manual entries, blends and spreadsheet rows have no COA:
+* nothing was tested, so they are NO_COA: labelled apart from INCOMPLETE, but filtered out the same way.
+*/
+export function productSafetyStatus(product) {
+  if (!product?.coa) return SAFETY_STATUS.NO_COA;
+  const { failed, missing } = safetySummary(product.coa.safety);
+  if (failed.length) return SAFETY_STATUS.FAILED;
+  return missing.length ? SAFETY_STATUS.INCOMPLETE : SAFETY_STATUS.CLEAN;
+}
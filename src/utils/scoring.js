@@ -6,9 +6,10 @@
 // - Uses full terp list (product.terpenes) + totalTerpenes + form + THC
 // - Outputs your UI dims (0..5, rounded to 0.5)
 
-import { calculateBaseline as calculateAdvancedBaseline } from "./mmetBaselineFormulas";
+import { calculateBaseline as calculateAdvancedBaseline, DEFAULT_MODEL_CONFIG, ENGINE_VERSION } from "./mmetBaselineFormulas";
+import { doseMgFor } from "./dosing";
 
-export const DIMS = ["pain", "head", "couch", "clarity", "duration", "functionality", "anxiety"];
+export const DIMS = ["pain", "head", "couch", "clarity", "duration", "functionality", "appetite", "anxiety"];
 
 const BAND_THRESHOLDS = {
   PRIMARY: 0.80,
@@ -69,34 +70,61 @@ const clamp01 = (x) => Math.max(0, Math.min(1, x));
 const toHalf = (v) => Math.round(v * 2) / 2;
 const toScore5 = (x01) => toHalf(clamp01(x01) * 5);
 
+// Engine trace steps (0..1) on the UI's 0..5 scale, closed by the rounding step
+function scoreTrace(steps, score) {
+  return withRounding(
+    (steps || []).map((st) => ({ ...st, delta: st.delta * 5, value: st.value * 5 })),
+    score
+  );
+}
+
+function withRounding(steps, score) {
+  const last = steps.length ? steps[steps.length - 1].value : 0;
+  if (Math.abs(score - last) < 1e-9) return steps;
+  return [...steps, { kind: "rounding", label: "Rounded to 0.5", delta: score - last, value: score }];
+}
+
 /**
  * Advanced Baseline -> UI Scores (0..5, rounded to 0.5)
+ * `modelConfig`: the engine config to score with (modelConfig.js); its { id, name, version } and the
+ * engine's version come back as `_model` so the prediction says which config produced it.
+ * `_trace[dim]`: the engine's contribution steps on the 0..5 scale ("Why this score?")
  */
-export function calculateBaselineScores(product) {
+export function calculateBaselineScores(product, { modelConfig = DEFAULT_MODEL_CONFIG } = {}) {
   const thc = Number(product?.metrics?.totalTHC || 0);
   const totalTerpenes = Number(product?.metrics?.totalTerpenes || 0);
 
   // Advanced engine should use full terp list, not top6
   const terpenes = Array.isArray(product?.terpenes) ? product.terpenes : [];
 
-  const form = product?.form || "";
+  // The picked consumption method wins over the free-text form
+  const form = product?.formType || product?.form || "";
 
   const adv = calculateAdvancedBaseline({
     totalTHC: thc,
     totalTerpenes: totalTerpenes,
     form,
     terpenes,
-  });
+    // Edibles are predicted from the mg dose when the product has per-unit numbers
+    doseMg: doseMgFor(product),
+    // Δ8 / Δ10 / THC-P / HHC rows, weighed by relative potency on top of Total THC; CBD, CBN,
+    // THCV and CBG rows (or the printed CBD / CBG totals) as effect modifiers
+    cannabinoids: product?.metrics?.cannabinoids || {},
+    totalCBD: product?.metrics?.totalCBD,
+    totalCBG: product?.metrics?.totalCBG,
+  }, modelConfig);
 
   // Direct mappings from advanced engine (0..1)
   const pain = toScore5(adv.pain);
   const head = toScore5(adv.head);
   const couch = toScore5(adv.couch);
   const clarity = toScore5(adv.clarity);
+  const appetite = toScore5(adv.appetite);
 
   // Duration uses metadata hours; map 0..18h => 0..5
   const durHours = Number(adv?._meta?.durationHours || 0);
-  const duration = toHalf(Math.max(0, Math.min(5, (durHours / 18) * 5)));
+  const durRaw = Math.max(0, Math.min(5, (durHours / 18) * 5));
+  const duration = toHalf(durRaw);
 
   // Functionality derived from clarity + inverse sedation/couch
   const sedation = clamp01(Number(adv.sedation || 0));
@@ -110,6 +138,35 @@ export function calculateBaselineScores(product) {
   // Anxiety: advanced anxietyRisk is 0..1 (higher = worse)
   const anxiety = toScore5(Number(adv.anxietyRisk || 0));
 
+  const trace = adv.trace || {};
+  const formName = String(adv._meta.form || "").replace(/_/g, " ");
+  const _trace = {
+    pain: scoreTrace(trace.pain, pain),
+    head: scoreTrace(trace.head, head),
+    couch: scoreTrace(trace.couch, couch),
+    clarity: scoreTrace(trace.clarity, clarity),
+    duration: withRounding(
+      durHours > 0
+        ? [{ kind: "form", label: `${formName} lasts ~${Math.round(durHours * 10) / 10}h (18h = 5)`, delta: durRaw, value: durRaw }]
+        : [],
+      duration
+    ),
+    functionality: withRounding(
+      [
+        { kind: "derived", label: "Clarity × 0.55", delta: 5 * 0.55 * clarity01, value: 5 * 0.55 * clarity01 },
+        {
+          kind: "derived",
+          label: "Low sedation / couch-lock × 0.45",
+          delta: 5 * 0.45 * (1 - (0.6 * sedation + 0.4 * couch01)),
+          value: 5 * functionality01,
+        },
+      ],
+      functionality
+    ),
+    appetite: scoreTrace(trace.appetite, appetite),
+    anxiety: scoreTrace(trace.anxietyRisk, anxiety),
+  };
+
   return {
     pain: Math.max(0, Math.min(5, pain)),
     head: Math.max(0, Math.min(5, head)),
@@ -117,16 +174,32 @@ export function calculateBaselineScores(product) {
     clarity: Math.max(0, Math.min(5, clarity)),
     duration: Math.max(0, Math.min(5, duration)),
     functionality: Math.max(0, Math.min(5, functionality)),
+    appetite: Math.max(0, Math.min(5, appetite)),
     anxiety: Math.max(0, Math.min(5, anxiety)),
+    _model: adv._meta.modelConfig,
+    _trace,
   };
 }
 
 /**
  * Calculate user's personal calibration factors
  * Learns how user responds compared to baseline predictions
+ * Each session is compared with the baseline it was logged against (session.baseline) when that
+ * was made by the config now scoring (`engineOptions.modelConfig`, same id and version) on this
+ * engine (ENGINE_VERSION); other sessions are re-scored with it. session.predicted already
+ * includes personalization.
  */
-function calculateUserCalibration(sessionLog, allProducts) {
+function calculateUserCalibration(sessionLog, allProducts, engineOptions = {}) {
   const calibration = {};
+  const rescored = new Map();
+  const model = engineOptions.modelConfig || DEFAULT_MODEL_CONFIG;
+
+  const baselineFor = (product) => {
+    if (!rescored.has(product.id)) rescored.set(product.id, calculateBaselineScores(product, engineOptions));
+    return rescored.get(product.id);
+  };
+  const sameModel = (ref) =>
+    !!ref && ref.id === (model.id ?? null) && ref.version === (model.version ?? null) && ref.engineVersion === ENGINE_VERSION;
 
   for (const dim of DIMS) {
     const dataPoints = [];
@@ -142,8 +215,8 @@ function calculateUserCalibration(sessionLog, allProducts) {
       const product = (allProducts || []).find((p) => p.id === productId);
       if (!product) continue;
 
-      const baselineScores = calculateBaselineScores(product);
-      const predictedValue = baselineScores[dim];
+      const stored = sameModel(session.modelConfig) ? session.baseline?.[dim] : null;
+      const predictedValue = typeof stored === "number" ? stored : baselineFor(product)[dim];
 
       // Calculate the delta (how much user differs from baseline)
       const delta = actualValue - predictedValue;
@@ -177,16 +250,18 @@ function calculateUserCalibration(sessionLog, allProducts) {
 /**
  * Calculate personalized scores using learned user patterns
  * Applies personal calibration to ALL products, not just rated ones
+ * `engineOptions` re-score past sessions whose stored baseline another config made
  */
-export function calculatePersonalizedScores(baselineScores, sessionLog, productId, allProducts) {
+export function calculatePersonalizedScores(baselineScores, sessionLog, productId, allProducts, engineOptions = {}) {
   if (!sessionLog || sessionLog.length === 0) {
     return baselineScores;
   }
 
   // Calculate user's personal calibration from ALL their sessions
-  const calibration = calculateUserCalibration(sessionLog, allProducts || []);
+  const calibration = calculateUserCalibration(sessionLog, allProducts || [], engineOptions);
 
   const personalizedScores = { ...baselineScores };
+  const trace = baselineScores._trace ? { ...baselineScores._trace } : null;
 
   for (const dim of DIMS) {
     const cal = calibration[dim];
@@ -201,8 +276,22 @@ export function calculatePersonalizedScores(baselineScores, sessionLog, productI
 
       // Clamp to 0-5
       personalizedScores[dim] = Math.max(0, Math.min(5, personalizedScores[dim]));
+
+      const moved = personalizedScores[dim] - baselineScores[dim];
+      if (trace && moved !== 0) {
+        trace[dim] = [
+          ...(trace[dim] || []),
+          {
+            kind: "personal",
+            label: `Your ratings (${cal.dataPoints} session${cal.dataPoints === 1 ? "" : "s"})`,
+            delta: moved,
+            value: personalizedScores[dim],
+          },
+        ];
+      }
     }
   }
 
+  if (trace) personalizedScores._trace = trace;
   return personalizedScores;
 }
@@ -0,0 +1,194 @@
+// src/utils/terpeneDictionary.js
+
+/**
+* Terpene dictionary: the one place terpene names are resolved
+* - TERPENES: canonical compounds and isomers { id, label, parent, class, cas, synonyms }
+* - TERPENE_PARENTS: parent groups (pinene, ocimene, nerolidol, ...) for roll-ups
+* - lookupTerpene(): any printed name / synonym / CAS number -> entry (or null)
+* - canonicalTerpName(): name -> isomer-level id ("α-Pinene" -> "alpha-pinene")
+* - terpeneLabel(): id or name -> display label ("alpha-pinene" -> "α-Pinene")
+* - terpeneParent(): name -> parent group id ("trans-ocimene" -> "ocimene")
+* - rollUpTerpenes(): [{ name, pct }] -> Map(parent id -> summed pct)
+*
+* Products store isomer-level ids; callers that model a whole family (mmetBaselineFormulas)
+* roll up to the parent. An entry whose id equals its parent is the unspecified/mixed form
+* ("Ocimene", "Nerolidol") that labs print when they don't resolve isomers.
+*/
+
+// class: "monoterpene" | "monoterpenoid" | "sesquiterpene" | "sesquiterpenoid"
+export const TERPENES = [
+  // Pinene
+  { id: "pinene", label: "Pinene", parent: "pinene", class: "monoterpene", cas: null, synonyms: ["pinenes", "total pinene"] },
+  { id: "alpha-pinene", label: "α-Pinene", parent: "pinene", class: "monoterpene", cas: "80-56-8", synonyms: ["a-pinene", "2-pinene"] },
+  { id: "beta-pinene", label: "β-Pinene", parent: "pinene", class: "monoterpene", cas: "127-91-3", synonyms: ["b-pinene", "nopinene"] },
+
+  // Myrcene: β-myrcene is the only isomer found in cannabis
+  { id: "myrcene", label: "β-Myrcene", parent: "myrcene", class: "monoterpene", cas: "123-35-3", synonyms: ["beta-myrcene", "b-myrcene"] },
+
+  // Limonene: labs print "Limonene" and "D-Limonene" for the same analyte
+  { id: "limonene", label: "Limonene", parent: "limonene", class: "monoterpene", cas: "138-86-3", synonyms: ["d-limonene", "l-limonene", "dl-limonene", "dipentene"] },
+
+  // Caryophyllene: "Caryophyllene" on a COA is β-caryophyllene; α-caryophyllene is humulene
+  { id: "beta-caryophyllene", label: "β-Caryophyllene", parent: "caryophyllene", class: "sesquiterpene", cas: "87-44-5", synonyms: ["caryophyllene", "b-caryophyllene", "trans-caryophyllene", "e-caryophyllene"] },
+  { id: "caryophyllene-oxide", label: "Caryophyllene oxide", parent: "caryophyllene-oxide", class: "sesquiterpenoid", cas: "1139-30-6", synonyms: ["beta-caryophyllene oxide", "caryophyllene epoxide"] },
+  { id: "alpha-humulene", label: "α-Humulene", parent: "humulene", class: "sesquiterpene", cas: "6753-98-6", synonyms: ["humulene", "a-humulene", "alpha-caryophyllene", "a-caryophyllene"] },
+
+  // Linalool, terpinolene and the terpineols / terpinenes they get confused with
+  { id: "linalool", label: "Linalool", parent: "linalool", class: "monoterpenoid", cas: "78-70-6", synonyms: ["linalol", "beta-linalool"] },
+  { id: "terpinolene", label: "Terpinolene", parent: "terpinolene", class: "monoterpene", cas: "586-62-9", synonyms: ["delta-terpinene"] },
+  { id: "terpineol", label: "Terpineol", parent: "terpineol", class: "monoterpenoid", cas: "8000-41-7", synonyms: ["terpineols", "total terpineol"] },
+  { id: "alpha-terpineol", label: "α-Terpineol", parent: "terpineol", class: "monoterpenoid", cas: "98-55-5", synonyms: ["a-terpineol"] },
+  { id: "terpinen-4-ol", label: "Terpinen-4-ol", parent: "terpineol", class: "monoterpenoid", cas: "562-74-3", synonyms: ["4-terpineol", "terpinen-4-ol"] },
+  { id: "alpha-terpinene", label: "α-Terpinene", parent: "terpinene", class: "monoterpene", cas: "99-86-5", synonyms: ["a-terpinene"] },
+  { id: "gamma-terpinene", label: "γ-Terpinene", parent: "terpinene", class: "monoterpene", cas: "99-85-4", synonyms: ["g-terpinene"] },
+
+  // Ocimene
+  { id: "ocimene", label: "Ocimene", parent: "ocimene", class: "monoterpene", cas: "13877-91-3", synonyms: ["ocimenes", "total ocimene", "beta-ocimene", "b-ocimene"] },
+  { id: "cis-ocimene", label: "cis-β-Ocimene", parent: "ocimene", class: "monoterpene", cas: "3338-55-4", synonyms: ["cis-beta-ocimene", "z-ocimene", "z-beta-ocimene", "beta-cis-ocimene"] },
+  { id: "trans-ocimene", label: "trans-β-Ocimene", parent: "ocimene", class: "monoterpene", cas: "3779-61-1", synonyms: ["trans-beta-ocimene", "e-ocimene", "e-beta-ocimene", "beta-trans-ocimene"] },
+  { id: "alpha-ocimene", label: "α-Ocimene", parent: "ocimene", class: "monoterpene", cas: "502-99-8", synonyms: ["a-ocimene"] },
+
+  // Nerolidol
+  { id: "nerolidol", label: "Nerolidol", parent: "nerolidol", class: "sesquiterpenoid", cas: "7212-44-4", synonyms: ["total nerolidol"] },
+  { id: "cis-nerolidol", label: "cis-Nerolidol", parent: "nerolidol", class: "sesquiterpenoid", cas: "3790-78-1", synonyms: ["z-nerolidol", "nerolidol 1"] },
+  { id: "trans-nerolidol", label: "trans-Nerolidol", parent: "nerolidol", class: "sesquiterpenoid", cas: "40716-66-3", synonyms: ["e-nerolidol", "nerolidol 2"] },
+
+  // Farnesene
+  { id: "farnesene", label: "Farnesene", parent: "farnesene", class: "sesquiterpene", cas: null, synonyms: ["total farnesene"] },
+  { id: "alpha-farnesene", label: "α-Farnesene", parent: "farnesene", class: "sesquiterpene", cas: "502-61-4", synonyms: ["a-farnesene"] },
+  { id: "beta-farnesene", label: "β-Farnesene", parent: "farnesene", class: "sesquiterpene", cas: "18794-84-8", synonyms: ["b-farnesene", "trans-beta-farnesene"] },
+
+  // Phellandrene
+  { id: "alpha-phellandrene", label: "α-Phellandrene", parent: "phellandrene", class: "monoterpene", cas: "99-83-2", synonyms: ["a-phellandrene", "phellandrene"] },
+  { id: "beta-phellandrene", label: "β-Phellandrene", parent: "phellandrene", class: "monoterpene", cas: "555-10-2", synonyms: ["b-phellandrene"] },
+
+  // Bisabolol
+  { id: "alpha-bisabolol", label: "α-Bisabolol", parent: "bisabolol", class: "sesquiterpenoid", cas: "23089-26-1", synonyms: ["bisabolol", "a-bisabolol", "levomenol"] },
+
+  // Single-compound families
+  { id: "guaiol", label: "Guaiol", parent: "guaiol", class: "sesquiterpenoid", cas: "489-86-1", synonyms: [] },
+  { id: "eucalyptol", label: "Eucalyptol", parent: "eucalyptol", class: "monoterpenoid", cas: "470-82-6", synonyms: ["1,8-cineole", "cineole", "1-8-cineole"] },
+  { id: "camphene", label: "Camphene", parent: "camphene", class: "monoterpene", cas: "79-92-5", synonyms: [] },
+  { id: "3-carene", label: "Δ3-Carene", parent: "carene", class: "monoterpene", cas: "13466-78-9", synonyms: ["carene", "delta-3-carene", "d3-carene", "3 carene"] },
+  { id: "geraniol", label: "Geraniol", parent: "geraniol", class: "monoterpenoid", cas: "106-24-1", synonyms: [] },
+  { id: "geranyl-acetate", label: "Geranyl acetate", parent: "geranyl-acetate", class: "monoterpenoid", cas: "105-87-3", synonyms: [] },
+  { id: "nerol", label: "Nerol", parent: "nerol", class: "monoterpenoid", cas: "106-25-2", synonyms: [] },
+  { id: "citronellol", label: "Citronellol", parent: "citronellol", class: "monoterpenoid", cas: "106-22-9", synonyms: [] },
+  { id: "valencene", label: "Valencene", parent: "valencene", class: "sesquiterpene", cas: "4630-07-3", synonyms: [] },
+  { id: "fenchol", label: "Fenchol", parent: "fenchol", class: "monoterpenoid", cas: "1632-73-1", synonyms: ["fenchyl alcohol", "endo-fenchol"] },
+  { id: "fenchone", label: "Fenchone", parent: "fenchone", class: "monoterpenoid", cas: "1195-79-5", synonyms: [] },
+  { id: "borneol", label: "Borneol", parent: "borneol", class: "monoterpenoid", cas: "507-70-0", synonyms: ["endo-borneol"] },
+  { id: "isoborneol", label: "Isoborneol", parent: "isoborneol", class: "monoterpenoid", cas: "124-76-5", synonyms: [] },
+  { id: "camphor", label: "Camphor", parent: "camphor", class: "monoterpenoid", cas: "76-22-2", synonyms: [] },
+  { id: "sabinene", label: "Sabinene", parent: "sabinene", class: "monoterpene", cas: "3387-41-5", synonyms: [] },
+  { id: "sabinene-hydrate", label: "Sabinene hydrate", parent: "sabinene-hydrate", class: "monoterpenoid", cas: "546-79-2", synonyms: [] },
+  { id: "p-cymene", label: "p-Cymene", parent: "cymene", class: "monoterpene", cas: "99-87-6", synonyms: ["cymene", "para-cymene"] },
+  { id: "isopulegol", label: "Isopulegol", parent: "isopulegol", class: "monoterpenoid", cas: "89-79-2", synonyms: [] },
+  { id: "pulegone", label: "Pulegone", parent: "pulegone", class: "monoterpenoid", cas: "89-82-7", synonyms: [] },
+  { id: "menthol", label: "Menthol", parent: "menthol", class: "monoterpenoid", cas: "89-78-1", synonyms: [] },
+  { id: "cedrol", label: "Cedrol", parent: "cedrol", class: "sesquiterpenoid", cas: "77-53-2", synonyms: [] },
+  { id: "alpha-bergamotene", label: "α-Bergamotene", parent: "bergamotene", class: "sesquiterpene", cas: "17699-05-7", synonyms: ["bergamotene", "a-bergamotene", "trans-alpha-bergamotene"] },
+  { id: "selina-3-7-11-diene", label: "Selina-3,7(11)-diene", parent: "selinadiene", class: "sesquiterpene", cas: "6813-21-4", synonyms: ["selinadiene", "selina-3,7(11)-diene"] },
+];
+
+const BY_ID = new Map(TERPENES.map((t) => [t.id, t]));
+
+/** Parent groups: { [parent]: { id, label, members: [isomer ids] } } */
+export const TERPENE_PARENTS = {};
+for (const t of TERPENES) {
+  const group = TERPENE_PARENTS[t.parent] || (TERPENE_PARENTS[t.parent] = { id: t.parent, label: null, members: [] });
+  group.members.push(t.id);
+  // The unspecified entry names the group; otherwise its first isomer without the prefix
+  if (t.id === t.parent) group.label = t.label;
+  else if (!group.label) group.label = t.label.replace(/^(?:[αβγΔ]\d?|cis|trans|p)-/, "").replace(/^./, (c) => c.toUpperCase());
+}
+
+// Leading stereo/position tokens spelled as a single letter
+const PREFIX_WORDS = { a: "alpha", b: "beta", g: "gamma", e: "trans", z: "cis" };
+// Optical rotation / chirality markers that don't change the analyte
+const DROP_PREFIXES = new Set(["d", "l", "dl", "r", "s", "rs", "levo", "dextro"]);
+
+/**
+* Name -> lookup key: lowercase ASCII, Greek letters spelled out, (E)/(Z) as trans/cis,
+* optical markers dropped. "(−)-β-Caryophyllene" and "b-caryophyllene" share a key.
+*/
+function lookupKey(raw) {
+  let s = String(raw ?? "")
+    .toLowerCase()
+    .replace(/α/g, " alpha ")
+    .replace(/β/g, " beta ")
+    .replace(/γ/g, " gamma ")
+    .replace(/[δΔ]/g, " delta ")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[\u2010-\u2015\u2212]/g, "-")
+    .replace(/\(\s*[+\-±]\s*\)|\(\s*(?:[rs]|rs|\+\/-)\s*\)/g, " ")
+    .replace(/\(\s*e\s*\)/g, " trans ")
+    .replace(/\(\s*z\s*\)/g, " cis ")
+    .replace(/\s*[([][^)\]]*%[^)\]]*[)\]]\s*/g, " ");
+
+  const tokens = s.split(/[^a-z0-9]+/).filter(Boolean);
+  while (tokens.length > 1 && DROP_PREFIXES.has(tokens[0])) tokens.shift();
+  return tokens.map((t, i) => (i < tokens.length - 1 && PREFIX_WORDS[t] ? PREFIX_WORDS[t] : t)).join("");
+}
+
+const BY_KEY = new Map();
+for (const t of TERPENES) {
+  for (const name of [t.id, t.label, ...t.synonyms]) {
+    const key = lookupKey(name);
+    if (key && !BY_KEY.has(key)) BY_KEY.set(key, t);
+  }
+}
+const BY_CAS = new Map(TERPENES.filter((t) => t.cas).map((t) => [t.cas, t]));
+
+/** Dictionary entry for a printed name, synonym, id or CAS number; null when unknown. */
+export function lookupTerpene(name) {
+  const raw = String(name ?? "").trim();
+  if (!raw) return null;
+  const cas = raw.match(/\b(\d{2,7}-\d{2}-\d)\b/);
+  if (cas && BY_CAS.has(cas[1])) return BY_CAS.get(cas[1]);
+  return BY_ID.get(raw) || BY_KEY.get(lookupKey(raw)) || null;
+}
+
+/**
+* Isomer-level canonical id. Unknown names keep their identity as a lowercase,
+* hyphenated key ("Alpha Cedrene" -> "alpha-cedrene") so they still merge with themselves.
+*/
+export function canonicalTerpName(name) {
+  const hit = lookupTerpene(name);
+  if (hit) return hit.id;
+  return String(name ?? "")
+    .toLowerCase()
+    .replace(/α/g, "alpha ")
+    .replace(/β/g, "beta ")
+    .replace(/γ/g, "gamma ")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/** Display label for an id or printed name; unknown names come back as given. */
+export function terpeneLabel(name) {
+  return lookupTerpene(name)?.label || String(name ?? "");
+}
+
+/** Parent group id (the canonical id for names the dictionary doesn't know). */
+export function terpeneParent(name) {
+  return lookupTerpene(name)?.parent || canonicalTerpName(name);
+}
+
+/**
+* Sum terpene rows by parent group. Rows without a positive pct (ND / <LOQ) are skipped.
+*/
+export function rollUpTerpenes(terpenes) {
+  const map = new Map();
+  for (const t of terpenes || []) {
+    const pct = Number(t?.pct);
+    if (!Number.isFinite(pct) || pct <= 0) continue;
+    const parent = terpeneParent(t?.name);
+    if (!parent) continue;
+    map.set(parent, (map.get(parent) || 0) + pct);
+  }
+  return map;
+}
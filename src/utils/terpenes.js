@@ -2,12 +2,14 @@
 
 /**
 * Terpene helpers for MMET Predictor v2
-* - normalizeTerpName(): canonicalizes terp names (Greek letters, alpha/beta, A-/B-, D-)
+* - normalizeTerpName(): isomer-level canonical id from the terpene dictionary
 * - getTop6Terpenes(): normalizes + merges duplicates + returns top 6 by %
 * - terpBandFromPct(): band classification (none/supporting/dominant/primary)
 * - getTerpeneBand(): simplified band for UI display (Very High/High/Medium/Low/Very Low)
 */
 
+import { canonicalTerpName } from "./terpeneDictionary";
+
 export const DEFAULT_BAND_THRESHOLDS = {
   primary: 1.0,
   dominant: 0.5,
@@ -22,55 +24,20 @@ export const BAND_WEIGHTS = {
 };
 
 /**
-* Normalize terpene names into a single lowercase canonical key.
+* Normalize terpene names to the dictionary's isomer-level id (terpeneDictionary.js).
+* "α-Pinene" and "beta-Pinene" stay apart; "D-Limonene" and "Limonene" merge.
 */
 export function normalizeTerpName(rawName) {
   if (rawName == null) return "";
-
-  let s = String(rawName).trim().toLowerCase();
-  if (!s) return "";
-
-  s = s.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
-  s = s.replace(/β/g, "beta").replace(/α/g, "alpha");
-  s = s.replace(/[_/]+/g, " ");
-  s = s.replace(/-/g, " ");
-  s = s.replace(/\s+/g, " ").trim();
-  s = s.replace(/^(alpha|beta|d)\s+/g, "");
-  s = s.replace(/^(a|b)\s+/g, "");
-  s = s.replace(/^(alpha|beta|d)\s+/g, "");
-  s = s.replace(/[^a-z\s]/g, " ").replace(/\s+/g, " ").trim();
-
-  if (s === "ocimenes") s = "ocimene";
-  if (s === "terpineol") s = "terpinolene";
-
-  if (s === "alpha pinene" || s === "beta pinene" || s === "a pinene" || s === "b pinene") {
-    s = "pinene";
-  }
-
-  const known = new Set([
-    "caryophyllene",
-    "humulene",
-    "limonene",
-    "myrcene",
-    "pinene",
-    "bisabolol",
-    "ocimene",
-    "linalool",
-    "terpinolene",
-    "guaiol",
-  ]);
-
-  if (known.has(s)) return s;
-
-  const lastToken = s.split(" ").filter(Boolean).pop() || "";
-  return known.has(lastToken) ? lastToken : (lastToken || s);
+  return canonicalTerpName(rawName);
 }
 
 /**
-* Round terp % for stable display/storage.
+* Round % for stable storage: clears float noise from unit conversions and sums
+* (8.123 mg/g -> 0.8123000000000001%) without dropping printed digits.
 */
 export function roundPct(x) {
-  return Math.round(Number(x) * 1000) / 1000;
+  return Math.round(Number(x) * 1e6) / 1e6;
 }
 
 /**
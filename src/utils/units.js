@@ -0,0 +1,282 @@
+// src/utils/units.js
+
+/**
+* Analyte value normalization for COA parsing
+* - parseUnit(): "mg/g", "µg/g", "ppm", "%", "mg/serving" ... -> canonical unit id
+* - parseAnalyteValue(): one cell/token ("0.81", "8.1 mg/g", "ND", "<LOQ", "<0.05") -> Measurement
+* - readMeasurement(): first value (+ unit) in a run of text
+* - unitHintBefore(): unit printed in the table header above a position in the text
+* - findLabeledMeasurement(): "Total Terpenes ..." -> Measurement + match
+* - bareTotalTerpenes(): a unitless terpene total read by its size ("80.9" is mg/g)
+*
+* Measurement shape:
+* {
+*   state: "detected" | "nd" | "below_loq",
+*   pct: number | null,          // canonical percent (w/w); 0 for nd / below_loq; null if unconvertible
+*   value: number | null,        // number as printed
+*   unit: string | null,         // canonical unit id the number was printed in
+*   raw: string,                 // the printed token(s)
+*   loq?: number,                // "<0.05" -> limit, in percent
+*   conversion: { from, factor, assumed?, hinted? } | null,  // null when printed in percent
+* }
+*/
+
+import { parseLocaleNumber } from "./coaLocale";
+
+export const VALUE_STATES = {
+  DETECTED: "detected",
+  ND: "nd",
+  BELOW_LOQ: "below_loq",
+};
+
+// Mass-fraction units -> percent (w/w)
+export const PERCENT_FACTORS = {
+  "%": 1,
+  "mg/g": 0.1,
+  "µg/g": 0.0001,
+  ppm: 0.0001,
+  ppb: 0.0000001,
+};
+
+// Amount per unit/serving (edibles, capsules); converts to percent only with a unit weight
+export const MG_PER_UNIT = "mg/unit";
+
+const UNIT_ALIASES = [
+  [/^(?:%|percent|wt\s?%|%\s?w\/w)$/i, "%"],
+  [/^mg\s?\/\s?g$/i, "mg/g"],
+  [/^(?:µ|μ|u|mc)g\s?\/\s?g$/i, "µg/g"],
+  [/^ppm$/i, "ppm"],
+  [/^ppb$/i, "ppb"],
+  [/^mg\s?(?:\/|per)\s?(?:unit|serving|piece|pc|gummy|cap|capsule|tablet|dose)$/i, MG_PER_UNIT],
+];
+
+// Same units, unanchored, for finding a unit right after a number
+const UNIT_SOURCE =
+  "%|mg\\s?\\/\\s?g\\b|[µμu]g\\s?\\/\\s?g\\b|mcg\\s?\\/\\s?g\\b|ppm\\b|ppb\\b|mg\\s?(?:\\/|per)\\s?(?:unit|serving|piece|pc|gummy|cap|capsule|tablet|dose)\\b";
+
+const ND_RE = /^(?:ND|N\/D|n\.d\.|not\s+detected|<\s?LOD|BLD)$/i;
+const BELOW_LOQ_RE = /^(?:<\s?LOQ|BLQ|<\s?LLOQ|below\s+LOQ)$/i;
+
+const STATE_TOKEN = "ND|N\\/D|n\\.d\\.|not\\s+detected|<\\s?LOD|BLD|<\\s?LOQ|BLQ|<\\s?LLOQ";
+const MEASUREMENT_RE = new RegExp(
+  `(?:^|[\\s:(=])(?:(${STATE_TOKEN})(?=$|[\\s,;)])|([<>≤≥]?)\\s?(\\d[\\d,]*(?:\\.\\d+)?|\\.\\d+)\\s?(${UNIT_SOURCE})?)`,
+  "i"
+);
+
+// Enough precision for ppm-level analytes; display code rounds further
+const precise = (x) => Math.round(x * 1e7) / 1e7;
+
+/** Canonical unit id for a printed unit ("(mg/g)", "ug/g", "mg/serving"), or null. */
+export function parseUnit(raw) {
+  const s = String(raw || "")
+    .trim()
+    .replace(/^[([]|[)\]]$/g, "")
+    .trim();
+  if (!s) return null;
+  for (const [re, unit] of UNIT_ALIASES) if (re.test(s)) return unit;
+  return null;
+}
+
+/**
+* Convert a number in `unit` to percent. Returns { pct, factor } or null when the unit
+* can't be expressed as a mass fraction (mg/unit without a unit weight).
+*/
+export function toPercent(value, unit, { unitWeightG = null } = {}) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+
+  let factor = PERCENT_FACTORS[unit];
+  if (factor == null && unit === MG_PER_UNIT && Number(unitWeightG) > 0) {
+    factor = 1 / (Number(unitWeightG) * 10);
+  }
+  if (factor == null) return null;
+  return { pct: precise(n * factor), factor };
+}
+
+function buildMeasurement({ raw, state, value, unit, assumed = false, hinted = false, comparator = "" }, opts) {
+  if (state && state !== VALUE_STATES.DETECTED) {
+    return { state, pct: 0, value: null, unit: unit || null, raw, conversion: null };
+  }
+
+  const converted = unit ? toPercent(value, unit, opts) : null;
+  const conversion =
+    unit && (unit !== "%" || assumed)
+      ? {
+          from: unit,
+          factor: converted?.factor ?? null,
+          ...(assumed ? { assumed: true } : {}),
+          ...(hinted ? { hinted: true } : {}),
+        }
+      : null;
+
+  // "<0.05" is a reporting limit, not a result
+  if (comparator === "<" || comparator === "≤") {
+    return { state: VALUE_STATES.BELOW_LOQ, pct: 0, value: null, unit, raw, loq: converted?.pct ?? null, conversion };
+  }
+
+  return { state: VALUE_STATES.DETECTED, pct: converted?.pct ?? null, value, unit, raw, conversion };
+}
+
+/**
+* Parse a single cell/token into a Measurement.
+* `unit` is the column's unit (from the table header) when the cell doesn't print one;
+* `assumeUnit` is used (and flagged) when neither does. Returns null for non-values.
+*/
+export function parseAnalyteValue(raw, { unit = null, assumeUnit = "%", unitWeightG = null } = {}) {
+  const s = String(raw ?? "").trim();
+  if (!s) return null;
+
+  if (ND_RE.test(s)) return buildMeasurement({ raw: s, state: VALUE_STATES.ND, unit }, {});
+  if (BELOW_LOQ_RE.test(s)) return buildMeasurement({ raw: s, state: VALUE_STATES.BELOW_LOQ, unit }, {});
+
+  const m = s.match(/^([<>≤≥]?)\s?(\d[\d,]*(?:\.\d+)?|\.\d+)\s?(.*)$/);
+  if (!m) return null;
+  const value = parseLocaleNumber(m[2]);
+  if (value == null) return null;
+
+  const printed = m[3] ? parseUnit(m[3]) : null;
+  if (m[3] && !printed) return null;
+
+  return buildMeasurement(
+    {
+      raw: s,
+      value,
+      comparator: m[1],
+      unit: printed || unit || assumeUnit,
+      hinted: !printed && !!unit,
+      assumed: !printed && !unit && !!assumeUnit,
+    },
+    { unitWeightG }
+  );
+}
+
+/**
+* First value in a run of text ("1.77 %  17.7 mg/g", "(mg/g) 80.9", "ND").
+* A leading "(unit)" names the unit of the bare number that follows.
+* Returns { measurement, index } (index into `text`) or null.
+*/
+export function readMeasurement(text, { unit = null, assumeUnit = "%", unitWeightG = null } = {}) {
+  const s = String(text || "");
+
+  const lead = s.match(/^\s*[([]([^)\]]{1,12})[)\]]/);
+  const leadUnit = lead ? parseUnit(lead[1]) : null;
+  const body = leadUnit ? s.slice(lead[0].length) : s;
+  const offset = leadUnit ? lead[0].length : 0;
+
+  const m = body.match(MEASUREMENT_RE);
+  if (!m) return null;
+
+  const index = offset + m.index + (m[0].length - m[0].trimStart().length);
+  if (m[1]) {
+    const state = ND_RE.test(m[1].trim()) ? VALUE_STATES.ND : VALUE_STATES.BELOW_LOQ;
+    return { measurement: buildMeasurement({ raw: m[1], state, unit: leadUnit || unit }, {}), index };
+  }
+
+  const value = parseLocaleNumber(m[3]);
+  if (value == null) return null;
+  const printed = m[4] ? parseUnit(m[4]) : null;
+  const columnUnit = leadUnit || unit;
+
+  const measurement = buildMeasurement(
+    {
+      raw: `${m[2] || ""}${m[3]}${m[4] ? ` ${m[4]}` : ""}`,
+      value,
+      comparator: m[2],
+      unit: printed || columnUnit || assumeUnit,
+      hinted: !printed && !!columnUnit,
+      assumed: !printed && !columnUnit && !!assumeUnit,
+    },
+    { unitWeightG }
+  );
+  return { measurement, index };
+}
+
+/**
+* Unit printed in the nearest table header above `offset` ("Analyte LOQ Result (mg/g)").
+* Stops at blank lines and page markers so one table's header doesn't leak into the next.
+*/
+export function unitHintBefore(text, offset, maxLines = 15) {
+  const before = String(text || "").slice(0, Math.max(0, offset));
+  const lines = before.split("\n").slice(0, -1).reverse().slice(0, maxLines);
+
+  for (const line of lines) {
+    if (!line.trim() || /^--- page \d+ ---$/.test(line.trim())) return null;
+    // Header lines name units but carry no numbers
+    if (/\d/.test(line.replace(/µ|μ/g, ""))) continue;
+    const units = line
+      .split(/\s+/)
+      .map(parseUnit)
+      .filter(Boolean);
+    if (units.length) return units[units.length - 1];
+  }
+  return null;
+}
+
+/** Provenance strategy for how a Measurement's unit was established. */
+export function measurementStrategy(measurement) {
+  const c = measurement?.conversion;
+  if (!c) return "same_line";
+  if (c.assumed) return "bare_number";
+  if (c.hinted) return "header_unit";
+  return "unit_converted";
+}
+
+/**
+* A "Total Terpenes" number printed without a unit (here or in a header) read by its size:
+* under 30 is percent, 30-300 is mg/g ("80.9" -> 8.09%), over 300 is ppm. Other measurements
+* pass through. The result keeps conversion.assumed, so it's recorded as "bare_number".
+*/
+export function bareTotalTerpenes(measurement) {
+  if (measurement?.state !== VALUE_STATES.DETECTED || !measurement.conversion?.assumed) return measurement;
+  const { value, raw } = measurement;
+  if (!(value >= 30)) return measurement;
+  return buildMeasurement({ raw, value, unit: value > 300 ? "ppm" : "mg/g", assumed: true }, {});
+}
+
+/**
+* Find "<label> ... <value> [unit]" on one line.
+* `reread(measurement)` may reinterpret a hit (bareTotalTerpenes) before `accept(measurement)`
+* filters out implausible ones; later occurrences of the label are tried in turn.
+* Returns { measurement, match, strategy } or null. match.index points at the label.
+*/
+export function findLabeledMeasurement(text, label, { accept = () => true, reread = (m) => m, unitWeightG = null } = {}) {
+  const t = String(text || "");
+  const re = new RegExp(`${label.source}[^\\S\\n]*[:\\-]?([^\\n]*)`, label.flags.includes("g") ? label.flags : `${label.flags}g`);
+
+  for (const m of t.matchAll(re)) {
+    const rest = m[m.length - 1] || "";
+    const hit = readMeasurement(rest, { unit: unitHintBefore(t, m.index), unitWeightG });
+    const measurement = hit && reread(hit.measurement);
+    if (!measurement || !accept(measurement)) continue;
+    return { measurement, match: m, strategy: measurementStrategy(measurement) };
+  }
+  return null;
+}
+
+/** Short label for a Measurement: "0.81%", "ND", "<LOQ". */
+export function formatMeasurement(measurement, digits = 3) {
+  if (!measurement) return "—";
+  if (measurement.state === VALUE_STATES.ND) return "ND";
+  if (measurement.state === VALUE_STATES.BELOW_LOQ) return "<LOQ";
+  return measurement.pct == null ? `${measurement.value} ${measurement.unit}` : `${Number(measurement.pct.toFixed(digits))}%`;
+}
+
+/**
+* Analyte list entry ({ name, pct } as used for product.terpenes) carrying the
+* measurement's state and conversion. ND / <LOQ rows have pct 0.
+*/
+export function analyteRow(name, measurement) {
+  const m = measurement || {};
+  return {
+    name,
+    pct: m.state === VALUE_STATES.DETECTED ? m.pct : 0,
+    state: m.state || VALUE_STATES.DETECTED,
+    ...(m.conversion ? { conversion: m.conversion } : {}),
+    ...(m.loq != null ? { loq: m.loq } : {}),
+  };
+}
+
+/** True when a list entry is a real quantified value (rows without a state are). */
+export function isDetected(row) {
+  return !row?.state || row.state === VALUE_STATES.DETECTED;
+}
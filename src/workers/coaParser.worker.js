@@ -0,0 +1,19 @@
+// src/workers/coaParser.worker.js
+// Parses one COA file per message off the main thread (pool: src/utils/coaParsePool.js).
+//
+// in:  { id, file }
+// out: { id, type: "progress", page, pages } | { id, type: "done", result: CoaRecord[] } | { id, type: "error", error }
+
+import { readCoaFile } from "../utils/coaFiles";
+
+self.onmessage = async (e) => {
+  const { id, file } = e.data || {};
+  try {
+    const result = await readCoaFile(file, {
+      onProgress: ({ page, pages }) => self.postMessage({ id, type: "progress", page, pages }),
+    });
+    self.postMessage({ id, type: "done", result });
+  } catch (err) {
+    self.postMessage({ id, type: "error", error: err?.message || String(err) });
+  }
+};
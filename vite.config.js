@@ -1,100 +1,43 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { createCoaProxy, proxyOptionsFromEnv } from "./server/coaProxy.js";
 
-const ALLOWED_HOSTS = new Set(["mete.labdrive.net"]);
-const MAX = 10 * 1024 * 1024;
+const require = createRequire(import.meta.url);
+
+// OCR language data (see src/utils/ocr.js): served in dev and emitted into the build at /tessdata
+const TESSDATA_FILE = "eng.traineddata.gz";
+const tessdataSource = () =>
+  path.join(path.dirname(require.resolve("@tesseract.js-data/eng/package.json")), "4.0.0_best_int", TESSDATA_FILE);
 
 export default defineConfig({
+  // COA parser workers (src/workers) import pdf.js and tesseract, which need ES module workers
+  worker: { format: "es" },
   plugins: [
     react(),
     {
-      name: "mmet-local-api-proxy-coa",
+      name: "mmet-tessdata",
       configureServer(server) {
-        server.middlewares.use(async (req, res, next) => {
-          try {
-            if (!req.url || !req.url.startsWith("/api/proxy-coa")) return next();
-
-            const fullUrl = new URL(req.url, "http://localhost");
-            const target = fullUrl.searchParams.get("url");
-            if (!target) {
-              res.statusCode = 400;
-              res.setHeader("Content-Type", "application/json");
-              res.end(JSON.stringify({ ok: false, error: "Missing url param" }));
-              return;
-            }
-
-            let u;
-            try { u = new URL(target); }
-            catch {
-              res.statusCode = 400;
-              res.setHeader("Content-Type", "application/json");
-              res.end(JSON.stringify({ ok: false, error: "Invalid URL" }));
-              return;
-            }
-
-            if (u.protocol !== "https:" || !ALLOWED_HOSTS.has(u.hostname)) {
-              res.statusCode = 403;
-              res.setHeader("Content-Type", "application/json");
-              res.end(JSON.stringify({ ok: false, error: "Host not allowed" }));
-              return;
-            }
-
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), 12000);
-
-            const resp = await fetch(u.toString(), {
-              method: "GET",
-              redirect: "follow",
-              signal: controller.signal,
-              headers: {
-                "User-Agent": "MMET-COA-Proxy/1.0",
-                "Accept": "application/pdf,application/octet-stream,*/*",
-              },
-            }).finally(() => clearTimeout(timeout));
-
-            if (!resp.ok) {
-              res.statusCode = 502;
-              res.setHeader("Content-Type", "application/json");
-              res.end(JSON.stringify({ ok: false, error: `Upstream error: ${resp.status}` }));
-              return;
-            }
-
-            const contentType = resp.headers.get("content-type") || "application/pdf";
-            const contentDisposition = resp.headers.get("content-disposition") || "";
-
-            const buf = Buffer.from(await resp.arrayBuffer());
-            if (buf.length > MAX) {
-              res.statusCode = 413;
-              res.setHeader("Content-Type", "application/json");
-              res.end(JSON.stringify({ ok: false, error: "File too large" }));
-              return;
-            }
-
-            res.statusCode = 200;
-            res.setHeader("Content-Type", "application/json");
-            res.end(JSON.stringify({
-              ok: true,
-              contentType,
-              filename: filenameFrom(contentDisposition, u.pathname),
-              base64: buf.toString("base64"),
-              bytes: buf.length,
-            }));
-          } catch (e) {
-            const msg = e && e.name === "AbortError" ? "Upstream timeout" : (e && e.message ? e.message : "Server error");
-            res.statusCode = 500;
-            res.setHeader("Content-Type", "application/json");
-            res.end(JSON.stringify({ ok: false, error: msg }));
-          }
+        server.middlewares.use(`/tessdata/${TESSDATA_FILE}`, (req, res) => {
+          res.setHeader("Content-Type", "application/gzip");
+          fs.createReadStream(tessdataSource()).pipe(res);
         });
-      }
-    }
+      },
+      generateBundle() {
+        this.emitFile({ type: "asset", fileName: `tessdata/${TESSDATA_FILE}`, source: fs.readFileSync(tessdataSource()) });
+      },
+    },
+    {
+      // COA link proxy (server/coaProxy.js); `npm start` serves the same proxy in production
+      name: "mmet-coa-proxy",
+      configureServer(server) {
+        server.middlewares.use(createCoaProxy(proxyOptionsFromEnv()));
+      },
+      configurePreviewServer(server) {
+        server.middlewares.use(createCoaProxy(proxyOptionsFromEnv()));
+      },
+    },
   ]
 });
-
-function filenameFrom(contentDisposition, pathname) {
-  const m = /filename\*?=(?:UTF-8''|")?([^;"\n]+)"?/i.exec(contentDisposition || "");
-  if (m && m[1]) return decodeURIComponent(m[1].trim().replace(/"/g, ""));
-  const parts = String(pathname || "").split("/").filter(Boolean);
-  const last = parts[parts.length - 1] || "coa.pdf";
-  return last.toLowerCase().endsWith(".pdf") ? last : `${last}.pdf`;
-}